@@ -3,434 +3,2123 @@
  * sshm-cli - simple Node CLI to store ssh credentials in OS keyring and auto-login
  *
  * Usage:
- *   sshm add
- *   sshm list
+ *   sshm add [--name --host --user --port --key-file|--key-stdin|--password-stdin]
+ *   sshm edit <alias> [--name <new> ...]
+ *   sshm list [--tag <tag>] [--group <group>] [--filter <text>] [--format table|json|yaml|csv] [--columns ...]
+ *   sshm show <alias> [--format yaml|json]
+ *   sshm defaults [--option Key=Value] [--env NAME=value] [--remote-command <cmd>] [--cwd <dir>]
  *   sshm remove <alias>
- *   sshm connect <alias>
+ *   sshm connect <alias> [--record]
+ *   sshm replay <file> [--speed 2] | recordings ls|rm
+ *   sshm history [alias] [--since 7d] [--failed] | stats | last
+ *   sshm vault unlock|lock|status|change-passphrase
+ *   sshm config doctor [--fix] [--restore <n> [--credentials]]
+ *   sshm config language [en|vi|auto] | config emoji [on|off]  (--no-emoji, SSHM_NO_EMOJI=1, LANG)
+ *   sshm creds ls|set|migrate|command
+ *   sshm hostkey show|forget|accept|policy <alias>
+ *   sshm key gen|deploy <alias> | key rotate <alias|group>
+ *   sshm agent status|mode|lifetime|add
+ *   sshm jump <alias> [bastion...]
+ *   sshm exec <alias|pattern|tag:x|group:x> -- <command>
+ *   sshm cluster <alias|pattern|tag:x|group:x> [--layout tiled|panes] [--exclude <selector>]
+ *   sshm check [alias|pattern|all] [--format table|json]
+ *   sshm cp [-r] <src> <alias>:<dst>
+ *   sshm sftp <alias>
+ *   sshm tunnel add|rm|up|down|ls
+ *   sshm import ssh-config [file]
+ *   sshm export ssh-config
+ *   sshm backup <file> | restore <file> | sync [--dir|--git]
+ *   sshm catalog add|rm|ls|update
+ *   sshm profile create|use|ls|rm  (sshm --profile <name> <command>, SSHM_PROFILE, SSHM_HOME)
  *   sshm <alias>
  *
  * Notes:
  *  - Requires: ssh available in PATH
- *  - Uses keytar to store passwords securely in OS keyring
+ *  - Credentials live in a pluggable backend (lib/backends): encrypted file vault
+ *    (master passphrase), OS keyring via keytar, or an external command (pass/gopass)
  *  - Uses node-pty to spawn a pty and detect password prompts, host key prompts
+ *  - The same store/connection logic is importable as a library: lib/api.js (package main)
+ *  - Messages come from lib/locales (en, vi) via t() in lib/i18n.js
  */
 
 import { Command } from 'commander';
 import inquirer from 'inquirer';
 import fs from 'fs';
-import os from 'os';
 import path from 'path';
 import { spawn } from 'child_process';
-import { getServers, saveServers, savePassword, getPassword, deletePassword, saveKeyContent, regenerateKeyFile, regenerateAllKeyFiles } from './lib/store.js';
-
-// Check if sshpass is available
-function checkSshpass() {
-  return new Promise((resolve) => {
-    const check = spawn('which', ['sshpass'], { stdio: 'ignore' });
-    check.on('close', (code) => {
-      resolve(code === 0);
-    });
-    check.on('error', () => resolve(false));
-  });
+import { fileURLToPath } from 'url';
+import { getServers, saveServers, getSettings, saveSettings, savePassword, getPassword, isManagedKey, regenerateKeyFile, regenerateAllKeyFiles, getCredential, getSecret, saveSecret, SECRET_KINDS, SYNC_PASSPHRASE_ID, backendNameFor, migrateCredentialBackend, getBackend, getDeleted, saveDeleted, getPersonalServers } from './lib/store.js';
+import { BACKENDS } from './lib/backends/index.js';
+import { runInteractive } from './lib/pty.js';
+import { validateName, validateServerName, validateLabels, validatePort, applyStartupChanges, addServer, updateServer, removeServers } from './lib/servers.js';
+import { connect } from './lib/connect.js';
+import { openCluster, CLUSTER_LAYOUTS } from './lib/cluster.js';
+import { NotFoundError } from './lib/errors.js';
+import { prepareConnection, describeChain, resolveJumps, jumpList, exportConnection, resolveKeyPath } from './lib/ssh.js';
+import { allTunnels, findTunnel, describeForwards, startTunnel, stopTunnel, tunnelStatus, logPath, superviseTunnel } from './lib/tunnel.js';
+import { runRemote, runPool, linePrefixer } from './lib/exec.js';
+import { selectServers, isPattern, serverTags, parseTags, groupServers } from './lib/select.js';
+import { resolveServer } from './lib/picker.js';
+import { lastUsed, readHistory, filterHistory, parseSince, usageStats, formatDuration } from './lib/history.js';
+import { FORMATS, printRows, printRecord } from './lib/format.js';
+import { RESTORE_STRATEGIES, askBundlePassphrase, encryptBundle, decryptBundle, readBundleFile, writeBundleFile, collectPayload, applyEntry, removeServer, planRestore } from './lib/bundle.js';
+import { describeTarget, pullBundle, pushBundle, mergePayloads } from './lib/sync.js';
+import { isGitSource, catalogFile, describeSource, parseCatalog, fetchCatalog, removeCatalogFiles } from './lib/catalog.js';
+import { serversFromSshConfig, dropJumpCycles, renderSshConfig } from './lib/sshconfig.js';
+import { DEFAULT_CHECK_TIMEOUT, prepareCheck, runCheck } from './lib/check.js';
+import { listRecordings, resolveRecording, replayRecording } from './lib/recording.js';
+import { serverOptions, startupCommand } from './lib/options.js';
+import { keyComment, generateKeypair, publicKeyFromPrivate, pendingKey, savePendingKey, deployKey, rotateKey, keyFileEncrypted, verifyKeyPassphrase } from './lib/keys.js';
+import { AGENT_MODES, agentMode, agentLifetime, systemAgent, listAgentKeys, loadKey } from './lib/agent.js';
+import { expandHome, tildePath, userSshConfigPath, profile, envProfile } from './lib/paths.js';
+import { profileExists, listProfiles, switchProfile, createProfile, setSavedProfile, checkRemovable, removeProfile } from './lib/profiles.js';
+import { HOST_KEY_POLICIES, hostKeyPolicy, knownHostsFile, knownFingerprints, forgetHostKey, scanHostKey, acceptHostKey } from './lib/hostkeys.js';
+import { DEFAULT_COMMANDS } from './lib/backends/command.js';
+import { unlock, lock, status as vaultStatus, changePassphrase, DEFAULT_TIMEOUT } from './lib/vault.js';
+import { STORE_KINDS, storeFile, diagnose, repair, restoreSnapshot } from './lib/doctor.js';
+import { LOCALES, t, getLocale, setLocale, emojiEnabled, setEmoji } from './lib/i18n.js';
+import { onWarning } from './lib/warnings.js';
+import { isAlive } from './lib/files.js';
+
+// Cảnh báo từ lib (key được tái tạo, catalog lỗi...) in ra stderr để không lẫn vào output
+onWarning(message => console.error(message));
+
+// Mã thoát cho script/CI: 1 = lỗi chung, 2 = không tìm thấy, 3 = không có dữ liệu
+const EXIT_ERROR = 1;
+const EXIT_NOT_FOUND = 2;
+const EXIT_EMPTY = 3;
+
+// In lỗi ra stderr (không lẫn vào output json/csv) và đặt mã thoát
+function fail(message, code = EXIT_ERROR) {
+  console.error(t('common.fail', { message }));
+  process.exitCode = code;
 }
 
-// Function to handle SSH connection
-async function handleSSH(name) {
+// Mã thoát theo loại lỗi của lib (lib/errors.js)
+function exitCodeFor(error) {
+  return error instanceof NotFoundError ? EXIT_NOT_FOUND : EXIT_ERROR;
+}
+
+// Tìm một server theo tên/selector (xem lib/picker.js), in cảnh báo nếu không có
+async function findServerOrWarn(selector, message) {
   const servers = getServers();
-  if (servers.length === 0) return console.log('⚠️ Chưa có server nào.');
+  const name = await resolveServer(servers, selector, message);
+  const server = servers.find(s => s.name === name);
+  if (!server) {
+    if (selector) fail(t('common.serverNotFound', { name: selector }), EXIT_NOT_FOUND);
+    else fail(t('common.noServers'), EXIT_EMPTY);
+  }
+  return server;
+}
+
+function parseJumpInput(value) {
+  return (value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
 
+// Function to handle SSH connection
+// record: ghi phiên (mặc định theo server.record)
+async function handleSSH(name, { record } = {}) {
+  const servers = getServers();
+  if (servers.length === 0) return fail(t('common.noServers'), EXIT_EMPTY);
   const server = servers.find(s => s.name === name);
-  if (!server) return console.log(`⚠️ Không tìm thấy server: ${name}`);
+  if (!server) return fail(t('common.serverNotFound', { name }), EXIT_NOT_FOUND);
 
-  // Đảm bảo server luôn có port, mặc định là 22
-  if (!server.port) server.port = '22';
+  const onStart = ({ conn, recording }) => {
+    const chain = describeChain(name, servers);
+    const via = chain ? t('connect.via', { chain }) : '';
+    const target = `${server.user}@${server.host}:${server.port || '22'}${via}`;
+    console.log(t(server.keyPath ? 'connect.connectingKey' : 'connect.connecting', { target }));
+    if (conn.startup) console.log(t('connect.startup', { command: conn.startup }));
+    if (recording) console.log(t('connect.recording', { file: recording }));
+  };
 
-  // If server has keyPath, use SSH key; otherwise fall back to password
-  if (server.keyPath) {
-    // expand ~ to home
-    let keyPath = server.keyPath.replace(/^~(?=$|\/)/, os.homedir());
-    
-    // If key file doesn't exist, try to regenerate it from stored content
-    if (!fs.existsSync(keyPath)) {
-      console.log(`⚠️ Không tìm thấy file key: ${keyPath}`);
-      console.log(`🔄 Đang thử tái tạo key file...`);
-      try {
-        keyPath = await regenerateKeyFile(name);
-        keyPath = keyPath.replace(/^~(?=$|\/)/, os.homedir());
-        if (!fs.existsSync(keyPath)) {
-          return console.log(`⚠️ Không thể tái tạo key file cho server: ${name}`);
-        }
-      } catch (error) {
-        return console.log(`⚠️ ${error.message}`);
-      }
-    }
-    
-    // Validate key file before using
-    try {
-      const keyContent = fs.readFileSync(keyPath, 'utf8');
-      if (!keyContent.includes('BEGIN') || !keyContent.includes('PRIVATE KEY')) {
-        console.log(`⚠️ Key file không hợp lệ: ${keyPath}`);
-        console.log(`🔄 Đang thử tái tạo key file...`);
-        try {
-          keyPath = await regenerateKeyFile(name);
-          keyPath = keyPath.replace(/^~(?=$|\/)/, os.homedir());
-        } catch (error) {
-          return console.log(`⚠️ Không thể tái tạo key file: ${error.message}`);
-        }
-      }
-    } catch (e) {
-      console.log(`⚠️ Không thể đọc key file: ${keyPath}`);
-      return;
-    }
-    
-    console.log(`🔐 Đang kết nối bằng SSH key tới ${server.user}@${server.host}:${server.port}...`);
-    // console.log(`🔑 Sử dụng SSH key: ${keyPath}`);
-    const ssh = spawn('ssh', [
-      '-o', 'StrictHostKeyChecking=no',
-      '-o', 'UserKnownHostsFile=/dev/null',
-      '-o', 'LogLevel=ERROR',
-      '-p', server.port,
-      '-i', keyPath,
-      `${server.user}@${server.host}`
-    ], { stdio: 'inherit' });
-
-    ssh.on('exit', code => {
-      if (code === 0) {
-        console.log(`🔌 Đã thoát khỏi SSH thành công`);
-      } else {
-        console.log(`🔌 SSH connection failed với mã: ${code}`);
-        if (code === 255) {
-          console.log(`💡 Gợi ý: Kiểm tra lại key file hoặc server có chấp nhận key này không`);
-        }
-      }
-      process.exit(code);
-    });
+  let result;
+  try {
+    result = await connect(name, { record, onStart });
+  } catch (error) {
+    return fail(error.message, exitCodeFor(error));
+  }
+  if (result.recording) console.log(t('connect.recorded', { file: result.recording }));
+  if (result.hostKeyChanged) {
+    console.log(t('connect.hostKeyChanged', { name: server.name }));
+    console.log(t('connect.hostKeyMitm'));
+    console.log(t('connect.hostKeyAccept', { name: server.name }));
+    process.exitCode = result.code;
     return;
   }
+  const hint = t(server.keyPath ? 'connect.hintKey' : 'connect.hintPassword');
+  reportExit(result.code, hint);
+}
 
-  const password = await getPassword(name);
-  if (!password) return console.log('⚠️ Không tìm thấy password đã lưu.');
-  
-  // Check if sshpass is available
-  const hasSshpass = await checkSshpass();
-  if (!hasSshpass) {
-    console.log('❌ sshpass không được tìm thấy. Vui lòng cài đặt:');
-    console.log('   Ubuntu/Debian: sudo apt install sshpass');
-    console.log('   CentOS/RHEL: sudo yum install sshpass');
-    console.log('   macOS: brew install sshpass');
-    console.log('   Hoặc sử dụng SSH key thay vì password');
-    return;
+// Chạy scp/sftp với option kết nối của server, qua pty nếu cần tự trả lời prompt
+function runTool(command, args, conn) {
+  if (conn.needsPty) {
+    return runInteractive(command, args, { answers: conn.answers });
   }
-  
-  console.log(`🔐 Đang kết nối tới ${server.user}@${server.host}:${server.port}...`);
-  
-  try {
-    const sshPassProc = spawn('sshpass', [
-      '-p', password,
-      'ssh',
-      '-o', 'StrictHostKeyChecking=no',
-      '-o', 'UserKnownHostsFile=/dev/null',
-      '-o', 'LogLevel=ERROR',
-      '-p', server.port,
-      `${server.user}@${server.host}`
-    ], {
-      stdio: 'inherit'
-    });
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: 'inherit' });
+    child.on('error', reject);
+    child.on('exit', code => resolve(code ?? 1));
+  });
+}
 
-    sshPassProc.on('error', (error) => {
-      if (error.code === 'ENOENT') {
-        console.log('❌ sshpass không được tìm thấy. Vui lòng cài đặt:');
-        console.log('   Ubuntu/Debian: sudo apt install sshpass');
-        console.log('   CentOS/RHEL: sudo yum install sshpass');
-        console.log('   macOS: brew install sshpass');
-        console.log('   Hoặc sử dụng SSH key thay vì password');
-      } else {
-        console.log(`❌ Lỗi SSH: ${error.message}`);
-      }
-      process.exit(1);
-    });
+// name:/path -> { name, path }, đường dẫn local trả về null
+function parseRemotePath(spec) {
+  const match = /^([^/:\\]+):(.*)$/.exec(spec);
+  return match ? { name: match[1], path: match[2] } : null;
+}
 
-    sshPassProc.on('exit', code => {
-      if (code === 0) {
-        console.log(`🔌 Đã thoát khỏi SSH thành công`);
-      } else {
-        console.log(`🔌 SSH connection failed với mã: ${code}`);
-        if (code === 255) {
-          console.log(`💡 Gợi ý: Kiểm tra lại thông tin server hoặc password`);
-        }
-      }
-      process.exit(code);
-    });
-  } catch (error) {
-    console.log(`❌ Lỗi khi khởi tạo SSH: ${error.message}`);
-    process.exit(1);
+function reportExit(code, hint) {
+  if (code === 0) {
+    console.log(t('connect.exited'));
+  } else {
+    console.log(t('connect.failed', { code }));
+    if (code === 255) {
+      console.log(hint);
+      console.log(t('connect.hintCheck'));
+    }
   }
+  process.exitCode = code;
 }
 
 const program = new Command();
 
 program
   .name('sshm')
-  .description('CLI quản lý và SSH nhanh vào server')
+  // option của lệnh gốc (--record) chỉ áp dụng cho `sshm [--record] <name>`, không lấn option cùng tên của subcommand
+  .enablePositionalOptions()
+  .description(t('program.description'))
   .version('1.0.0')
-  .argument('[name]', 'Tên server để kết nối trực tiếp')
-  .action(async (name) => {
+  .argument('[name]', t('program.argName'))
+  .option('--record', t('program.optRecord'))
+  .option('--profile <name>', t('program.optProfile'))
+  .option('--no-emoji', t('program.optNoEmoji'))
+  // --profile > SSHM_PROFILE > profile đã chọn bằng `sshm profile use` (xem lib/paths.js)
+  // (`sshm profile ...` vẫn chạy được khi SSHM_PROFILE trỏ tới profile chưa tạo)
+  .hook('preAction', (root, command) => {
+    const name = program.opts().profile || profile;
+    if (command.parent && command.parent.name() === 'profile' && name === profile && !profileExists(name)) return;
+    switchProfile(name);
+    // ngôn ngữ/emoji đọc lại theo config của profile vừa chọn
+    setLocale(null);
+    setEmoji(program.opts().emoji === false ? false : null);
+  })
+  .action(async (name, opts) => {
     try {
-      let serverName = name;
-      const servers = getServers();
-
-      if (!serverName) {
-        const answer = await inquirer.prompt([
-          {
-            type: 'list',
-            name: 'name',
-            message: 'Chọn server để SSH:',
-            choices: servers.map(s => `${s.name} (${s.user}@${s.host}:${s.port || '22'})`)
-          }
-        ]);
-        serverName = answer.name.split(' ')[0]; // Lấy phần tên trước dấu space
-      }
-
-      await handleSSH(serverName);
+      const server = await findServerOrWarn(name, t('connect.pick'));
+      if (!server) return;
+      await handleSSH(server.name, { record: opts.record });
     } catch (e) {
-      program.help()
+      if (!name) return program.help();
+      fail(e.message, exitCodeFor(e));
     }
   });
 
+async function readStdin() {
+  if (process.stdin.isTTY) throw new Error(t('stdin.empty'));
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// Gom option lặp lại (--option a=1 --option b=2)
+function collect(value, previous = []) {
+  return [...previous, value];
+}
+
+function startupFlags(opts) {
+  return {
+    options: opts.option,
+    env: opts.env,
+    unsetEnv: opts.unsetEnv,
+    remoteCommand: opts.remoteCommand,
+    cwd: opts.cwd
+  };
+}
+
+// Đọc cách xác thực từ flag: { keyFile } | { keyContent } | { password } | null
+async function authFromFlags(opts) {
+  const chosen = ['keyFile', 'keyStdin', 'passwordStdin'].filter(k => opts[k]);
+  if (chosen.length > 1) throw new Error(t('auth.oneOf'));
+  if (opts.keyFile) return { keyFile: opts.keyFile };
+  if (opts.keyStdin) return { keyContent: await readStdin() };
+  if (opts.passwordStdin) return { password: (await readStdin()).replace(/\r?\n$/, '') };
+  return null;
+}
+
+// Cách xác thực từ form inquirer (auth: password | key, keyMethod: file | paste)
+function authFromAnswers(answers) {
+  if (answers.auth === 'password') return { password: answers.password || '' };
+  if (answers.keyMethod === 'paste') return { keyContent: answers.keyContent || '' };
+  if (answers.keyMethod === 'file') return { keyFile: answers.keyPath };
+  return null;
+}
+
+// Thông báo kèm flag cần truyền khi addServer báo thiếu field (thông báo của lib không nhắc tới flag CLI)
+const ADD_MISSING = { host: 'add.missingHost', user: 'add.missingUser', auth: 'add.missingAuth' };
+
+// Thêm server và in kết quả. auth: xem authFromFlags
+async function createServer(fields, auth) {
+  const server = await addServer(fields, auth);
+  if (auth.keyContent !== undefined) console.log(t('add.keySaved', { path: server.keyPath }));
+  console.log(t('add.saved', { name: server.name }));
+  return server;
+}
+
+// Sửa server và in kết quả. changes: xem updateServer (lib/servers.js)
+async function editServer(name, changes) {
+  const updated = await updateServer(name, changes);
+  if (updated.name !== name) console.log(t('edit.renamed', { from: name, to: updated.name }));
+  if (changes.auth && changes.auth.keyContent !== undefined) console.log(t('add.keySaved', { path: updated.keyPath }));
+  console.log(t('edit.updated', { name: updated.name }));
+  return updated;
+}
+
+// Key có passphrase mà chưa lưu: hỏi và kiểm tra passphrase (form tương tác) hoặc nhắc cách lưu
+async function ensureKeyPassphrase(server, { interactive }) {
+  if (!server.keyPath || !keyFileEncrypted(server.keyPath)) return;
+  if (await getSecret(server.name, 'passphrase')) return;
+  if (!interactive || !process.stdin.isTTY) {
+    console.log(t('passphrase.hint', { name: server.name }));
+    return;
+  }
+  const { passphrase } = await inquirer.prompt([{
+    type: 'password',
+    name: 'passphrase',
+    message: t('passphrase.prompt'),
+    validate: async v => !v || (await verifyKeyPassphrase(server.keyPath, v)) || t('passphrase.wrong')
+  }]);
+  if (!passphrase) return;
+  await saveSecret(server.name, 'passphrase', passphrase);
+  console.log(t('passphrase.saved', { name: server.name }));
+}
+
 program
   .command('add')
-  .description('Thêm server mới')
-  .action(async () => {
+  .description(t('add.description'))
+  .option('--name <name>', t('opt.name'))
+  .option('--host <host>', t('opt.host'))
+  .option('--user <user>', t('opt.user'))
+  .option('-p, --port <port>', t('opt.port'), '22')
+  .option('--key-file <path>', t('add.optKeyFile'))
+  .option('--key-stdin', t('add.optKeyStdin'))
+  .option('--password-stdin', t('add.optPasswordStdin'))
+  .option('--jump <hops>', t('add.optJump'))
+  .option('--group <group>', t('add.optGroup'))
+  .option('--tags <tags>', t('add.optTags'))
+  .option('--forward-agent', t('add.optForwardAgent'))
+  .option('--record', t('add.optRecord'))
+  .option('--option <Key=Value>', t('add.optOption'), collect)
+  .option('--env <NAME[=value]>', t('add.optEnv'), collect)
+  .option('--remote-command <cmd>', t('add.optRemoteCommand'))
+  .option('--cwd <dir>', t('add.optCwd'))
+  .action(async (opts) => {
+    if (opts.name !== undefined) {
+      try {
+        const server = await createServer({ ...opts, ...startupFlags(opts), tags: parseTags(opts.tags), jump: parseJumpInput(opts.jump) }, await authFromFlags(opts));
+        await ensureKeyPassphrase(server, { interactive: false });
+      } catch (error) {
+        const missing = error.code === 'SSHM_INVALID' && error.missing && ADD_MISSING[error.field];
+        fail(missing ? t(missing) : error.message, exitCodeFor(error));
+      }
+      return;
+    }
+
     const answers = await inquirer.prompt([
-      { type: 'input', name: 'name', message: 'Tên server:' },
-      { type: 'input', name: 'host', message: 'Địa chỉ host:' },
-      { type: 'input', name: 'user', message: 'Tên user SSH:' },
-      { type: 'input', name: 'port', message: 'Port SSH:', default: '22' },
+      { type: 'input', name: 'name', message: t('prompt.name'), validate: v => validateServerName(v, getServers()) },
+      { type: 'input', name: 'host', message: t('prompt.host') },
+      { type: 'input', name: 'user', message: t('prompt.user') },
+      { type: 'input', name: 'port', message: t('prompt.port'), default: '22', validate: validatePort },
       {
         type: 'list',
         name: 'auth',
-        message: 'Phương thức xác thực:',
+        message: t('prompt.auth'),
         choices: [
           { name: 'Password', value: 'password' },
           { name: 'SSH key', value: 'key' }
         ],
         default: 'password'
       },
-      { type: 'password', name: 'password', message: 'Mật khẩu SSH:', when: a => a.auth === 'password' },
+      { type: 'password', name: 'password', message: t('prompt.password'), when: a => a.auth === 'password' },
       {
         type: 'list',
         name: 'keyMethod',
-        message: 'Cách nhập key:',
+        message: t('prompt.keyMethod'),
         when: a => a.auth === 'key',
         choices: [
-          { name: 'Dùng file key có sẵn', value: 'file' },
-          { name: 'Dán nội dung key', value: 'paste' }
+          { name: t('prompt.keyFile'), value: 'file' },
+          { name: t('prompt.keyPaste'), value: 'paste' }
         ]
       },
-      { type: 'input', name: 'keyPath', message: 'Đường dẫn private key:', default: '~/.ssh/id_rsa', when: a => a.auth === 'key' && a.keyMethod === 'file' },
-      { type: 'editor', name: 'keyContent', message: 'Dán nội dung private key vào đây (Ctrl+S để lưu, Ctrl+Q để thoát):', when: a => a.auth === 'key' && a.keyMethod === 'paste' }
+      { type: 'input', name: 'keyPath', message: t('prompt.keyPath'), default: '~/.ssh/id_rsa', when: a => a.auth === 'key' && a.keyMethod === 'file' },
+      { type: 'editor', name: 'keyContent', message: t('prompt.keyContent'), when: a => a.auth === 'key' && a.keyMethod === 'paste' },
+      {
+        type: 'input',
+        name: 'jump',
+        message: t('add.promptJump'),
+        when: () => getServers().length > 0,
+        validate: v => {
+          const names = getServers().map(s => s.name);
+          const missing = parseJumpInput(v).filter(n => !names.includes(n));
+          return missing.length === 0 || t('common.serverNotFound', { name: missing.join(', ') });
+        }
+      },
+      { type: 'input', name: 'group', message: t('add.promptGroup'), validate: validateLabels },
+      { type: 'input', name: 'tags', message: t('prompt.tags'), validate: validateLabels }
     ]);
 
-    const servers = getServers();
-    const server = {
-      name: answers.name,
-      host: answers.host,
-      user: answers.user,
-      port: answers.port || '22'
-    };
+    try {
+      const server = await createServer({ ...answers, group: answers.group.trim(), tags: parseTags(answers.tags), jump: parseJumpInput(answers.jump) }, authFromAnswers(answers));
+      await ensureKeyPassphrase(server, { interactive: true });
+    } catch (error) {
+      console.log(t('add.failed', { message: error.message }));
+    }
+  });
 
-    if (answers.auth === 'key') {
-      if (answers.keyMethod === 'paste' && answers.keyContent) {
-        // write pasted key content to a secure file under ~/.sshm/keys
-        const keysDir = path.join(os.homedir(), '.sshm', 'keys');
-        if (!fs.existsSync(keysDir)) {
-          fs.mkdirSync(keysDir, { recursive: true, mode: 0o700 });
-        }
-        
-        const keyFile = path.join(keysDir, `${answers.name}_key`);
-        
-        // Validate key content
-        const keyContent = answers.keyContent.trim();
-        if (!keyContent) {
-          console.log('⚠️ Không có nội dung key. Hủy.');
-          return;
-        }
-        
-        if (!keyContent.includes('PRIVATE KEY')) {
-          console.log('⚠️ Nội dung không phải private key hợp lệ. Hủy.');
-          return;
-        }
-        
-        // Write key with proper permissions
-        fs.writeFileSync(keyFile, keyContent + '\n', { mode: 0o600 });
-        try {
-          fs.chmodSync(keyFile, 0o600);
-          console.log(`🔑 Đã lưu key vào: ~/.sshm/keys/${answers.name}_key`);
-        } catch (e) {
-          console.log('⚠️ Không thể set quyền 600 cho file key');
-        }
-        
-        // Save key content to credentials for regeneration
-        await saveKeyContent(answers.name, keyContent);
-        
-        server.keyPath = `~/.sshm/keys/${answers.name}_key`;
-      } else if (answers.keyMethod === 'file') {
-        // Lưu đường dẫn với ~/
-        server.keyPath = answers.keyPath;
-        // Kiểm tra file tồn tại bằng đường dẫn đầy đủ
-        const fullKeyPath = answers.keyPath.replace(/^~(?=$|\/)/, os.homedir());
-        if (!fs.existsSync(fullKeyPath)) {
-          console.log(`⚠️ Không tìm thấy file key: ${answers.keyPath}`);
-          return;
-        }
-      } else {
-        console.log('⚠️ Thiếu thông tin key SSH. Hủy.');
-        return;
+program
+  .command('edit <name>')
+  .description(t('edit.description'))
+  .option('--name <newName>', t('edit.optName'))
+  .option('--host <host>', t('opt.host'))
+  .option('--user <user>', t('opt.user'))
+  .option('-p, --port <port>', t('opt.port'))
+  .option('--key-file <path>', t('edit.optKeyFile'))
+  .option('--key-stdin', t('edit.optKeyStdin'))
+  .option('--password-stdin', t('edit.optPasswordStdin'))
+  .option('--jump <hops>', t('edit.optJump'))
+  .option('--group <group>', t('edit.optGroup'))
+  .option('--tags <tags>', t('edit.optTags'))
+  .option('--forward-agent', t('edit.optForwardAgent'))
+  .option('--no-forward-agent', t('edit.optNoForwardAgent'))
+  .option('--record', t('edit.optRecord'))
+  .option('--no-record', t('edit.optNoRecord'))
+  .option('--option <Key=Value>', t('edit.optOption'), collect)
+  .option('--env <NAME[=value]>', t('edit.optEnv'), collect)
+  .option('--unset-env <NAME>', t('edit.optUnsetEnv'), collect)
+  .option('--remote-command <cmd>', t('edit.optRemoteCommand'))
+  .option('--cwd <dir>', t('edit.optCwd'))
+  .action(async (selector, opts) => {
+    const server = await findServerOrWarn(selector, t('edit.pick'));
+    if (!server) return;
+    const { name } = server;
+
+    const flagged = ['name', 'host', 'user', 'port', 'keyFile', 'keyStdin', 'passwordStdin', 'jump', 'group', 'tags', 'forwardAgent', 'record', 'option', 'env', 'unsetEnv', 'remoteCommand', 'cwd'].some(k => opts[k] !== undefined);
+    if (flagged) {
+      try {
+        const updated = await editServer(name, {
+          name: opts.name,
+          host: opts.host,
+          user: opts.user,
+          port: opts.port,
+          group: opts.group !== undefined ? opts.group.trim() : undefined,
+          tags: opts.tags !== undefined ? parseTags(opts.tags) : undefined,
+          jump: opts.jump !== undefined ? parseJumpInput(opts.jump) : undefined,
+          forwardAgent: opts.forwardAgent,
+          record: opts.record,
+          ...startupFlags(opts),
+          auth: await authFromFlags(opts)
+        });
+        await ensureKeyPassphrase(updated, { interactive: false });
+      } catch (error) {
+        fail(error.message, exitCodeFor(error));
       }
+      return;
     }
 
-    servers.push(server);
-    saveServers(servers);
+    const managed = isManagedKey(server);
+    const answers = await inquirer.prompt([
+      { type: 'input', name: 'name', message: t('prompt.name'), default: server.name, validate: v => validateServerName(v, getServers(), name) },
+      { type: 'input', name: 'host', message: t('prompt.host'), default: server.host },
+      { type: 'input', name: 'user', message: t('prompt.user'), default: server.user },
+      { type: 'input', name: 'port', message: t('prompt.port'), default: server.port || '22', validate: validatePort },
+      {
+        type: 'list',
+        name: 'auth',
+        message: t('prompt.auth'),
+        choices: [
+          { name: t('edit.keepAuth', { auth: server.keyPath ? t('edit.keyAuth', { path: server.keyPath }) : 'Password' }), value: 'keep' },
+          { name: t('edit.newPassword'), value: 'password' },
+          { name: t('prompt.keyFile'), value: 'file' },
+          { name: t('prompt.keyPaste'), value: 'paste' }
+        ],
+        default: 'keep'
+      },
+      { type: 'password', name: 'password', message: t('prompt.password'), when: a => a.auth === 'password' },
+      { type: 'input', name: 'keyPath', message: t('prompt.keyPath'), default: server.keyPath && !managed ? server.keyPath : '~/.ssh/id_rsa', when: a => a.auth === 'file' },
+      { type: 'editor', name: 'keyContent', message: t('prompt.keyContent'), when: a => a.auth === 'paste' },
+      {
+        type: 'input',
+        name: 'jump',
+        message: t('edit.promptJump'),
+        default: jumpList(server).join(',')
+      },
+      { type: 'input', name: 'group', message: t('edit.promptGroup'), default: server.group || '', validate: validateLabels },
+      { type: 'input', name: 'tags', message: t('prompt.tags'), default: serverTags(server).join(','), validate: validateLabels },
+      { type: 'confirm', name: 'forwardAgent', message: t('edit.promptForwardAgent'), default: Boolean(server.forwardAgent) },
+      { type: 'confirm', name: 'record', message: t('edit.promptRecord'), default: Boolean(server.record) }
+    ]);
 
-    if (answers.auth === 'password') {
-      await savePassword(answers.name, answers.password);
+    const auth = answers.auth === 'keep'
+      ? null
+      : authFromAnswers({ ...answers, auth: answers.auth === 'password' ? 'password' : 'key', keyMethod: answers.auth });
+    try {
+      const updated = await editServer(name, {
+        name: answers.name,
+        host: answers.host,
+        user: answers.user,
+        port: answers.port,
+        group: answers.group.trim(),
+        tags: parseTags(answers.tags),
+        jump: parseJumpInput(answers.jump),
+        forwardAgent: answers.forwardAgent,
+        record: answers.record,
+        auth
+      });
+      if (auth) await ensureKeyPassphrase(updated, { interactive: true });
+    } catch (error) {
+      console.log(t('common.fail', { message: error.message }));
     }
-
-    console.log(`✅ Đã lưu server "${answers.name}"`);
   });
 
+// Cột của `sshm ls`: tên cột -> giá trị (mảng được nối lại khi in table/csv)
+const LS_COLUMNS = {
+  name: s => s.name,
+  host: s => s.host,
+  user: s => s.user,
+  port: s => String(s.port || '22'),
+  auth: s => (s.keyPath ? 'key' : 'password'),
+  key: s => s.keyPath || null,
+  jump: (s, ctx) => {
+    const chain = describeChain(s.name, ctx.servers);
+    return chain ? chain.split(' → ') : [];
+  },
+  group: s => s.group || null,
+  tags: s => serverTags(s),
+  last: (s, ctx) => ctx.recent[s.name] || null,
+  catalog: s => s.catalog || null
+};
+const DEFAULT_LS_COLUMNS = ['name', 'user', 'host', 'port', 'auth', 'group', 'tags', 'jump'];
+
+function parseFormat(format, allowed = FORMATS) {
+  if (!allowed.includes(format)) {
+    fail(t('common.badFormat', { format, supported: allowed.join(', ') }));
+    return null;
+  }
+  return format;
+}
+
 program
   .command('ls')
-  .description('Liệt kê danh sách server')
-  .action(() => {
+  .description(t('ls.description'))
+  .option('--tag <tag>', t('ls.optTag'))
+  .option('--group <group>', t('ls.optGroup'))
+  .option('--filter <text>', t('ls.optFilter'))
+  .option('--format <format>', t('opt.format', { formats: FORMATS.join(', ') }), 'table')
+  .option('--columns <list>', t('ls.optColumns', { columns: Object.keys(LS_COLUMNS).join(', ') }))
+  .action((opts) => {
+    const format = parseFormat(opts.format);
+    if (!format) return;
+    const columns = !opts.columns ? DEFAULT_LS_COLUMNS
+      : opts.columns === 'all' ? Object.keys(LS_COLUMNS)
+        : opts.columns.split(',').map(c => c.trim()).filter(Boolean);
+    const unknown = columns.filter(c => !LS_COLUMNS[c]);
+    if (unknown.length > 0) return fail(t('ls.badColumns', { columns: unknown.join(', '), supported: Object.keys(LS_COLUMNS).join(', ') }));
+
     const servers = getServers();
-    if (servers.length === 0) return console.log('⚠️ Chưa có server nào.');
-    
-    // Hiển thị chỉ thông tin auth type
-    const authInfo = servers.map(server => ({
-      name: server.name,
-      host: server.host,
-      auth: server.keyPath ? 'SSH Key' : 'Password'
-    }));
-    
-    console.table(authInfo);
+    let shown = servers;
+    if (opts.tag) shown = selectServers(shown, `tag:${opts.tag}`);
+    if (opts.group) shown = selectServers(shown, `group:${opts.group}`);
+    if (opts.filter) shown = groupServers(shown, { query: opts.filter }).flatMap(g => g.servers);
+
+    if (shown.length === 0) {
+      // script vẫn nhận được output hợp lệ (rỗng), kèm mã thoát EXIT_EMPTY
+      if (format !== 'table') printRows([], { format, columns });
+      return fail(t(servers.length === 0 ? 'common.noServers' : 'common.noMatch'), EXIT_EMPTY);
+    }
+
+    const ctx = { servers, recent: lastUsed() };
+    const rows = shown.map(server => Object.fromEntries(columns.map(c => [c, LS_COLUMNS[c](server, ctx)])));
+    printRows(rows, { format, columns });
+  });
+
+// Thông tin secret của server: chỉ cho biết đã lưu hay chưa, không bao giờ in giá trị
+async function describeSecrets(name) {
+  const REDACTED = '[redacted]';
+  const info = { backend: backendNameFor(name) };
+  try {
+    const cred = await getCredential(name);
+    info.primary = cred ? { type: cred.type, value: REDACTED } : null;
+    for (const kind of SECRET_KINDS) {
+      info[kind] = (await getSecret(name, kind)) ? REDACTED : null;
+    }
+  } catch (error) {
+    info.error = error.message;
+  }
+  return info;
+}
+
+program
+  .command('show [name]')
+  .description(t('show.description'))
+  .option('--format <format>', t('opt.format', { formats: 'yaml, json' }), 'yaml')
+  .option('--no-secrets', t('show.optNoSecrets'))
+  .action(async (selector, opts) => {
+    const format = parseFormat(opts.format, ['yaml', 'json']);
+    if (!format) return;
+    const server = await findServerOrWarn(selector);
+    if (!server) return;
+
+    const servers = getServers();
+    const record = {
+      ...server,
+      port: String(server.port || '22'),
+      chain: describeChain(server.name, servers) || null,
+      lastConnected: lastUsed()[server.name] || null,
+      hostKeyPolicy: hostKeyPolicy(server, getSettings())
+    };
+    // giá trị sau khi kế thừa settings.defaults
+    const effective = serverOptions(server, getSettings());
+    record.effective = { ...effective, startup: startupCommand(effective) };
+    if (opts.secrets) record.credentials = await describeSecrets(server.name);
+    printRecord(record, format);
+  });
+
+program
+  .command('defaults')
+  .description(t('defaults.description'))
+  .option('--option <Key=Value>', t('defaults.optOption'), collect)
+  .option('--env <NAME[=value]>', t('defaults.optEnv'), collect)
+  .option('--unset-env <NAME>', t('edit.optUnsetEnv'), collect)
+  .option('--remote-command <cmd>', t('edit.optRemoteCommand'))
+  .option('--cwd <dir>', t('edit.optCwd'))
+  .option('--format <format>', t('opt.format', { formats: 'yaml, json' }), 'yaml')
+  .action((opts) => {
+    const format = parseFormat(opts.format, ['yaml', 'json']);
+    if (!format) return;
+    const settings = getSettings();
+    const changes = startupFlags(opts);
+    if (Object.values(changes).every(v => v === undefined)) return printRecord(settings.defaults || {}, format);
+
+    let defaults;
+    try {
+      defaults = applyStartupChanges(settings.defaults || {}, changes);
+    } catch (error) {
+      return fail(error.message);
+    }
+    const next = { ...settings, defaults };
+    if (Object.keys(defaults).length === 0) delete next.defaults;
+    saveSettings(next);
+    console.log(t('defaults.updated'));
+    printRecord(defaults, format);
   });
 
 program
   .command('rm [name]')
-  .description('Xóa server theo tên (nếu không truyền sẽ hiển thị menu)')
+  .description(t('rm.description'))
   .action(async (name) => {
     const servers = getServers();
-    if (servers.length === 0) return console.log('⚠️ Chưa có server nào.');
+    if (servers.length === 0) return fail(t('common.noServers'), EXIT_EMPTY);
 
-    let targetName = name;
-    if (!targetName) {
-      const answer = await inquirer.prompt([{ type: 'list', name: 'name', message: 'Chọn server cần xóa:', choices: servers.map(s => s.name) }]);
-      targetName = answer.name;
+    const targets = name && isPattern(name) ? selectServers(servers, name).map(s => s.name) : [];
+    if (targets.length === 0) {
+      const server = await findServerOrWarn(name, t('rm.pick'));
+      if (!server) return;
+      targets.push(server.name);
     }
 
-    const idx = servers.findIndex(s => s.name === targetName);
-    if (idx === -1) return console.log(`⚠️ Không tìm thấy server: ${targetName}`);
+    const dependents = servers.filter(s => !targets.includes(s.name) && jumpList(s).some(h => targets.includes(h)));
+    for (const dependent of dependents) {
+      console.log(t('rm.usedAsJump', { name: dependent.name, hosts: jumpList(dependent).filter(h => targets.includes(h)).join(', ') }));
+    }
 
-    const { confirm } = await inquirer.prompt([{ type: 'confirm', name: 'confirm', message: `Bạn có chắc muốn xóa "${targetName}"?`, default: false }]);
-    if (!confirm) return console.log('Hủy xóa.');
+    const label = targets.length === 1 ? `"${targets[0]}"` : t('rm.many', { count: targets.length, names: targets.join(', ') });
+    const { confirm } = await inquirer.prompt([{ type: 'confirm', name: 'confirm', message: t('rm.confirm', { label }), default: false }]);
+    if (!confirm) return console.log(t('rm.cancelled'));
 
-    const [removed] = servers.splice(idx, 1);
-    saveServers(servers);
+    for (const server of await removeServers(targets)) {
+      // server catalog vẫn còn, chỉ mất phần cá nhân
+      if (server.catalog) console.log(t('rm.catalogKept', { name: server.name, catalog: server.catalog }));
+      else console.log(t('rm.removed', { name: server.name }));
+    }
+  });
 
-    // delete password if any
-    try { await deletePassword(removed.name); } catch (e) { /* ignore */ }
+program
+  .command('connect [name]')
+  .description(t('connect.description'))
+  .option('--record', t('program.optRecord'))
+  .option('--no-record', t('connect.optNoRecord'))
+  .action(async (nameArg, opts) => {
+    const server = await findServerOrWarn(nameArg, t('connect.pick'));
+    if (!server) return;
+    await handleSSH(server.name, { record: opts.record });
+  });
 
-    // delete key file if it is inside ~/.sshm/keys
-    try {
-      const keysDir = path.join(os.homedir(), '.sshm', 'keys');
-      const fullKeyPath = removed.keyPath ? removed.keyPath.replace(/^~(?=$|\/)/, os.homedir()) : null;
-      if (fullKeyPath && fullKeyPath.startsWith(keysDir) && fs.existsSync(fullKeyPath)) {
-        fs.unlinkSync(fullKeyPath);
-      }
-    } catch (e) { /* ignore */ }
+// --since của history/stats: null nếu không truyền, undefined nếu không hợp lệ (đã báo lỗi)
+function sinceOption(value) {
+  if (!value) return null;
+  try {
+    return parseSince(value);
+  } catch (error) {
+    fail(error.message);
+    return undefined;
+  }
+}
+
+program
+  .command('history [selector]')
+  .description(t('history.description'))
+  .option('--since <time>', t('history.optSince'))
+  .option('--failed', t('history.optFailed'))
+  .option('-n, --limit <n>', t('history.optLimit'), '20')
+  .option('--format <format>', t('opt.format', { formats: FORMATS.join(', ') }), 'table')
+  .action((selector, opts) => {
+    const format = parseFormat(opts.format);
+    if (!format) return;
+    const since = sinceOption(opts.since);
+    if (since === undefined) return;
+
+    let names = null;
+    if (selector) {
+      // server đã xóa vẫn còn trong lịch sử: khớp thẳng theo tên
+      names = [...new Set([selector, ...selectServers(getServers(), selector).map(s => s.name)])];
+    }
+    const limit = Number(opts.limit) || 0;
+    let entries = filterHistory(readHistory(), { names, since, failed: opts.failed }).reverse();
+    if (limit > 0) entries = entries.slice(0, limit);
+
+    const columns = ['start', 'server', 'target', 'via', 'auth', 'duration', 'exit', 'recording'];
+    if (entries.length === 0) {
+      if (format !== 'table') printRows([], { format, columns });
+      return fail(t('history.empty'), EXIT_EMPTY);
+    }
+    printRows(entries.map(e => ({
+      start: format === 'table' ? new Date(e.start).toLocaleString() : e.start,
+      server: e.server,
+      target: `${e.user}@${e.host}:${e.port}`,
+      via: e.via || [],
+      auth: e.auth,
+      duration: format === 'table' ? formatDuration(e.durationMs) : e.durationMs,
+      exit: e.exitCode,
+      recording: e.recording || null
+    })), { format, columns });
+  });
+
+program
+  .command('stats')
+  .description(t('stats.description'))
+  .option('--since <time>', t('stats.optSince'))
+  .option('-n, --limit <n>', t('stats.optLimit'), '10')
+  .option('--format <format>', t('opt.format', { formats: FORMATS.join(', ') }), 'table')
+  .action((opts) => {
+    const format = parseFormat(opts.format);
+    if (!format) return;
+    const since = sinceOption(opts.since);
+    if (since === undefined) return;
 
-    console.log(`✅ Đã xóa server "${targetName}"`);
+    const limit = Number(opts.limit) || 0;
+    let stats = usageStats(filterHistory(readHistory(), { since }));
+    if (limit > 0) stats = stats.slice(0, limit);
+
+    const columns = ['server', 'sessions', 'failures', 'total', 'average', 'last'];
+    if (stats.length === 0) {
+      if (format !== 'table') printRows([], { format, columns });
+      return fail(t('stats.empty'), EXIT_EMPTY);
+    }
+    const table = format === 'table';
+    const existing = new Set(getServers().map(s => s.name));
+    printRows(stats.map(stat => ({
+      server: table && !existing.has(stat.server) ? t('stats.deleted', { name: stat.server }) : stat.server,
+      sessions: stat.sessions,
+      failures: stat.failures,
+      total: table ? formatDuration(stat.totalMs) : stat.totalMs,
+      average: table ? formatDuration(stat.avgMs) : stat.avgMs,
+      last: table ? new Date(stat.last).toLocaleString() : stat.last
+    })), { format, columns });
   });
 
 program
-  .command('connect [name]')
-  .description('Chọn server để SSH')
-  .action(async (nameArg) => {
+  .command('last')
+  .description(t('last.description'))
+  .action(async () => {
     const servers = getServers();
-    if (servers.length === 0) return console.log('⚠️ Chưa có server nào.');
-
-    let targetName = nameArg;
-    if (!targetName) {
-      const answer = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'name',
-          message: 'Chọn server để SSH:',
-          choices: servers.map(s => `${s.name} (${s.user}@${s.host}:${s.port || '22'})`)
-        }
-      ]);
-      targetName = answer.name.split(' ')[0]; // Lấy phần tên trước dấu space
+    const names = new Set(servers.map(s => s.name));
+    // bỏ qua server đã bị xóa
+    const previous = readHistory().reverse().find(e => names.has(e.server));
+    if (!previous) return fail(t('last.empty'), EXIT_EMPTY);
+    console.log(t('last.reconnecting', { name: previous.server, time: new Date(previous.start).toLocaleString() }));
+    await handleSSH(previous.server);
+  });
+
+program
+  .command('replay <file>')
+  .description(t('replay.description'))
+  .option('-s, --speed <n>', t('replay.optSpeed'), '1')
+  .option('-i, --idle-limit <seconds>', t('replay.optIdleLimit'))
+  .action(async (name, opts) => {
+    const file = resolveRecording(name);
+    if (!file) return fail(t('recordings.notFound', { name }), EXIT_NOT_FOUND);
+    const speed = Number(opts.speed);
+    if (!(speed > 0)) return fail(t('replay.badSpeed', { value: opts.speed }));
+    const idleLimit = opts.idleLimit !== undefined ? Number(opts.idleLimit) : null;
+    if (idleLimit !== null && !(idleLimit >= 0)) return fail(t('replay.badIdleLimit', { value: opts.idleLimit }));
+    try {
+      await replayRecording(file, { speed, idleLimit });
+    } catch (error) {
+      return fail(error.message);
+    }
+    console.log(t('replay.end'));
+  });
+
+const recordingsCmd = program
+  .command('recordings')
+  .description(t('recordings.description'));
+
+recordingsCmd
+  .command('ls [selector]')
+  .description(t('recordings.lsDescription'))
+  .option('--format <format>', t('opt.format', { formats: FORMATS.join(', ') }), 'table')
+  .action((selector, opts) => {
+    const format = parseFormat(opts.format);
+    if (!format) return;
+    let recordings = listRecordings();
+    if (selector) {
+      const names = new Set([selector, ...selectServers(getServers(), selector).map(s => s.name)]);
+      recordings = recordings.filter(r => names.has(r.server));
+    }
+    const columns = ['file', 'server', 'start', 'duration', 'size'];
+    if (recordings.length === 0) {
+      if (format !== 'table') printRows([], { format, columns });
+      return fail(t('recordings.empty'), EXIT_EMPTY);
     }
+    const table = format === 'table';
+    printRows(recordings.map(r => ({
+      ...r,
+      start: table && r.start ? new Date(r.start).toLocaleString() : r.start,
+      duration: table ? formatDuration(r.durationMs) : r.durationMs,
+      size: table ? `${(r.size / 1024).toFixed(1)} KB` : r.size
+    })), { format, columns });
+  });
 
-    await handleSSH(targetName);
+recordingsCmd
+  .command('rm [files...]')
+  .description(t('recordings.rmDescription'))
+  .option('--older-than <time>', t('recordings.optOlderThan'))
+  .action((files, opts) => {
+    let targets = [];
+    if (opts.olderThan) {
+      const before = sinceOption(opts.olderThan);
+      if (!before) return;
+      targets = listRecordings().filter(r => r.start && new Date(r.start) < before).map(r => resolveRecording(r.file));
+    }
+    for (const name of files) {
+      const file = resolveRecording(name);
+      if (!file || !file.endsWith('.cast')) {
+        fail(t('recordings.notFound', { name }), EXIT_NOT_FOUND);
+        continue;
+      }
+      targets.push(file);
+    }
+    if (files.length === 0 && !opts.olderThan) return fail(t('recordings.rmUsage'));
+    for (const file of new Set(targets)) {
+      fs.unlinkSync(file);
+      console.log(t('recordings.removed', { file: path.basename(file) }));
+    }
+    if (targets.length === 0 && opts.olderThan) console.log(t('recordings.noneOlder'));
   });
 
 program
   .command('regen [name]')
-  .description('Tái tạo key file từ content đã lưu')
+  .description(t('regen.description'))
   .action(async (nameArg) => {
     const servers = getServers();
     const keyServers = servers.filter(s => s.keyPath);
     
-    if (keyServers.length === 0) return console.log('⚠️ Không có server nào sử dụng SSH key.');
-    
-    let targetName = nameArg;
-    if (!targetName) {
-      const answer = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'name',
-          message: 'Chọn server để tái tạo key:',
-          choices: keyServers.map(s => `${s.name} (${s.user}@${s.host})`)
-        }
-      ]);
-      targetName = answer.name.split(' ')[0]; // Lấy phần tên trước dấu space
-    }
+    if (keyServers.length === 0) return fail(t('regen.noKeyServers'), EXIT_EMPTY);
     
-    try {
-      await regenerateKeyFile(targetName);
-      console.log(`✅ Đã tái tạo key file cho server "${targetName}"`);
-    } catch (error) {
-      console.log(`⚠️ ${error.message}`);
+    const targets = nameArg && isPattern(nameArg)
+      ? selectServers(keyServers, nameArg).map(s => s.name)
+      : [await resolveServer(keyServers, nameArg, t('regen.pick'))].filter(Boolean);
+    if (targets.length === 0) return fail(t('regen.notFound', { name: nameArg }), EXIT_NOT_FOUND);
+
+    for (const targetName of targets) {
+      try {
+        await regenerateKeyFile(targetName);
+        console.log(t('regen.done', { name: targetName }));
+      } catch (error) {
+        console.log(t('common.fail', { message: error.message }));
+      }
     }
   });
 
 program
   .command('regen-all')
-  .description('Tái tạo tất cả key files từ content đã lưu (dùng khi thư mục keys bị xóa)')
+  .description(t('regenAll.description'))
   .action(async () => {
-    console.log('🔄 Đang tái tạo tất cả key files...');
+    console.log(t('regenAll.start'));
     const results = await regenerateAllKeyFiles();
     
     if (results.length === 0) {
-      console.log('ℹ️ Không có key nào để tái tạo.');
+      console.log(t('regenAll.none'));
       return;
     }
+
+    for (const r of results) {
+      console.log(r.status === 'success'
+        ? t('store.keyRegenerated', { file: r.path })
+        : t('store.regenFailed', { name: r.name, message: r.reason }));
+    }
     
     const successCount = results.filter(r => r.status === 'success').length;
     const failedCount = results.filter(r => r.status === 'failed').length;
     
-    console.log(`\n📊 Kết quả tái tạo:`);
-    console.log(`✅ Thành công: ${successCount}`);
-    console.log(`❌ Thất bại: ${failedCount}`);
+    console.log(t('regenAll.summary'));
+    console.log(t('regenAll.success', { count: successCount }));
+    console.log(t('regenAll.failed', { count: failedCount }));
     
     if (failedCount > 0) {
-      console.log('\n⚠️ Các key thất bại:');
+      console.log(t('regenAll.failedList'));
       results.filter(r => r.status === 'failed').forEach(r => {
         console.log(`  - ${r.name}: ${r.reason}`);
       });
     }
   });
 
-program.parseAsync();
\ No newline at end of file
+const configCmd = program
+  .command('config')
+  .description(t('config.description'));
+
+// ok | missing | broken | invalid | unsupported (xem lib/doctor.js)
+function doctorStatus(status) {
+  return t(`doctor.status.${status}`);
+}
+
+configCmd
+  .command('doctor')
+  .description(t('doctor.description'))
+  .option('--fix', t('doctor.optFix'))
+  .option('--restore <n>', t('doctor.optRestore'))
+  .option('--credentials', t('doctor.optCredentials'))
+  .action((opts) => {
+    if (opts.restore !== undefined) {
+      const index = Number(opts.restore);
+      if (!Number.isInteger(index) || index < 1) return fail(t('doctor.badIndex', { value: opts.restore }));
+      const kind = opts.credentials ? 'credentials' : 'config';
+      try {
+        const restored = restoreSnapshot(kind, index);
+        console.log(t('doctor.restored', { file: path.basename(storeFile(kind)), index }));
+        if (restored.status !== 'ok') console.log(t('doctor.restoredWithProblems', { problems: restored.problems.map(p => `\n  - ${p}`).join('') }));
+      } catch (error) {
+        fail(error.message, exitCodeFor(error));
+      }
+      return;
+    }
+
+    for (const kind of STORE_KINDS) {
+      if (opts.fix) {
+        try {
+          for (const action of repair(kind)) console.log(t('doctor.fixed', { file: path.basename(storeFile(kind)), action }));
+        } catch (error) {
+          fail(error.message);
+        }
+      }
+      const report = diagnose(kind);
+      console.log(t('doctor.report', { file: report.file, status: doctorStatus(report.status) }));
+      for (const problem of report.problems) console.log(`  - ${problem}`);
+      if (report.status !== 'ok' && report.status !== 'missing') process.exitCode = EXIT_ERROR;
+      if (report.lock) {
+        console.log(report.lock.stale
+          ? t('doctor.staleLock', { pid: report.lock.pid ? ` (pid ${report.lock.pid})` : '' })
+          : t('doctor.locked', { pid: report.lock.pid, time: report.lock.time.toLocaleString() }));
+      }
+      if (report.snapshots.length === 0) {
+        console.log(t('doctor.noSnapshots'));
+        continue;
+      }
+      console.table(report.snapshots.map(s => ({
+        '#': s.index,
+        time: s.time.toLocaleString(),
+        size: `${(s.size / 1024).toFixed(1)} KB`,
+        status: doctorStatus(s.status)
+      })));
+    }
+    if (!opts.fix && process.exitCode === EXIT_ERROR) {
+      console.log(t('doctor.hint'));
+    }
+  });
+
+configCmd
+  .command('language [locale]')
+  .description(t('config.languageDescription', { locales: Object.keys(LOCALES).join(', ') }))
+  .action((value) => {
+    const settings = getSettings();
+    if (value !== undefined) {
+      if (value !== 'auto' && !LOCALES[value]) return fail(t('config.badLanguage', { value, supported: [...Object.keys(LOCALES), 'auto'].join(', ') }));
+      const next = { ...settings, language: value };
+      if (value === 'auto') delete next.language;
+      saveSettings(next);
+      setLocale(next.language || null);
+    }
+    const auto = !LOCALES[getSettings().language];
+    console.log(t('config.language', { locale: getLocale(), source: auto ? t('config.languageAuto') : '' }));
+  });
+
+configCmd
+  .command('emoji [state]')
+  .description(t('config.emojiDescription'))
+  .action((value) => {
+    if (value !== undefined) {
+      if (!['on', 'off'].includes(value)) return fail(t('config.badEmoji', { value }));
+      const next = { ...getSettings(), emoji: value === 'on' };
+      if (next.emoji) delete next.emoji;
+      saveSettings(next);
+      setEmoji(value === 'on');
+    }
+    console.log(t('config.emoji', { state: t(emojiEnabled() ? 'config.on' : 'config.off') }));
+  });
+
+const profileCmd = program
+  .command('profile')
+  .description(t('profile.description'));
+
+profileCmd
+  .command('create <name>')
+  .description(t('profile.createDescription'))
+  .option('--use', t('profile.optUse'))
+  .action((name, opts) => {
+    try {
+      const dir = createProfile(name);
+      console.log(t('profile.created', { name, dir: tildePath(dir) }));
+      if (opts.use) {
+        setSavedProfile(name);
+        console.log(t('profile.using', { name }));
+      } else {
+        console.log(t('profile.createHint', { name }));
+      }
+    } catch (error) {
+      fail(error.message, exitCodeFor(error));
+    }
+  });
+
+profileCmd
+  .command('use <name>')
+  .description(t('profile.useDescription'))
+  .action((name) => {
+    try {
+      setSavedProfile(name);
+    } catch (error) {
+      return fail(error.message, exitCodeFor(error));
+    }
+    console.log(t('profile.using', { name }));
+    if (envProfile && envProfile !== name) {
+      console.log(t('profile.envOverride', { name: envProfile }));
+    }
+  });
+
+profileCmd
+  .command('ls')
+  .description(t('profile.lsDescription'))
+  .action(() => {
+    console.table(listProfiles().map(p => ({
+      name: p.active ? `* ${p.name}` : `  ${p.name}`,
+      server: p.servers,
+      [t('profile.dirColumn')]: tildePath(p.dir)
+    })));
+  });
+
+profileCmd
+  .command('rm <name>')
+  .description(t('profile.rmDescription'))
+  .action(async (name) => {
+    try {
+      checkRemovable(name);
+    } catch (error) {
+      return fail(error.message, exitCodeFor(error));
+    }
+    const target = listProfiles().find(p => p.name === name);
+
+    const { confirm } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'confirm',
+      message: t('profile.rmConfirm', { name, count: target.servers, dir: tildePath(target.dir) }),
+      default: false
+    }]);
+    if (!confirm) return console.log(t('rm.cancelled'));
+    const { failed } = await removeProfile(name);
+    for (const { backend, error } of failed) {
+      console.warn(t('profile.secretsLeft', { backend, error }));
+    }
+    console.log(t('profile.removed', { name }));
+  });
+
+const vault = program
+  .command('vault')
+  .description(t('vault.description'));
+
+vault
+  .command('unlock')
+  .description(t('vault.unlockDescription'))
+  .option('-t, --timeout <minutes>', t('vault.optTimeout'))
+  .action(async (opts) => {
+    const timeout = opts.timeout !== undefined ? Number(opts.timeout) : (getSettings().vaultTimeout ?? DEFAULT_TIMEOUT);
+    if (Number.isNaN(timeout)) return fail(t('vault.badTimeout', { value: opts.timeout }));
+    await unlock({ timeout });
+    console.log(timeout > 0
+      ? t('vault.unlocked', { minutes: timeout })
+      : t('vault.passphraseOk'));
+  });
+
+vault
+  .command('lock')
+  .description(t('vault.lockDescription'))
+  .action(() => {
+    lock();
+    console.log(t('vault.locked'));
+  });
+
+vault
+  .command('status')
+  .description(t('vault.statusDescription'))
+  .action(() => {
+    const info = vaultStatus();
+    const timeout = getSettings().vaultTimeout ?? DEFAULT_TIMEOUT;
+    if (!info.encrypted) {
+      console.log(info.entries > 0
+        ? t('vault.plaintext')
+        : t('vault.notCreated'));
+    } else if (info.unlocked) {
+      console.log(t('vault.unlockedUntil', { time: info.expires.toLocaleString() }));
+    } else {
+      console.log(t('vault.isLocked'));
+    }
+    console.log(t('vault.sessionTimeout', { minutes: timeout }));
+  });
+
+vault
+  .command('change-passphrase')
+  .description(t('vault.changeDescription'))
+  .action(async () => {
+    await changePassphrase({ timeout: getSettings().vaultTimeout ?? DEFAULT_TIMEOUT });
+    console.log(t('vault.changed'));
+  });
+
+vault
+  .command('timeout <minutes>')
+  .description(t('vault.timeoutDescription'))
+  .action((minutes) => {
+    const timeout = Number(minutes);
+    if (Number.isNaN(timeout) || timeout < 0) return fail(t('vault.badTimeout', { value: minutes }));
+    saveSettings({ ...getSettings(), vaultTimeout: timeout });
+    console.log(t('vault.timeoutSaved', { minutes: timeout }));
+  });
+
+const creds = program
+  .command('creds')
+  .description(t('creds.description'));
+
+creds
+  .command('ls')
+  .description(t('creds.lsDescription'))
+  .action(async () => {
+    const servers = getServers();
+    if (servers.length === 0) return fail(t('common.noServers'), EXIT_EMPTY);
+
+    const rows = [];
+    for (const server of servers) {
+      let secret;
+      try {
+        const cred = await getCredential(server.name);
+        secret = cred ? cred.type : '-';
+      } catch (e) {
+        secret = t('creds.error', { message: e.message });
+      }
+      rows.push({ name: server.name, backend: backendNameFor(server.name), secret });
+    }
+    console.log(t('creds.defaultBackend', { backend: getSettings().credentialBackend || 'file' }));
+    console.table(rows);
+  });
+
+creds
+  .command('set <name>')
+  .description(t('creds.setDescription'))
+  .option('--passphrase', t('creds.optPassphrase'))
+  .option('--otp', t('creds.optOtp'))
+  .action(async (selector, opts) => {
+    const server = await findServerOrWarn(selector);
+    if (!server) return;
+    const { name } = server;
+
+    if (opts.passphrase || opts.otp) {
+      const kind = opts.otp ? 'otp' : 'passphrase';
+      if (kind === 'passphrase' && !server.keyPath) return fail(t('creds.noKey', { name }));
+      const encrypted = kind === 'passphrase' && keyFileEncrypted(server.keyPath);
+      if (kind === 'passphrase' && !encrypted) console.log(t('creds.keyNotEncrypted', { path: server.keyPath }));
+      const { value } = await inquirer.prompt([{
+        type: 'password',
+        name: 'value',
+        message: t(kind === 'otp' ? 'creds.promptOtp' : 'creds.promptPassphrase'),
+        validate: async v => !encrypted || (await verifyKeyPassphrase(server.keyPath, v.trim())) || t('passphrase.wrong')
+      }]);
+      await saveSecret(name, kind, value.trim());
+      return console.log(t('creds.saved', { kind, name, backend: backendNameFor(name) }));
+    }
+
+    const { password } = await inquirer.prompt([{ type: 'password', name: 'password', message: t('creds.promptPassword', { target: `${server.user}@${server.host}` }) }]);
+    await savePassword(name, password);
+    console.log(t('creds.saved', { kind: 'password', name, backend: backendNameFor(name) }));
+  });
+
+creds
+  .command('migrate [names...]')
+  .description(t('creds.migrateDescription'))
+  .requiredOption('--to <backend>', t('creds.optTo', { backends: BACKENDS.join(', ') }))
+  .action(async (names, opts) => {
+    if (!BACKENDS.includes(opts.to)) return fail(t('creds.badBackend', { value: opts.to, supported: BACKENDS.join(', ') }));
+
+    const servers = getServers();
+    const missing = names.filter(n => !servers.some(s => s.name === n));
+    if (missing.length > 0) return fail(t('common.serverNotFound', { name: missing.join(', ') }), EXIT_NOT_FOUND);
+
+    console.log(t('creds.migrating', { backend: opts.to }));
+    const results = await migrateCredentialBackend(opts.to, names);
+    console.table(results);
+
+    const failed = results.filter(r => r.status === 'failed');
+    if (failed.length > 0) {
+      console.log(t('creds.migrateFailed', { count: failed.length }));
+      process.exitCode = 1;
+    } else {
+      console.log(t('creds.migrated', { count: results.filter(r => r.status === 'moved').length, backend: opts.to }));
+    }
+  });
+
+creds
+  .command('command')
+  .description(t('creds.commandDescription', { name: '{name}' }))
+  .option('--get <command>', t('creds.optGet'))
+  .option('--set <command>', t('creds.optSet'))
+  .option('--delete <command>', t('creds.optDelete'))
+  .action((opts) => {
+    const settings = getSettings();
+    const commands = { ...DEFAULT_COMMANDS, ...settings.commandBackend };
+    for (const key of ['get', 'set', 'delete']) {
+      if (opts[key]) commands[key] = opts[key];
+    }
+    if (opts.get || opts.set || opts.delete) {
+      saveSettings({ ...settings, commandBackend: commands });
+      console.log(t('creds.commandSaved'));
+    }
+    console.table(commands);
+  });
+
+program
+  .command('jump <name> [hops...]')
+  .description(t('jump.description'))
+  .action(async (selector, hops) => {
+    const found = await findServerOrWarn(selector);
+    if (!found) return;
+    const { name } = found;
+    const servers = getServers();
+    const server = servers.find(s => s.name === name);
+
+    const previous = server.jump;
+    if (hops.length > 0) server.jump = hops;
+    else delete server.jump;
+
+    try {
+      resolveJumps(name, servers);
+    } catch (error) {
+      server.jump = previous;
+      return fail(error.message, exitCodeFor(error));
+    }
+
+    saveServers(servers);
+    const chain = describeChain(name, servers);
+    console.log(chain ? t('jump.via', { name, chain }) : t('jump.direct', { name }));
+  });
+
+program
+  .command('exec <selector> [command...]')
+  .description(t('exec.description'))
+  .option('-c, --concurrency <n>', t('exec.optConcurrency'), '5')
+  .option('--collect', t('exec.optCollect'))
+  .option('--json', t('exec.optJson'))
+  .action(async (selector, commandParts, opts) => {
+    const command = commandParts.join(' ');
+    if (!command) return fail(t('exec.noCommand'));
+
+    const servers = getServers();
+    const targets = selectServers(servers, selector);
+    if (targets.length === 0) return fail(t('common.serverNotFound', { name: selector }), EXIT_NOT_FOUND);
+
+    // Chuẩn bị tuần tự để vault chỉ hỏi passphrase một lần
+    const settings = getSettings();
+    const jobs = [];
+    for (const server of targets) {
+      try {
+        jobs.push({ server, conn: await prepareConnection(server.name, { servers, settings }) });
+      } catch (error) {
+        jobs.push({ server, error: error.message });
+      }
+    }
+
+    const width = Math.max(...targets.map(s => s.name.length));
+    const results = await runPool(jobs, Number(opts.concurrency) || 5, async ({ server, conn, error }) => {
+      if (error) return { name: server.name, host: server.host, code: 255, error, output: '', duration: 0 };
+
+      const prefixer = linePrefixer(`[${server.name.padEnd(width)}] `, line => process.stdout.write(line));
+      const stream = !opts.collect && !opts.json;
+      const result = await runRemote(conn, command, { onData: stream ? d => prefixer.push(d) : null });
+      prefixer.flush();
+      conn.cleanup();
+
+      if (opts.collect && !opts.json) {
+        console.log(`\n===== ${server.name} (${server.user}@${server.host}) =====`);
+        process.stdout.write(result.output.endsWith('\n') || !result.output ? result.output : `${result.output}\n`);
+      }
+      return { name: server.name, host: server.host, ...result };
+    });
+
+    const failed = results.filter(r => r.code !== 0);
+    if (opts.json) {
+      console.log(JSON.stringify(results.map(r => ({
+        name: r.name,
+        host: r.host,
+        exitCode: r.code,
+        durationMs: r.duration,
+        error: r.error || null,
+        output: r.output
+      })), null, 2));
+    } else {
+      console.log('');
+      console.table(results.map(r => ({
+        name: r.name,
+        host: r.host,
+        exit: r.code,
+        duration: `${(r.duration / 1000).toFixed(1)}s`,
+        error: r.error ? r.error.split('\n')[0] : ''
+      })));
+      console.log(failed.length === 0
+        ? t('exec.succeeded', { count: results.length })
+        : t('exec.failed', { failed: failed.length, total: results.length }));
+    }
+    if (failed.length > 0) process.exitCode = 1;
+  });
+
+program
+  .command('cluster <selector>')
+  .description(t('cluster.description'))
+  .option('--layout <layout>', t('cluster.optLayout', { layouts: CLUSTER_LAYOUTS.join(' | ') }), 'tiled')
+  .option('--exclude <selector>', t('cluster.optExclude'))
+  .action(async (selector, opts) => {
+    if (!process.stdin.isTTY || !process.stdout.isTTY) return fail(t('cluster.noTty'));
+    if (!CLUSTER_LAYOUTS.includes(opts.layout)) return fail(t('cluster.badLayout', { value: opts.layout, supported: CLUSTER_LAYOUTS.join(', ') }));
+
+    const targets = selectServers(getServers(), selector);
+    if (targets.length === 0) return fail(t('common.serverNotFound', { name: selector }), EXIT_NOT_FOUND);
+    const exclude = opts.exclude ? selectServers(targets, opts.exclude).map(s => s.name) : [];
+
+    let results;
+    try {
+      results = await openCluster(targets.map(s => s.name), {
+        layout: opts.layout,
+        exclude,
+        onStart: ({ servers, failed }) => {
+          failed.forEach(r => console.log(t('common.serverInfo', { name: r.name, message: r.error })));
+          console.log(t('cluster.opening', { count: servers.length }));
+        }
+      });
+    } catch (error) {
+      return fail(error.message, exitCodeFor(error));
+    }
+
+    console.table(results.map(r => ({
+      name: r.name,
+      exit: r.code ?? '-',
+      error: r.error ? r.error.split('\n')[0] : ''
+    })));
+    results.filter(r => r.hostKeyChanged).forEach((r) => {
+      console.log(t('connect.hostKeyChanged', { name: r.name }));
+      console.log(t('connect.hostKeyAccept', { name: r.name }));
+    });
+    if (results.some(r => r.code !== 0)) process.exitCode = EXIT_ERROR;
+  });
+
+program
+  .command('check [selector]')
+  .description(t('check.description'))
+  .option('-c, --concurrency <n>', t('check.optConcurrency'), '10')
+  .option('--timeout <seconds>', t('check.optTimeout'), String(DEFAULT_CHECK_TIMEOUT))
+  .option('--format <format>', t('opt.format', { formats: FORMATS.join(', ') }), 'table')
+  .action(async (selector = 'all', opts) => {
+    const format = parseFormat(opts.format);
+    if (!format) return;
+    const timeout = Number(opts.timeout);
+    if (!(timeout > 0)) return fail(t('common.badTimeout', { value: opts.timeout }));
+
+    const servers = getServers();
+    if (servers.length === 0) return fail(t('common.noServers'), EXIT_EMPTY);
+    const targets = selectServers(servers, selector);
+    if (targets.length === 0) return fail(t('common.serverNotFound', { name: selector }), EXIT_NOT_FOUND);
+
+    // Chuẩn bị tuần tự để vault chỉ hỏi passphrase một lần
+    const settings = getSettings();
+    const jobs = [];
+    for (const server of targets) jobs.push(await prepareCheck(server, { servers, settings }));
+
+    if (format === 'table') console.log(t('check.checking', { count: targets.length }));
+    const results = await runPool(jobs, Number(opts.concurrency) || 10, job => runCheck(job, { settings, timeout }));
+
+    if (format === 'table') {
+      printRows(results.map(r => ({
+        ...r,
+        banner: r.banner ? r.banner.replace(/^SSH-[\d.]+-/, '') : null,
+        result: r.status === 'ok' ? t('check.ok', { seconds: (r.ms / 1000).toFixed(1) }) : t('check.failedStage', { stage: r.stage, reason: r.reason })
+      })), { format, columns: ['name', 'target', 'address', 'banner', 'hostKey', 'auth', 'result'] });
+    } else {
+      printRows(results, { format });
+    }
+
+    const failed = results.filter(r => r.status !== 'ok');
+    if (format === 'table') {
+      console.log(failed.length === 0
+        ? t('check.allOk', { count: results.length })
+        : t('check.someFailed', { failed: failed.length, total: results.length }));
+    }
+    if (failed.length > 0) process.exitCode = EXIT_ERROR;
+  });
+
+program
+  .command('cp <paths...>')
+  .description(t('cp.description'))
+  .option('-r, --recursive', t('cp.optRecursive'))
+  .option('-q, --quiet', t('cp.optQuiet'))
+  .action(async (paths, opts) => {
+    if (paths.length < 2) return fail(t('cp.usage'));
+
+    const servers = getServers();
+    const specs = paths.map(p => ({ spec: p, remote: parseRemotePath(p) }));
+    const names = [...new Set(specs.filter(s => s.remote).map(s => s.remote.name))];
+    if (names.length === 0) return fail(t('cp.noRemote'));
+    if (names.length > 1) return fail(t('cp.oneServer', { names: names.join(', ') }));
+
+    const name = names[0];
+    if (!servers.some(s => s.name === name)) return fail(t('common.serverNotFound', { name }), EXIT_NOT_FOUND);
+
+    let conn;
+    try {
+      conn = await prepareConnection(name, { servers, settings: getSettings() });
+    } catch (error) {
+      return fail(error.message, exitCodeFor(error));
+    }
+
+    const args = [...conn.args];
+    if (opts.recursive) args.push('-r');
+    if (opts.quiet) args.push('-q');
+    args.push(...specs.map(s => (s.remote ? `${conn.destination}:${s.remote.path}` : s.spec)));
+
+    const direction = specs[specs.length - 1].remote ? `→ ${name}` : `← ${name}`;
+    console.log(t('cp.copying', { direction, target: `${conn.server.user}@${conn.server.host}` }));
+    const code = await runTool('scp', args, conn);
+    conn.cleanup();
+    if (code === 0) {
+      console.log(t('cp.done'));
+    } else {
+      console.log(t('cp.failed', { code }));
+      process.exitCode = code;
+    }
+  });
+
+program
+  .command('sftp <name>')
+  .description(t('sftp.description'))
+  .action(async (selector) => {
+    const server = await findServerOrWarn(selector);
+    if (!server) return;
+    const { name } = server;
+    const servers = getServers();
+
+    let conn;
+    try {
+      conn = await prepareConnection(name, { servers, settings: getSettings() });
+    } catch (error) {
+      return fail(error.message, exitCodeFor(error));
+    }
+
+    console.log(t('sftp.opening', { target: `${conn.server.user}@${conn.server.host}:${conn.server.port || '22'}` }));
+    const code = await runTool('sftp', [...conn.args, conn.destination], conn);
+    conn.cleanup();
+    if (code !== 0) {
+      console.log(t('sftp.failed', { code }));
+      process.exitCode = code;
+    }
+  });
+
+const tunnel = program
+  .command('tunnel')
+  .description(t('tunnel.description'));
+
+function collectForward(type) {
+  return (value, previous) => [...previous, { type, spec: value }];
+}
+
+tunnel
+  .command('add <server> <name>')
+  .description(t('tunnel.addDescription'))
+  .option('-L, --local <spec>', t('tunnel.optLocal'), collectForward('local'), [])
+  .option('-R, --remote <spec>', t('tunnel.optRemote'), collectForward('remote'), [])
+  .option('-D, --dynamic <spec>', t('tunnel.optDynamic'), collectForward('dynamic'), [])
+  .action((serverName, name, opts) => {
+    const valid = validateName(name, 'tunnel');
+    if (valid !== true) return fail(valid);
+    const servers = getServers();
+    const server = servers.find(s => s.name === serverName);
+    if (!server) return fail(t('common.serverNotFound', { name: serverName }), EXIT_NOT_FOUND);
+    if (findTunnel(servers, name)) return fail(t('tunnel.exists', { name }));
+
+    const forwards = [...opts.local, ...opts.remote, ...opts.dynamic];
+    if (forwards.length === 0) return fail(t('tunnel.noForwards'));
+
+    server.tunnels = [...(server.tunnels || []), { name, forwards }];
+    saveServers(servers);
+    console.log(t('tunnel.created', { name, server: serverName, forwards: describeForwards({ forwards }) }));
+  });
+
+tunnel
+  .command('rm <name>')
+  .description(t('tunnel.rmDescription'))
+  .action(async (name) => {
+    const servers = getServers();
+    const found = findTunnel(servers, name);
+    if (!found) return fail(t('tunnel.notFound', { name }), EXIT_NOT_FOUND);
+
+    await stopTunnel(name);
+    const server = servers.find(s => s.name === found.server);
+    server.tunnels = server.tunnels.filter(item => item.name !== name);
+    if (server.tunnels.length === 0) delete server.tunnels;
+    saveServers(servers);
+    console.log(t('tunnel.removed', { name }));
+  });
+
+tunnel
+  .command('up <name>')
+  .description(t('tunnel.upDescription'))
+  .action(async (name) => {
+    const servers = getServers();
+    const found = findTunnel(servers, name);
+    if (!found) return fail(t('tunnel.notFound', { name }), EXIT_NOT_FOUND);
+
+    const current = tunnelStatus(name);
+    if (current.pid && isAlive(current.pid)) return console.log(t('tunnel.running', { name, pid: current.pid }));
+
+    let conn;
+    try {
+      // supervisor chạy ở process khác nên không dùng được agent riêng của process này
+      conn = await prepareConnection(found.server, { servers, settings: getSettings(), allowPrivateAgent: false });
+    } catch (error) {
+      return fail(error.message, exitCodeFor(error));
+    }
+    const pid = startTunnel(found, exportConnection(conn), fileURLToPath(import.meta.url));
+    conn.cleanup();
+
+    // chờ supervisor báo trạng thái đầu tiên
+    const deadline = Date.now() + 15000;
+    let state = tunnelStatus(name);
+    while (['starting'].includes(state.status) && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 200));
+      state = tunnelStatus(name);
+    }
+
+    if (state.status === 'up') {
+      console.log(t('tunnel.up', { name, pid, forwards: describeForwards(found) }));
+    } else {
+      fail(t('tunnel.state', { name, status: state.status, error: state.lastError ? ` (${state.lastError})` : '' }));
+      console.log(t('tunnel.log', { file: logPath(name) }));
+    }
+  });
+
+tunnel
+  .command('down <name>')
+  .description(t('tunnel.downDescription'))
+  .action(async (name) => {
+    const servers = getServers();
+    const names = name === 'all' ? allTunnels(servers).map(item => item.name) : [name];
+    if (name !== 'all' && !findTunnel(servers, name)) return fail(t('tunnel.notFound', { name }), EXIT_NOT_FOUND);
+
+    for (const tunnelName of names) {
+      const stopped = await stopTunnel(tunnelName);
+      if (stopped) console.log(t('tunnel.stopped', { name: tunnelName }));
+      else if (name !== 'all') console.log(t('tunnel.notRunning', { name: tunnelName }));
+    }
+  });
+
+tunnel
+  .command('ls')
+  .description(t('tunnel.lsDescription'))
+  .action(() => {
+    const tunnels = allTunnels(getServers());
+    if (tunnels.length === 0) return fail(t('tunnel.empty'), EXIT_EMPTY);
+
+    console.table(tunnels.map(item => {
+      const state = tunnelStatus(item.name);
+      const since = state.status === 'up' && state.connectedAt ? Math.round((Date.now() - Date.parse(state.connectedAt)) / 1000) : null;
+      return {
+        name: item.name,
+        server: item.server,
+        forwards: describeForwards(item),
+        status: state.status,
+        pid: state.status !== 'stopped' && state.pid ? state.pid : '-',
+        uptime: since !== null ? `${since}s` : '-',
+        restarts: state.restarts || 0,
+        lastError: state.lastError || ''
+      };
+    }));
+  });
+
+program
+  .command('_tunnel-run <name>', { hidden: true })
+  .action(async () => {
+    let input = '';
+    for await (const chunk of process.stdin) input += chunk;
+    await superviseTunnel(JSON.parse(input));
+  });
+
+const importCmd = program
+  .command('import')
+  .description(t('import.description'));
+
+importCmd
+  .command('ssh-config [file]')
+  .description(t('import.sshConfigDescription'))
+  .option('--overwrite', t('import.optOverwrite'))
+  .option('--dry-run', t('opt.dryRun'))
+  .action((file, opts) => {
+    const source = expandHome(file || userSshConfigPath);
+    if (!fs.existsSync(source)) return fail(t('common.fileNotFound', { file: source }), EXIT_NOT_FOUND);
+
+    const servers = getServers();
+    const { servers: imported, warnings } = serversFromSshConfig(source, { knownNames: servers.map(s => s.name) });
+    if (imported.length === 0) {
+      warnings.forEach(w => console.log(t('common.fail', { message: w })));
+      return console.log(t('import.none'));
+    }
+
+    const statuses = new Map();
+    for (const server of imported) {
+      const idx = servers.findIndex(s => s.name === server.name);
+      if (idx === -1) {
+        statuses.set(server.name, t('import.new'));
+        servers.push(server);
+      } else if (opts.overwrite) {
+        statuses.set(server.name, t('import.overwritten'));
+        servers[idx] = { ...servers[idx], ...server };
+      } else {
+        statuses.set(server.name, t('import.skipped'));
+      }
+    }
+    const written = imported.map(s => s.name).filter(name => statuses.get(name) !== t('import.skipped'));
+    warnings.push(...dropJumpCycles(written, servers));
+    warnings.forEach(w => console.log(t('common.fail', { message: w })));
+
+    const rows = imported.map((server) => {
+      const stored = statuses.get(server.name) === t('import.skipped') ? server : servers.find(s => s.name === server.name);
+      return {
+        name: server.name,
+        target: `${server.user}@${server.host}:${server.port}`,
+        auth: server.keyPath ? server.keyPath : t('import.noPassword'),
+        jump: jumpList(stored).join(' → ') || '-',
+        status: statuses.get(server.name)
+      };
+    });
+    console.table(rows);
+
+    const conflicts = rows.filter(r => r.status === t('import.skipped'));
+    if (conflicts.length > 0) {
+      console.log(t('import.conflicts', { count: conflicts.length, names: conflicts.map(r => r.name).join(', ') }));
+    }
+    if (opts.dryRun) return console.log(t('common.dryRun'));
+
+    saveServers(servers);
+    console.log(t('import.done', { count: rows.length - conflicts.length, file: source }));
+    const needPassword = imported.filter(s => !s.keyPath && !conflicts.some(r => r.name === s.name));
+    if (needPassword.length > 0) {
+      console.log(t('import.passwordHint'));
+    }
+  });
+
+const exportCmd = program
+  .command('export')
+  .description(t('export.description'));
+
+exportCmd
+  .command('ssh-config [selector]')
+  .description(t('export.sshConfigDescription'))
+  .option('-o, --output <file>', t('export.optOutput'))
+  .action((selector, opts) => {
+    const servers = getServers();
+    const selected = selector ? selectServers(servers, selector) : servers;
+    if (selected.length === 0) return fail(selector ? t('common.serverNotFound', { name: selector }) : t('common.noServers'), selector ? EXIT_NOT_FOUND : EXIT_EMPTY);
+
+    const content = renderSshConfig(selected, getSettings());
+    if (!opts.output) return process.stdout.write(content);
+
+    fs.writeFileSync(expandHome(opts.output), content, { mode: 0o600 });
+    console.log(t('export.done', { count: selected.length, file: opts.output }));
+  });
+
+program
+  .command('backup <file> [selector]')
+  .description(t('backup.description'))
+  .option('-f, --force', t('backup.optForce'))
+  .action(async (file, selector, opts) => {
+    const servers = getServers();
+    const selected = selector ? selectServers(servers, selector) : servers;
+    if (selected.length === 0) return fail(selector ? t('common.serverNotFound', { name: selector }) : t('common.noServers'), selector ? EXIT_NOT_FOUND : EXIT_EMPTY);
+    if (fs.existsSync(expandHome(file)) && !opts.force) return fail(t('backup.exists', { file }));
+
+    const passphrase = await askBundlePassphrase({ confirm: true });
+    const payload = await collectPayload(selected);
+    writeBundleFile(file, encryptBundle(payload, passphrase));
+    console.log(t('backup.done', { count: selected.length, file }));
+    console.log(t('backup.hint'));
+  });
+
+program
+  .command('restore <file>')
+  .description(t('restore.description'))
+  .option('--strategy <strategy>', t('restore.optStrategy'), 'merge')
+  .option('--dry-run', t('restore.optDryRun'))
+  .action(async (file, opts) => {
+    if (!RESTORE_STRATEGIES.includes(opts.strategy)) return fail(t('restore.badStrategy', { value: opts.strategy, supported: RESTORE_STRATEGIES.join(', ') }));
+    if (!fs.existsSync(expandHome(file))) return fail(t('common.fileNotFound', { file }), EXIT_NOT_FOUND);
+
+    const payload = decryptBundle(readBundleFile(file), await askBundlePassphrase());
+    console.log(t('restore.bundle', { time: payload.createdAt, host: payload.host, count: payload.entries.length }));
+    const plan = planRestore(payload, opts.strategy);
+    console.table(plan.map(p => ({ name: p.name, action: t(`restore.action.${p.action}`), updatedAt: p.entry.server.updatedAt || '-' })));
+    if (opts.dryRun) return console.log(t('common.dryRunNoWrite'));
+
+    const applied = plan.filter(p => p.action === 'add' || p.action === 'replace');
+    let restored = 0;
+    for (const { entry } of applied) {
+      try {
+        const messages = await applyEntry(entry);
+        messages.forEach(m => console.log(t('common.serverInfo', { name: entry.server.name, message: m })));
+        restored++;
+      } catch (error) {
+        fail(t('restore.entryFailed', { name: entry.server.name, message: error.message }));
+      }
+    }
+    console.log(t('restore.done', { count: restored, total: plan.length }));
+  });
+
+
+async function syncPassphrase(isNew) {
+  const backend = getBackend();
+  const stored = await backend.get(SYNC_PASSPHRASE_ID);
+  if (stored && !isNew && !process.env.SSHM_BUNDLE_PASSPHRASE) return stored.value;
+  const passphrase = await askBundlePassphrase({ confirm: isNew });
+  if (!stored || stored.value !== passphrase) {
+    await backend.set(SYNC_PASSPHRASE_ID, { type: 'passphrase', value: passphrase });
+  }
+  return passphrase;
+}
+
+program
+  .command('sync')
+  .description(t('sync.description'))
+  .option('--dir <path>', t('sync.optDir'))
+  .option('--git <url>', t('sync.optGit'))
+  .option('--dry-run', t('sync.optDryRun'))
+  .action(async (opts) => {
+    if (opts.dir && opts.git) return fail(t('sync.dirOrGit'));
+    let sync = getSettings().sync || {};
+    if (opts.dir || opts.git) {
+      const target = opts.dir ? { type: 'dir', path: opts.dir } : { type: 'git', url: opts.git };
+      if (JSON.stringify(target) !== JSON.stringify(sync.target)) {
+        sync = { target, lastSyncedAt: '' };
+        saveSettings({ ...getSettings(), sync });
+      }
+    }
+    if (!sync.target) return fail(t('sync.notConfigured'));
+
+    console.log(t('sync.syncing', { target: describeTarget(sync.target) }));
+    const remoteFile = await pullBundle(sync.target);
+    const passphrase = await syncPassphrase(!remoteFile);
+    let remote = { entries: [], deleted: {} };
+    if (remoteFile) {
+      try {
+        remote = decryptBundle(remoteFile, passphrase);
+      } catch (error) {
+        await getBackend().delete(SYNC_PASSPHRASE_ID);
+        return fail(t('sync.badPassphrase', { message: error.message }));
+      }
+    }
+
+    // server từ catalog thuộc về catalog, không đồng bộ qua bundle
+    const local = await collectPayload(getServers().filter(s => !s.catalog), { deleted: getDeleted() });
+    const { actions, payload } = mergePayloads(local, remote, sync.lastSyncedAt);
+    const changes = actions.filter(a => a.action !== 'unchanged');
+    if (changes.length > 0) {
+      console.table(changes.map(a => ({
+        name: a.name,
+        action: t(`sync.action.${a.action}`),
+        conflict: a.conflict ? t('sync.conflict') : '',
+        updatedAt: a.time
+      })));
+    }
+    if (opts.dryRun) return console.log(t('common.dryRunNoWrite'));
+
+    for (const a of changes) {
+      if (a.action === 'pull') {
+        try {
+          const messages = await applyEntry(a.entry);
+          messages.forEach(m => console.log(t('common.serverInfo', { name: a.name, message: m })));
+        } catch (error) {
+          fail(t('restore.entryFailed', { name: a.name, message: error.message }));
+        }
+      } else if (a.action === 'delete-local') {
+        await removeServer(a.name);
+        saveDeleted({ ...getDeleted(), [a.name]: a.time });
+      }
+    }
+    await pushBundle(sync.target, encryptBundle(payload, passphrase));
+    saveSettings({ ...getSettings(), sync: { ...sync, lastSyncedAt: new Date().toISOString() } });
+
+    const conflicts = changes.filter(a => a.conflict).length;
+    console.log(changes.length === 0 ? t('sync.upToDate') : t('sync.done', { count: changes.length, conflicts: conflicts ? t('sync.conflicts', { count: conflicts }) : '' }));
+  });
+
+const catalogCmd = program
+  .command('catalog')
+  .description(t('catalog.description'));
+
+catalogCmd
+  .command('add <name> <source>')
+  .description(t('catalog.addDescription'))
+  .option('--file <path>', t('catalog.optFile'))
+  .action(async (name, source, opts) => {
+    const settings = getSettings();
+    const catalogs = settings.catalogs || [];
+    const valid = validateName(name, 'catalog');
+    if (valid !== true) return fail(valid);
+    if (catalogs.some(c => c.name === name)) return fail(t('catalog.exists', { name }));
+
+    const catalog = isGitSource(source) ? { name, url: source } : { name, path: source };
+    if (catalog.url && opts.file) catalog.file = opts.file;
+    if (catalog.path && !fs.existsSync(expandHome(catalog.path))) return fail(t('common.fileNotFound', { file: catalog.path }), EXIT_NOT_FOUND);
+
+    let servers;
+    try {
+      await fetchCatalog(catalog);
+      servers = parseCatalog(catalogFile(catalog));
+    } catch (error) {
+      removeCatalogFiles(catalog);
+      return fail(t('catalog.readFailed', { message: error.message }));
+    }
+
+    saveSettings({ ...settings, catalogs: [...catalogs, catalog] });
+    console.log(t('catalog.added', { name, count: servers.length }));
+
+    const personal = getPersonalServers().map(s => s.name);
+    const overridden = servers.filter(s => personal.includes(s.name)).map(s => s.name);
+    if (overridden.length > 0) console.log(t('catalog.overridden', { names: overridden.join(', ') }));
+    console.log(t('catalog.credsHint'));
+  });
+
+catalogCmd
+  .command('rm <name>')
+  .description(t('catalog.rmDescription'))
+  .action((name) => {
+    const settings = getSettings();
+    const catalog = (settings.catalogs || []).find(c => c.name === name);
+    if (!catalog) return fail(t('catalog.notFound', { name }), EXIT_NOT_FOUND);
+
+    // bỏ catalog khỏi settings trước để server được giữ lại lưu thành record đầy đủ
+    const personal = new Set(getPersonalServers().map(s => s.name));
+    const kept = getServers().filter(s => s.catalog !== name || personal.has(s.name));
+    saveSettings({ ...settings, catalogs: settings.catalogs.filter(c => c.name !== name) });
+    saveServers(kept);
+    removeCatalogFiles(catalog);
+    console.log(t('catalog.removed', { name }));
+  });
+
+catalogCmd
+  .command('ls')
+  .description(t('catalog.lsDescription'))
+  .action(() => {
+    const catalogs = getSettings().catalogs || [];
+    if (catalogs.length === 0) return fail(t('catalog.empty'), EXIT_EMPTY);
+    const servers = getServers();
+    console.table(catalogs.map(c => {
+      let status;
+      try {
+        status = t('catalog.serverCount', { count: parseCatalog(catalogFile(c)).length });
+      } catch (error) {
+        status = t('common.error', { message: error.message });
+      }
+      return { name: c.name, source: describeSource(c), status, [t('catalog.usedColumn')]: servers.filter(s => s.catalog === c.name).length };
+    }));
+  });
+
+catalogCmd
+  .command('update [name]')
+  .description(t('catalog.updateDescription'))
+  .action(async (name) => {
+    const catalogs = (getSettings().catalogs || []).filter(c => !name || c.name === name);
+    if (catalogs.length === 0) return fail(name ? t('catalog.notFound', { name }) : t('catalog.empty'), name ? EXIT_NOT_FOUND : EXIT_EMPTY);
+    for (const catalog of catalogs) {
+      try {
+        await fetchCatalog(catalog);
+        console.log(t('catalog.updated', { name: catalog.name, count: parseCatalog(catalogFile(catalog)).length }));
+      } catch (error) {
+        fail(`${catalog.name}: ${error.message}`);
+      }
+    }
+  });
+
+const hostkey = program
+  .command('hostkey')
+  .description(t('hostkey.description'));
+
+hostkey
+  .command('show <name>')
+  .description(t('hostkey.showDescription'))
+  .action(async (name) => {
+    const server = await findServerOrWarn(name);
+    if (!server) return;
+    const settings = getSettings();
+    const fingerprints = await knownFingerprints(server, settings);
+    console.log(t('hostkey.file', { file: knownHostsFile(settings) }));
+    console.log(t('hostkey.policy', { policy: hostKeyPolicy(server, settings) }));
+    if (fingerprints.length === 0) return console.log(t('hostkey.none', { host: server.host, port: server.port || '22' }));
+    console.table(fingerprints);
+  });
+
+hostkey
+  .command('forget <name>')
+  .description(t('hostkey.forgetDescription'))
+  .action(async (name) => {
+    const server = await findServerOrWarn(name);
+    if (!server) return;
+    await forgetHostKey(server, getSettings());
+    console.log(t('hostkey.forgotten', { name: server.name }));
+  });
+
+hostkey
+  .command('accept <name>')
+  .description(t('hostkey.acceptDescription'))
+  .option('-y, --yes', t('opt.yes'))
+  .action(async (name, opts) => {
+    const server = await findServerOrWarn(name);
+    if (!server) return;
+    const settings = getSettings();
+
+    const known = await knownFingerprints(server, settings);
+    const scanned = await scanHostKey(server);
+    console.log(t('hostkey.scanned', { host: server.host, port: server.port || '22' }));
+    console.table(scanned.fingerprints);
+
+    const changed = known.length > 0 && !known.some(k => scanned.fingerprints.some(f => f.fingerprint === k.fingerprint));
+    if (changed) {
+      console.log(t('hostkey.changed'));
+      console.table(known);
+    }
+
+    if (!opts.yes) {
+      const { confirm } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'confirm',
+        message: changed ? t('hostkey.confirmReplace') : t('hostkey.confirmAccept'),
+        default: false
+      }]);
+      if (!confirm) return console.log(t('common.cancelled'));
+    }
+
+    await acceptHostKey(server, scanned.lines, settings);
+    console.log(t('hostkey.accepted', { name: server.name, file: knownHostsFile(settings) }));
+  });
+
+hostkey
+  .command('policy <policy> [name]')
+  .description(t('hostkey.policyDescription', { policies: HOST_KEY_POLICIES.join(' | ') }))
+  .action((policy, name) => {
+    if (!HOST_KEY_POLICIES.includes(policy)) return fail(t('hostkey.badPolicy', { value: policy, supported: HOST_KEY_POLICIES.join(', ') }));
+
+    if (!name) {
+      saveSettings({ ...getSettings(), hostKeyPolicy: policy });
+      return console.log(t('hostkey.defaultPolicy', { policy }));
+    }
+
+    const servers = getServers();
+    const targets = selectServers(servers, name);
+    if (targets.length === 0) return fail(t('common.serverNotFound', { name }), EXIT_NOT_FOUND);
+    targets.forEach(server => { server.hostKeyPolicy = policy; });
+    saveServers(servers);
+    console.log(t('hostkey.serverPolicy', { names: targets.map(s => `"${s.name}"`).join(', '), policy }));
+  });
+
+hostkey
+  .command('file <source>')
+  .description(t('hostkey.fileDescription'))
+  .action((source) => {
+    if (!['sshm', 'user'].includes(source)) return fail(t('hostkey.badFile', { value: source }));
+    const settings = { ...getSettings(), knownHosts: source };
+    saveSettings(settings);
+    console.log(t('hostkey.fileSet', { file: knownHostsFile(settings) }));
+  });
+
+const keyCmd = program
+  .command('key')
+  .description(t('key.description'));
+
+keyCmd
+  .command('gen <name>')
+  .description(t('key.genDescription'))
+  .option('-f, --force', t('key.optForce'))
+  .action(async (selector, opts) => {
+    const server = await findServerOrWarn(selector);
+    if (!server) return;
+    if (server.keyPath && !opts.force) {
+      return fail(t('key.alreadyKeyForce', { name: server.name, keyPath: server.keyPath }));
+    }
+
+    const keypair = await generateKeypair(keyComment(server.name));
+    await savePendingKey(server.name, keypair.privateKey);
+    console.log(t('key.generated', { name: server.name }));
+    console.log(keypair.publicKey);
+    console.log(t('key.deployHint', { name: server.name }));
+  });
+
+keyCmd
+  .command('deploy <name>')
+  .description(t('key.deployDescription'))
+  .action(async (selector) => {
+    const server = await findServerOrWarn(selector);
+    if (!server) return;
+    if (server.keyPath) return fail(t('key.alreadyKey', { name: server.name }));
+
+    const pending = await pendingKey(server.name);
+    let keypair;
+    if (pending) {
+      keypair = { privateKey: pending, publicKey: await publicKeyFromPrivate(pending) };
+    } else {
+      console.log(t('key.generating', { name: server.name }));
+      keypair = await generateKeypair(keyComment(server.name));
+      await savePendingKey(server.name, keypair.privateKey);
+    }
+    if (!keypair.publicKey) return fail(t('key.badPending', { name: server.name }));
+
+    try {
+      const { keyPath } = await deployKey(server.name, keypair);
+      console.log(t('key.deployed', { user: server.user, host: server.host, name: server.name, keyPath }));
+    } catch (error) {
+      fail(t('key.deployFailed', { name: server.name, message: error.message }));
+    }
+  });
+
+keyCmd
+  .command('rotate <selector>')
+  .description(t('key.rotateDescription'))
+  .option('--remove-old', t('key.optRemoveOld'))
+  .option('--keep-old', t('key.optKeepOld'))
+  .action(async (selector, opts) => {
+    const servers = getServers();
+    let targets = selectServers(servers, selector);
+    if (targets.length === 0) targets = selectServers(servers, `group:${selector}`);
+    if (targets.length === 0) return fail(t('common.serverNotFound', { name: selector }), EXIT_NOT_FOUND);
+
+    // Tuần tự: mỗi server cần đăng nhập nhiều lần, và vault chỉ hỏi passphrase một lần
+    const results = [];
+    let failed = false;
+    for (const server of targets) {
+      if (!server.keyPath) {
+        results.push({ name: server.name, status: t('key.status.skipped'), detail: t('key.usesPassword', { name: server.name }) });
+        continue;
+      }
+      const removeOld = !opts.keepOld && (isManagedKey(server) || Boolean(opts.removeOld));
+      console.log(t('key.rotating', { name: server.name }));
+      try {
+        const result = await rotateKey(server.name, { removeOld });
+        let detail = result.removed ? t('key.oldRemoved') : t('key.oldKept');
+        if (!result.oldPublicKey) detail = t('key.oldUnreadable');
+        else if (!removeOld && !opts.keepOld) detail = t('key.oldKeptExternal');
+        results.push({ name: server.name, status: t('key.status.ok'), detail });
+      } catch (error) {
+        failed = true;
+        results.push({ name: server.name, status: t('key.status.error'), detail: error.message.split('\n')[0] });
+      }
+    }
+
+    console.table(results);
+    if (failed) process.exitCode = EXIT_ERROR;
+  });
+
+function lifetimeLabel(lifetime) {
+  return lifetime > 0 ? t('agent.minutes', { count: lifetime }) : t('agent.unlimited');
+}
+
+const agentCmd = program
+  .command('agent')
+  .description(t('agent.description'));
+
+agentCmd
+  .command('status')
+  .description(t('agent.statusDescription'))
+  .action(async () => {
+    const settings = getSettings();
+    const lifetime = agentLifetime(settings);
+    console.log(t('agent.mode', { mode: agentMode(settings), modes: AGENT_MODES.join(' | ') }));
+    console.log(t('agent.lifetime', { lifetime: lifetimeLabel(lifetime) }));
+    const socket = await systemAgent();
+    if (!socket) return console.log(t('agent.noAgent'));
+    const keys = await listAgentKeys(socket);
+    console.log(t('agent.socket', { socket, count: keys.length }));
+    keys.forEach(k => console.log(`   ${k}`));
+  });
+
+agentCmd
+  .command('mode <mode>')
+  .description(t('agent.modeDescription'))
+  .action((mode) => {
+    if (!AGENT_MODES.includes(mode)) return fail(t('agent.badMode', { value: mode, supported: AGENT_MODES.join(', ') }));
+    saveSettings({ ...getSettings(), agentMode: mode });
+    console.log(t('agent.modeSet', { mode }));
+  });
+
+agentCmd
+  .command('lifetime <minutes>')
+  .description(t('agent.lifetimeDescription'))
+  .action((minutes) => {
+    const lifetime = Number(minutes);
+    if (Number.isNaN(lifetime) || lifetime < 0) return fail(t('agent.badLifetime', { value: minutes }));
+    saveSettings({ ...getSettings(), agentLifetime: lifetime });
+    console.log(t('agent.lifetimeSet', { lifetime: lifetimeLabel(lifetime) }));
+  });
+
+agentCmd
+  .command('add [selector]')
+  .description(t('agent.addDescription'))
+  .action(async (selector) => {
+    const socket = await systemAgent();
+    if (!socket) return fail(t('agent.noAgentStart'));
+    const servers = getServers();
+    const targets = (selector ? selectServers(servers, selector) : servers).filter(s => s.keyPath);
+    if (targets.length === 0) return fail(selector ? t('agent.noKeyMatch', { selector }) : t('agent.noKeyServers'), EXIT_NOT_FOUND);
+
+    const settings = getSettings();
+    for (const server of targets) {
+      try {
+        const keyPath = await resolveKeyPath(server);
+        const ok = await loadKey(socket, keyPath, await getSecret(server.name, 'passphrase'), settings);
+        if (ok) console.log(t('agent.loaded', { name: server.name, keyPath: server.keyPath }));
+        else fail(t('agent.loadFailed', { name: server.name, keyPath: server.keyPath }));
+      } catch (error) {
+        fail(`${server.name}: ${error.message}`);
+      }
+    }
+  });
+
+program.parseAsync().catch(error => {
+  console.log(t('common.error', { message: error.message }));
+  process.exit(exitCodeFor(error));
+});
\ No newline at end of file
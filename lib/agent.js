@@ -0,0 +1,113 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { runDir } from './paths.js';
+import { capture } from './process.js';
+import { t } from './i18n.js';
+
+// Tích hợp ssh-agent: nạp key (kèm passphrase đã lưu) vào agent có thời hạn để chuỗi jump
+// hay `exec` nhiều server không phải trả lời passphrase nhiều lần.
+//  - off: không dùng agent (mặc định)
+//  - system: agent đang chạy (SSH_AUTH_SOCK)
+//  - private: agent riêng của sshm, sống cùng process hiện tại
+//  - auto: agent đang chạy nếu có, không thì agent riêng
+
+export const AGENT_MODES = ['off', 'auto', 'system', 'private'];
+export const DEFAULT_LIFETIME = 60; // phút
+
+export function agentMode(settings) {
+  return settings.agentMode || 'off';
+}
+
+export function agentLifetime(settings) {
+  return settings.agentLifetime ?? DEFAULT_LIFETIME;
+}
+
+function lifetimeArgs(settings) {
+  const minutes = agentLifetime(settings);
+  return minutes > 0 ? ['-t', String(Math.round(minutes * 60))] : [];
+}
+
+function agentEnv(socket, extra = {}) {
+  return { ...process.env, SSH_AUTH_SOCK: socket, ...extra };
+}
+
+// Danh sách key trong agent, null nếu không kết nối được agent
+export async function listAgentKeys(socket) {
+  if (!socket) return null;
+  const result = await capture('ssh-add', ['-l'], { env: agentEnv(socket), timeout: 5000 });
+  if (result.code === 0) return result.stdout.trim().split('\n').filter(Boolean);
+  if (result.code === 1) return []; // agent không có key nào
+  return null;
+}
+
+export async function systemAgent() {
+  const socket = process.env.SSH_AUTH_SOCK;
+  if (!socket || !fs.existsSync(socket)) return null;
+  return (await listAgentKeys(socket)) ? socket : null;
+}
+
+let privateAgent = null;
+
+function stopPrivateAgent() {
+  if (!privateAgent) return;
+  try { process.kill(privateAgent.pid, 'SIGTERM'); } catch (e) { /* ignore */ }
+  try { fs.unlinkSync(privateAgent.socket); } catch (e) { /* ignore */ }
+  privateAgent = null;
+}
+
+async function startPrivateAgent(settings) {
+  fs.mkdirSync(runDir, { recursive: true, mode: 0o700 });
+  const socket = path.join(runDir, `agent.${process.pid}.${crypto.randomBytes(4).toString('hex')}.sock`);
+  const result = await capture('ssh-agent', ['-s', '-a', socket, ...lifetimeArgs(settings)], { timeout: 10000 });
+  const match = /SSH_AGENT_PID=(\d+)/.exec(result.stdout);
+  if (result.code !== 0 || !match) throw new Error(t('agent.startFailed', { message: result.stderr.trim() }));
+  privateAgent = { socket, pid: Number(match[1]) };
+  process.on('exit', stopPrivateAgent);
+  return socket;
+}
+
+// Socket agent theo cấu hình, null nếu không dùng agent.
+// allowPrivate = false khi kết nối được dùng ở process khác (tunnel chạy nền).
+export async function resolveAgent(settings, { allowPrivate = true } = {}) {
+  const mode = agentMode(settings);
+  if (mode === 'off') return null;
+  if (mode !== 'private') {
+    const socket = await systemAgent();
+    if (socket) return socket;
+    if (mode === 'system') throw new Error(t('agent.noSystemAgent'));
+  }
+  if (!allowPrivate) return null;
+  if (privateAgent) return privateAgent.socket;
+  return startPrivateAgent(settings);
+}
+
+function askpassScript() {
+  fs.mkdirSync(runDir, { recursive: true, mode: 0o700 });
+  const file = path.join(runDir, 'askpass.sh');
+  if (!fs.existsSync(file)) {
+    fs.writeFileSync(file, '#!/bin/sh\nprintf \'%s\\n\' "$SSHM_ASKPASS"\n', { mode: 0o700 });
+  }
+  return file;
+}
+
+const loaded = new Set();
+
+// Nạp key vào agent; passphrase được đưa qua SSH_ASKPASS (env của ssh-add), không nằm trong argv.
+// Trả về false nếu không nạp được (vd key có passphrase nhưng chưa lưu) — khi đó ssh tự hỏi như thường.
+export async function loadKey(socket, keyPath, passphrase, settings) {
+  const id = `${socket}\0${keyPath}`;
+  if (loaded.has(id)) return true;
+  const result = await capture('ssh-add', [...lifetimeArgs(settings), keyPath], {
+    env: agentEnv(socket, {
+      SSH_ASKPASS: askpassScript(),
+      SSH_ASKPASS_REQUIRE: 'force',
+      DISPLAY: process.env.DISPLAY || ':0',
+      SSHM_ASKPASS: passphrase || ''
+    }),
+    timeout: 10000
+  });
+  if (result.code !== 0) return false;
+  loaded.add(id);
+  return true;
+}
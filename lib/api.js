@@ -0,0 +1,49 @@
+import { getServers, getSecret, getPassword, backendNameFor } from './store.js';
+import { selectServers } from './select.js';
+import { findServer } from './servers.js';
+import { resolveKeyPath } from './ssh.js';
+import { totp } from './totp.js';
+
+// API cho script Node dùng chung danh sách server, secret và logic kết nối của sshm;
+// CLI `sshm` (index.js) là một lớp mỏng bên trên. Mọi lỗi là lỗi có kiểu trong lib/errors.js.
+//
+//   import { listServers, exec, NotFoundError } from 'sshmate-cli';
+//   for (const server of listServers('group:prod')) {
+//     const { code, output } = await exec(server.name, 'uptime');
+//   }
+//
+// Vault mã hóa cần SSHM_PASSPHRASE hoặc `sshm vault unlock` trước khi đọc secret.
+// Profile: theo SSHM_PROFILE/SSHM_HOME như CLI, hoặc chọn trong script bằng useProfile('work').
+// API không in gì ra terminal; nhận cảnh báo (key file được tái tạo, catalog lỗi...) bằng onWarning((message, { code }) => ...).
+
+export { SshmError, ValidationError, NotFoundError, ConflictError, ConfigError, LockError, CredentialError, ConnectionError } from './errors.js';
+export { findServer as getServer, addServer, updateServer, removeServers, validateServerName, validatePort } from './servers.js';
+export { connect, exec } from './connect.js';
+export { openCluster, CLUSTER_LAYOUTS } from './cluster.js';
+export { getSettings, saveSettings, getCredential, savePassword, saveSecret, deleteSecret, SECRET_KINDS } from './store.js';
+export { prepareConnection, describeChain } from './ssh.js';
+export { runRemote, runPool } from './exec.js';
+export { serverOptions, startupCommand } from './options.js';
+export { readHistory, filterHistory, usageStats } from './history.js';
+export { profile } from './paths.js';
+export { onWarning } from './warnings.js';
+export { listProfiles, createProfile, switchProfile as useProfile } from './profiles.js';
+
+// Server đã lưu (gồm server từ catalog); selector: tên, glob, "all", tag:x, group:x, phân tách bằng dấu phẩy
+export function listServers(selector = null) {
+  const servers = getServers();
+  return selector ? selectServers(servers, selector) : servers;
+}
+
+// Secret đã giải quyết của server:
+// { backend, type: 'key' | 'password', password, keyPath, passphrase, otp }
+// keyPath là đường dẫn đầy đủ (key do sshm quản lý được tái tạo nếu file bị mất), otp là mã TOTP hiện tại.
+export async function resolveCredentials(name) {
+  const server = findServer(name);
+  const seed = await getSecret(name, 'otp');
+  const base = { backend: backendNameFor(name), otp: seed ? totp(seed) : null };
+  if (server.keyPath) {
+    return { ...base, type: 'key', password: null, keyPath: await resolveKeyPath(server), passphrase: await getSecret(name, 'passphrase') };
+  }
+  return { ...base, type: 'password', password: await getPassword(name), keyPath: null, passphrase: null };
+}
@@ -0,0 +1,61 @@
+import { spawn } from 'child_process';
+import { t } from '../i18n.js';
+
+// Backend lệnh ngoài (pass/gopass/...): {name} trong template được thay bằng tên credential.
+// Secret được đọc từ stdout của lệnh get và ghi vào stdin của lệnh set.
+// Profile khác mặc định: {name} thành "<profile>/<name>" (vd. sshm/work/web) để không đè secret của nhau.
+export const DEFAULT_COMMANDS = {
+  get: 'pass show sshm/{name}',
+  set: 'pass insert --multiline --force sshm/{name}',
+  delete: 'pass rm --force sshm/{name}'
+};
+
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+function render(template, id, namespace) {
+  return template.replace(/\{name\}/g, shellQuote(namespace ? `${namespace}/${id}` : id));
+}
+
+function run(command, input) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('sh', ['-c', command], { stdio: ['pipe', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', d => { stdout += d; });
+    child.stderr.on('data', d => { stderr += d; });
+    child.on('error', reject);
+    // lệnh không đọc stdin (get/delete) có thể thoát trước khi ghi xong: bỏ qua EPIPE
+    child.stdin.on('error', () => {});
+    child.on('close', code => resolve({ code, stdout, stderr }));
+    child.stdin.end(input ?? '');
+  });
+}
+
+export function createCommandBackend(commands = {}, namespace) {
+  const cmds = { ...DEFAULT_COMMANDS, ...commands };
+
+  return {
+    name: 'command',
+
+    async get(id) {
+      const { code, stdout } = await run(render(cmds.get, id, namespace));
+      if (code !== 0 || !stdout) return null;
+      const value = stdout.replace(/\r?\n$/, '');
+      return { type: value.includes('PRIVATE KEY') ? 'key' : 'password', value };
+    },
+
+    async set(id, cred) {
+      const { code, stderr } = await run(render(cmds.set, id, namespace), cred.value + '\n');
+      if (code !== 0) {
+        throw new Error(t('store.commandSetFailed', { code, message: stderr.trim() }));
+      }
+    },
+
+    async delete(id) {
+      const { code } = await run(render(cmds.delete, id, namespace));
+      return code === 0;
+    }
+  };
+}
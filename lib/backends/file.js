@@ -0,0 +1,57 @@
+import { loadCredentials, saveCredentials, updateCredentials, readPlain } from '../vault.js';
+import { warn } from '../warnings.js';
+import { t } from '../i18n.js';
+
+// Backend mặc định: credentials.json mã hóa (vault)
+export function createFileBackend(vaultOptions = {}) {
+  // Chuyển credentials cũ sang format mới và mã hóa vào vault (chỉ chạy một lần)
+  async function migrateCredentials() {
+    const creds = readPlain();
+    if (!creds || Object.keys(creds).length === 0) return;
+
+    for (const [name, value] of Object.entries(creds)) {
+      // If value is a string (old format), convert to new format
+      if (typeof value === 'string') {
+        creds[name] = { type: 'password', value: value };
+      }
+    }
+
+    warn(t('store.plaintextMigrating'), { code: 'SSHM_VAULT_MIGRATE' });
+    await saveCredentials(creds, vaultOptions);
+    warn(t('store.plaintextMigrated'), { code: 'SSHM_VAULT_MIGRATED' });
+  }
+
+  async function read() {
+    await migrateCredentials();
+    return loadCredentials(vaultOptions);
+  }
+
+  return {
+    name: 'file',
+
+    async get(id) {
+      const creds = await read();
+      return creds[id] || null;
+    },
+
+    async set(id, cred) {
+      await migrateCredentials();
+      await updateCredentials((creds) => {
+        creds[id] = cred;
+      }, vaultOptions);
+    },
+
+    async delete(id) {
+      await migrateCredentials();
+      return updateCredentials((creds) => {
+        if (!creds[id]) return false;
+        delete creds[id];
+        return true;
+      }, vaultOptions);
+    },
+
+    async list() {
+      return Object.keys(await read());
+    }
+  };
+}
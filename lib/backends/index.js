@@ -0,0 +1,21 @@
+import { createFileBackend } from './file.js';
+import { createKeyringBackend } from './keyring.js';
+import { createCommandBackend } from './command.js';
+import { t } from '../i18n.js';
+
+export const BACKENDS = ['file', 'keyring', 'command'];
+
+// settings.namespace: profile sở hữu secret (null = profile mặc định), chỉ keyring/command cần
+// vì vault file đã nằm trong thư mục của profile
+export function createBackend(name, settings = {}) {
+  switch (name || 'file') {
+    case 'file':
+      return createFileBackend(settings.vault);
+    case 'keyring':
+      return createKeyringBackend(settings.namespace);
+    case 'command':
+      return createCommandBackend(settings.commands, settings.namespace);
+    default:
+      throw new Error(t('store.badBackend', { name, supported: BACKENDS.join(', ') }));
+  }
+}
@@ -0,0 +1,59 @@
+import { t } from '../i18n.js';
+
+const SERVICE = 'sshm';
+
+// Profile mặc định giữ service "sshm" (tương thích dữ liệu cũ), profile khác dùng "sshm:<profile>"
+export function keyringService(namespace) {
+  return namespace ? `${SERVICE}:${namespace}` : SERVICE;
+}
+
+let keytar = null;
+
+// keytar là native module, chỉ load khi thật sự dùng tới keyring
+async function loadKeytar() {
+  if (keytar) return keytar;
+  try {
+    const mod = await import('keytar');
+    keytar = mod.default || mod;
+    return keytar;
+  } catch (e) {
+    throw new Error(t('store.keyringUnavailable', { message: e.message.split('\n')[0] }));
+  }
+}
+
+// Backend OS keyring: mỗi credential là một entry (service=sshm[:<profile>], account=<name>)
+export function createKeyringBackend(namespace) {
+  const service = keyringService(namespace);
+
+  return {
+    name: 'keyring',
+
+    async get(id) {
+      const kt = await loadKeytar();
+      const raw = await kt.getPassword(service, id);
+      if (raw === null || raw === undefined) return null;
+      try {
+        return JSON.parse(raw);
+      } catch (e) {
+        // entry được tạo ngoài sshm: coi như password
+        return { type: 'password', value: raw };
+      }
+    },
+
+    async set(id, cred) {
+      const kt = await loadKeytar();
+      await kt.setPassword(service, id, JSON.stringify(cred));
+    },
+
+    async delete(id) {
+      const kt = await loadKeytar();
+      return kt.deletePassword(service, id);
+    },
+
+    async list() {
+      const kt = await loadKeytar();
+      const entries = await kt.findCredentials(service);
+      return entries.map(e => e.account);
+    }
+  };
+}
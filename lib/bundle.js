@@ -0,0 +1,156 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import inquirer from 'inquirer';
+import { expandHome } from './paths.js';
+import { validateName } from './servers.js';
+import { ValidationError } from './errors.js';
+import { deriveKey, newKdf, encrypt, decrypt } from './vault.js';
+import { t } from './i18n.js';
+import {
+  getServers, saveServers, getCredential, getSecret, SECRET_KINDS,
+  getBackend, isManagedKey, managedKeyPath, regenerateKeyFile, storeKeyContent, deleteServerData
+} from './store.js';
+
+// Bundle = một file mã hóa (cùng định dạng với vault) chứa server, secret và key material
+// để backup/restore/sync. Passphrase của bundle độc lập với master passphrase của vault.
+
+const BUNDLE_FORMAT = 'sshm-bundle';
+const BUNDLE_VERSION = 1;
+
+export const RESTORE_STRATEGIES = ['merge', 'overwrite', 'skip'];
+
+export async function askBundlePassphrase({ confirm = false } = {}) {
+  if (process.env.SSHM_BUNDLE_PASSPHRASE) return process.env.SSHM_BUNDLE_PASSPHRASE;
+  if (!process.stdin.isTTY) {
+    throw new Error(t('backup.needPassphrase'));
+  }
+  const answers = await inquirer.prompt([
+    {
+      type: 'password',
+      name: 'passphrase',
+      message: t('backup.promptPassphrase'),
+      mask: '*',
+      validate: v => !confirm || (v && v.length >= 8) || t('common.passphraseShort')
+    },
+    { type: 'password', name: 'confirm', message: t('backup.promptConfirm'), mask: '*', when: () => confirm }
+  ]);
+  if (confirm && answers.passphrase !== answers.confirm) {
+    throw new Error(t('common.passphraseMismatch'));
+  }
+  return answers.passphrase;
+}
+
+export function encryptBundle(payload, passphrase) {
+  const kdf = newKdf();
+  return { format: BUNDLE_FORMAT, ...encrypt(payload, deriveKey(passphrase, kdf), kdf) };
+}
+
+export function decryptBundle(file, passphrase) {
+  if (!file || file.format !== BUNDLE_FORMAT) throw new Error(t('restore.notBundle'));
+  if (file.version > BUNDLE_VERSION) throw new Error(t('restore.tooNew', { version: file.version }));
+  try {
+    return decrypt(file, deriveKey(passphrase, file.kdf));
+  } catch (e) {
+    throw new Error(t('restore.badPassphrase'));
+  }
+}
+
+export function readBundleFile(file) {
+  return JSON.parse(fs.readFileSync(expandHome(file), 'utf8'));
+}
+
+export function writeBundleFile(file, bundle) {
+  fs.writeFileSync(expandHome(file), JSON.stringify(bundle, null, 2), { mode: 0o600 });
+}
+
+// Gom dữ liệu của một server: record, secret và nội dung key file ngoài ~/.sshm/keys
+// (key trong ~/.sshm/keys đã nằm trong secret, managedKey đánh dấu để nơi restore tự đặt lại đường dẫn)
+async function collectEntry(server) {
+  const secrets = { primary: await getCredential(server.name) };
+  for (const kind of SECRET_KINDS) secrets[kind] = await getSecret(server.name, kind);
+
+  let keyFile = null;
+  if (server.keyPath && !isManagedKey(server)) {
+    try { keyFile = fs.readFileSync(expandHome(server.keyPath), 'utf8'); } catch (e) { /* ignore */ }
+  }
+
+  // backend là lựa chọn của từng máy, không mang theo
+  const { credentialBackend, ...record } = server;
+  return { server: record, secrets, keyFile, managedKey: isManagedKey(server) };
+}
+
+// Key do sshm quản lý ở nơi tạo bundle (profile/SSHM_HOME có thể khác nơi restore).
+// Bundle cũ chưa có managedKey: nhận ra qua secret dạng key và tên file <name>_key.
+function sourceManagedKey(entry) {
+  if (entry.managedKey !== undefined) return entry.managedKey;
+  const { server, secrets } = entry;
+  return Boolean(server.keyPath) && path.basename(server.keyPath) === `${server.name}_key`
+    && Boolean(secrets.primary) && secrets.primary.type === 'key';
+}
+
+// Payload của bundle: { createdAt, host, entries: [{ server, secrets, keyFile, managedKey }], deleted }
+export async function collectPayload(servers = getServers(), { deleted = {} } = {}) {
+  const entries = [];
+  for (const server of servers) entries.push(await collectEntry(server));
+  return { createdAt: new Date().toISOString(), host: os.hostname(), entries, deleted };
+}
+
+// Ghi một entry của bundle vào máy này (thay server cùng tên nếu có).
+// Secret được ghi trước rồi mới lưu record với updatedAt của bundle.
+// Tên server trong bundle dùng làm id secret và tên key file nên phải hợp lệ trước khi ghi gì.
+export async function applyEntry(entry) {
+  const valid = validateName(entry.server && entry.server.name);
+  if (valid !== true) throw new ValidationError(valid, { field: 'name', server: entry.server && entry.server.name });
+  const servers = getServers();
+  const local = servers.find(s => s.name === entry.server.name);
+  const server = { ...entry.server };
+  if (local && local.credentialBackend) server.credentialBackend = local.credentialBackend;
+
+  const backend = getBackend(server.credentialBackend);
+  const { primary, ...extra } = entry.secrets;
+  if (primary) await backend.set(server.name, primary);
+  else await backend.delete(server.name);
+  for (const kind of SECRET_KINDS) {
+    const id = `${server.name}#${kind}`;
+    if (extra[kind]) await backend.set(id, { type: kind, value: extra[kind] });
+    else await backend.delete(id);
+  }
+
+  const messages = [];
+  if (sourceManagedKey(entry)) {
+    // ghi lại key file từ secret vào thư mục keys của profile đang restore
+    server.keyPath = managedKeyPath(server.name);
+    await regenerateKeyFile(server.name);
+  } else if (server.keyPath && !fs.existsSync(expandHome(server.keyPath)) && entry.keyFile) {
+    // key ngoài ~/.sshm/keys không có trên máy này: chuyển thành key do sshm quản lý
+    server.keyPath = await storeKeyContent(server.name, entry.keyFile.trim());
+    messages.push(t('restore.keyMoved', { file: entry.server.keyPath, managed: managedKeyPath(server.name) }));
+  }
+
+  const next = local ? servers.map(s => (s.name === server.name ? server : s)) : [...servers, server];
+  saveServers(next);
+  return messages;
+}
+
+export async function removeServer(name) {
+  const servers = getServers();
+  const server = servers.find(s => s.name === name);
+  if (!server) return;
+  saveServers(servers.filter(s => s.name !== name));
+  await deleteServerData(server);
+}
+
+// Kế hoạch restore: [{ name, action: add | replace | keep | skip, entry }]
+//  merge: bên có updatedAt mới hơn thắng (bằng nhau giữ local); overwrite: bundle thắng; skip: giữ local
+export function planRestore(payload, strategy, servers = getServers()) {
+  return payload.entries.map((entry) => {
+    const local = servers.find(s => s.name === entry.server.name);
+    let action;
+    if (!local) action = 'add';
+    else if (strategy === 'overwrite') action = 'replace';
+    else if (strategy === 'skip') action = 'skip';
+    else action = (entry.server.updatedAt || '') > (local.updatedAt || '') ? 'replace' : 'keep';
+    return { name: entry.server.name, action, entry };
+  });
+}
@@ -0,0 +1,128 @@
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { catalogsDir, expandHome } from './paths.js';
+import { capture } from './process.js';
+import { ValidationError } from './errors.js';
+import { t } from './i18n.js';
+import { warn } from './warnings.js';
+import { validateName, validatePort } from './servers.js';
+
+// Catalog = danh sách server dùng chung cho cả team (file JSON/YAML ở thư mục local hoặc
+// trong git repo clone tại ~/.sshm/catalogs/<name>). Catalog chỉ đọc và không chứa secret;
+// server cá nhân cùng tên ghi đè từng field của catalog (xem store.getServers).
+
+// Chỉ những field này được lấy từ catalog, mọi field khác (keyPath, backend...) là cá nhân
+export const CATALOG_FIELDS = ['name', 'host', 'port', 'user', 'jump', 'tags', 'group', 'hostKeyPolicy'];
+const DEFAULT_FILES = ['catalog.yaml', 'catalog.yml', 'catalog.json'];
+const GIT_TIMEOUT = 60 * 1000;
+
+export function isGitSource(source) {
+  return /^(git@|ssh:\/\/|git:\/\/|https?:\/\/)/.test(source) || source.endsWith('.git');
+}
+
+// Thư mục clone của catalog, luôn nằm hẳn bên trong catalogsDir (tên lạ như ".." không được trỏ ra ngoài)
+function repoDir(name) {
+  const dir = path.resolve(catalogsDir, String(name));
+  const relative = path.relative(catalogsDir, dir);
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw new ValidationError(t('catalog.badDir', { name }), { field: 'name' });
+  }
+  return dir;
+}
+
+export function catalogFile(catalog) {
+  if (!catalog.url) return expandHome(catalog.path);
+  const dir = repoDir(catalog.name);
+  if (catalog.file) return path.join(dir, catalog.file);
+  const found = DEFAULT_FILES.find(f => fs.existsSync(path.join(dir, f)));
+  return path.join(dir, found || DEFAULT_FILES[0]);
+}
+
+export function describeSource(catalog) {
+  return catalog.url ? `${catalog.url}${catalog.file ? ` (${catalog.file})` : ''}` : catalog.path;
+}
+
+// Đọc file catalog: { servers: [...] } hoặc mảng server.
+// Server có tên/port không hợp lệ (tên trùng id secret "name#kind", "all"...) bị bỏ qua kèm cảnh báo.
+export function parseCatalog(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const data = /\.json$/i.test(file) ? JSON.parse(text) : YAML.parse(text);
+  const list = Array.isArray(data) ? data : (data && data.servers);
+  if (!Array.isArray(list)) throw new Error(t('catalog.notList'));
+
+  const servers = [];
+  list.forEach((entry, i) => {
+    if (!entry || !entry.name || !entry.host) throw new Error(t('catalog.entryIncomplete', { index: i + 1 }));
+    const server = {};
+    for (const field of CATALOG_FIELDS) {
+      if (entry[field] !== undefined && entry[field] !== null) server[field] = entry[field];
+    }
+    server.name = String(server.name);
+    if (server.port !== undefined) server.port = String(server.port);
+    const valid = [validateName(server.name), server.port === undefined || validatePort(server.port)].find(v => v !== true);
+    if (valid) {
+      warnOnce(t('catalog.badEntry', { file, name: server.name, message: valid }), { code: 'SSHM_CATALOG_INVALID', server: server.name, file });
+      return;
+    }
+    servers.push(server);
+  });
+  return servers;
+}
+
+const cache = new Map();
+const warned = new Set();
+
+function warnOnce(message, details) {
+  if (warned.has(message)) return;
+  warned.add(message);
+  warn(message, details);
+}
+
+function readCatalog(catalog) {
+  const file = catalogFile(catalog);
+  const stat = fs.statSync(file);
+  const cached = cache.get(file);
+  if (cached && cached.mtimeMs === stat.mtimeMs) return cached.servers;
+  const servers = parseCatalog(file);
+  cache.set(file, { mtimeMs: stat.mtimeMs, servers });
+  return servers;
+}
+
+// Server của mọi catalog, đánh dấu catalog nguồn. Trùng tên giữa các catalog: catalog đầu thắng.
+export function loadCatalogServers(catalogs = []) {
+  const byName = new Map();
+  for (const catalog of catalogs) {
+    let servers;
+    try {
+      servers = readCatalog(catalog);
+    } catch (error) {
+      warnOnce(t('catalog.unreadable', { name: catalog.name, message: error.message }), { code: 'SSHM_CATALOG_UNREADABLE', catalog: catalog.name });
+      continue;
+    }
+    for (const server of servers) {
+      if (byName.has(server.name)) {
+        const first = byName.get(server.name).catalog;
+        warnOnce(t('catalog.duplicate', { name: server.name, first, second: catalog.name }), { code: 'SSHM_CATALOG_DUPLICATE', server: server.name, catalog: catalog.name });
+        continue;
+      }
+      byName.set(server.name, { ...server, catalog: catalog.name });
+    }
+  }
+  return [...byName.values()];
+}
+
+// Clone (lần đầu) hoặc pull catalog dạng git
+export async function fetchCatalog(catalog) {
+  if (!catalog.url) return;
+  const dir = repoDir(catalog.name);
+  const args = fs.existsSync(path.join(dir, '.git'))
+    ? ['-C', dir, 'pull', '--quiet', '--ff-only']
+    : ['clone', '--quiet', '--depth', '1', catalog.url, dir];
+  const result = await capture('git', args, { timeout: GIT_TIMEOUT });
+  if (result.code !== 0) throw new Error(t('catalog.gitFailed', { command: args.includes('clone') ? 'clone' : 'pull', message: result.stderr.trim() }));
+}
+
+export function removeCatalogFiles(catalog) {
+  if (catalog.url) fs.rmSync(repoDir(catalog.name), { recursive: true, force: true });
+}
@@ -0,0 +1,179 @@
+import dns from 'dns';
+import fs from 'fs';
+import net from 'net';
+import { expandHome } from './paths.js';
+import { getCredential } from './store.js';
+import { prepareConnection, resolveJumps, jumpList } from './ssh.js';
+import { runRemote } from './exec.js';
+import { hostKeyPolicy, knownFingerprints, scanHostKey, isHostKeyMismatch } from './hostkeys.js';
+import { t } from './i18n.js';
+
+// Chẩn đoán kết nối tới server theo từng bước: DNS → TCP → SSH banner → host key → đăng nhập.
+// Mỗi kết quả cho biết bước hỏng (stage) để người dùng biết cần sửa gì.
+//  stage: network | banner | hostkey | key | credential | auth
+
+export const DEFAULT_CHECK_TIMEOUT = 10; // giây
+
+function result(server) {
+  return {
+    name: server.name,
+    target: `${server.user}@${server.host}:${server.port || '22'}`,
+    address: null,
+    banner: null,
+    hostKey: null,
+    auth: null,
+    status: 'ok',
+    stage: null,
+    reason: null
+  };
+}
+
+function failed(row, stage, reason) {
+  return { ...row, status: 'fail', stage, reason };
+}
+
+// Key file của server (và jump host) phải tồn tại trước khi thử đăng nhập
+async function checkKeyFiles(name, servers) {
+  for (const server of resolveJumps(name, servers)) {
+    if (!server.keyPath) continue;
+    const who = server.name === name ? '' : t('check.viaJump', { name: server.name });
+    const file = expandHome(server.keyPath);
+    if (!fs.existsSync(file)) {
+      const cred = await getCredential(server.name);
+      const hint = cred && cred.type === 'key' ? t('check.regenHint', { name: server.name }) : '';
+      return t('check.keyMissing', { file: server.keyPath, who, hint });
+    }
+    const content = fs.readFileSync(file, 'utf8');
+    if (!content.includes('PRIVATE KEY')) return t('check.keyInvalid', { file: server.keyPath, who });
+  }
+  return null;
+}
+
+// Bước hỏng theo code lỗi của prepareConnection (lib/errors.js), lỗi khác (jump host, agent...) tính là auth
+const PREPARE_STAGES = {
+  SSHM_KEY: 'key',
+  SSHM_CREDENTIAL: 'credential',
+  SSHM_VAULT_LOCKED: 'credential',
+  SSHM_VAULT_PASSPHRASE: 'credential'
+};
+
+// Chuẩn bị kết nối (tuần tự, để vault chỉ hỏi passphrase một lần).
+// Trả về { server, conn } hoặc { server, row } khi đã biết lỗi trước khi ra mạng.
+export async function prepareCheck(server, { servers, settings }) {
+  try {
+    const keyError = await checkKeyFiles(server.name, servers);
+    if (keyError) return { server, row: failed(result(server), 'key', keyError) };
+    return { server, conn: await prepareConnection(server.name, { servers, settings }) };
+  } catch (error) {
+    const stage = PREPARE_STAGES[error.code] || 'auth';
+    return { server, row: failed(result(server), stage, error.message) };
+  }
+}
+
+// TCP tới host:port, đọc dòng banner "SSH-2.0-..."
+function grabBanner(address, port, timeout) {
+  return new Promise((resolve) => {
+    const socket = net.createConnection({ host: address, port: Number(port) });
+    let data = '';
+    let connected = false;
+    const done = (value) => {
+      socket.destroy();
+      resolve({ connected, ...value });
+    };
+    socket.setTimeout(timeout, () => done({ error: connected ? t('check.noBanner') : t('check.tcpTimeout') }));
+    socket.on('connect', () => { connected = true; });
+    socket.on('data', (chunk) => {
+      data += chunk.toString('latin1');
+      // server có thể gửi vài dòng text trước banner
+      const line = data.split(/\r?\n/).find(l => l.startsWith('SSH-'));
+      if (line) done({ banner: line.trim() });
+      else if (data.length > 8192) done({ error: t('check.notSsh') });
+    });
+    socket.on('error', error => done({ error: error.code || error.message }));
+    socket.on('end', () => done({ error: connected ? t('check.closedBeforeBanner') : t('check.closed') }));
+  });
+}
+
+// Bước hỏng khi sshm tự dừng ssh (result.failure của runRemote, xem PTY_FAILURES trong lib/pty.js)
+const FAILURE_STAGES = { 'no-secret': 'credential', rejected: 'auth', timeout: 'auth' };
+
+// Phân loại kết quả runRemote thành [bước hỏng, lý do]; phần còn lại dựa vào thông báo của OpenSSH
+function classifyAuthError(login) {
+  if (login.failure) return [FAILURE_STAGES[login.failure] || 'auth', login.error];
+  const text = login.error || login.output || '';
+  const message = text.trim().split('\n').filter(Boolean).pop() || t('check.loginFailed');
+  const denied = /Permission denied \(([^)]+)\)/.exec(text);
+  if (denied) return ['auth', t('check.denied', { methods: denied[1] })];
+  if (isHostKeyMismatch(text)) return ['hostkey', t('check.hostKeyMismatch')];
+  if (/Host key verification failed/i.test(text)) return ['hostkey', t('check.hostKeyUnverified')];
+  if (/Could not resolve|Connection refused|timed out|No route|unreachable|Connection closed|Connection reset/i.test(text)) {
+    return ['network', message];
+  }
+  return ['auth', message];
+}
+
+async function runStages(server, conn, settings, timeout) {
+  const current = result(server);
+  const hops = jumpList(server);
+  if (hops.length > 0) {
+    // host sau jump host không nhất thiết truy cập được từ máy này, chỉ kiểm tra đăng nhập qua chuỗi jump
+    current.address = t('check.viaHops', { hops: hops.join(',') });
+  } else {
+    try {
+      current.address = (await dns.promises.lookup(server.host)).address;
+    } catch (error) {
+      return failed(current, 'network', t('check.dnsFailed', { host: server.host, message: error.code || error.message }));
+    }
+
+    const port = server.port || '22';
+    const probe = await grabBanner(current.address, port, timeout * 1000);
+    if (!probe.connected) return failed(current, 'network', t('check.tcpFailed', { address: current.address, port, message: probe.error }));
+    if (!probe.banner) return failed(current, 'banner', probe.error);
+    current.banner = probe.banner;
+
+    const policy = hostKeyPolicy(server, settings);
+    if (policy === 'off') {
+      current.hostKey = 'off';
+    } else {
+      const known = await knownFingerprints(server, settings);
+      let scanned;
+      try {
+        scanned = await scanHostKey(server);
+      } catch (error) {
+        return failed(current, 'hostkey', error.message);
+      }
+      const matched = scanned.fingerprints.some(f => known.some(k => k.fingerprint === f.fingerprint));
+      if (known.length > 0 && !matched) {
+        current.hostKey = 'changed';
+        return failed(current, 'hostkey', t('check.hostKeyChanged', { name: server.name }));
+      }
+      if (!matched && policy === 'strict') {
+        current.hostKey = 'unknown';
+        return failed(current, 'hostkey', t('check.hostKeyUnknown', { name: server.name }));
+      }
+      current.hostKey = matched ? 'ok' : 'new';
+    }
+  }
+
+  const login = await runRemote(conn, 'true', {
+    sshOptions: ['-o', `ConnectTimeout=${timeout}`],
+    authTimeout: timeout * 1000
+  });
+  if (login.code === 0) {
+    current.auth = server.keyPath ? 'key' : 'password';
+    return current;
+  }
+  const [stage, reason] = classifyAuthError(login);
+  return failed(current, stage, reason);
+}
+
+// Chạy các bước chẩn đoán cho một server đã chuẩn bị bởi prepareCheck
+export async function runCheck({ server, conn, row }, { settings, timeout = DEFAULT_CHECK_TIMEOUT }) {
+  if (row) return { ...row, ms: 0 };
+  const started = Date.now();
+  try {
+    return { ...(await runStages(server, conn, settings, timeout)), ms: Date.now() - started };
+  } finally {
+    conn.cleanup();
+  }
+}
@@ -0,0 +1,487 @@
+import { getServers, getSettings } from './store.js';
+import { prepareConnection } from './ssh.js';
+import { findServer } from './servers.js';
+import { spawnPty, createLoginFilter, createReadyMarker } from './pty.js';
+import { startSession, endSession } from './history.js';
+import { isHostKeyMismatch } from './hostkeys.js';
+import { profile } from './paths.js';
+import { ValidationError, ConnectionError } from './errors.js';
+import { t } from './i18n.js';
+
+// Cluster SSH: mở phiên pty tới nhiều server trên cùng một terminal, phím gõ được gửi tới
+// mọi server trong nhóm broadcast. Hai kiểu hiển thị:
+//   tiled: chia lưới, mỗi server một ô (hiển thị theo dòng, chương trình toàn màn hình như vim/top nên xem ở panes)
+//   panes: mỗi lúc một server chiếm cả màn hình, chuyển qua lại bằng phím tắt
+// Phím điều khiển bắt đầu bằng Ctrl-] (xem CLUSTER_KEYS), dòng cuối màn hình là thanh trạng thái.
+
+export const CLUSTER_LAYOUTS = ['tiled', 'panes'];
+
+// phím sau Ctrl-] -> thao tác
+export const CLUSTER_KEYS = {
+  n: 'next',
+  '\t': 'next',
+  p: 'prev',
+  ' ': 'toggle',
+  t: 'toggle',
+  a: 'all',
+  s: 'solo',
+  l: 'layout',
+  q: 'quit',
+  '?': 'help',
+  h: 'help'
+};
+
+const PREFIX = '\x1d'; // Ctrl-]
+const HISTORY_LINES = 500;
+const REPLAY_SIZE = 64 * 1024;
+const MIN_TILE_WIDTH = 20;
+const MIN_TILE_HEIGHT = 4;
+const RENDER_DELAY = 30;
+const NOTICE_DELAY = 3000;
+
+// OSC (tiêu đề cửa sổ...), CSI, chọn bộ ký tự, ESC khác, một ký tự
+const SEQUENCE = /\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b\[([0-?]*)[ -/]*([@-~])|\x1b[()#%][\s\S]|\x1b[\s\S]|[\s\S]/gu;
+// escape sequence bị cắt ở cuối chunk, chờ chunk sau
+const INCOMPLETE = /\x1b(?:\[[0-?]*[ -/]*|\][^\x07\x1b]*\x1b?|[()#%])?$/;
+// chương trình toàn màn hình trong pane không được thoát alternate screen của cluster
+const ALT_SCREEN = /\x1b\[\?(?:1049|1047|47)[hl]/g;
+
+// Màn hình tối giản của một ô trong lưới: chỉ giữ chữ theo dòng (bỏ màu và phần lớn escape sequence),
+// con trỏ luôn ở dòng cuối. Đủ cho shell và output lệnh.
+function createLineBuffer(width) {
+  const lines = [[]];
+  let col = 0;
+  let pending = '';
+
+  const line = () => lines[lines.length - 1];
+  const newLine = () => {
+    lines.push([]);
+    if (lines.length > HISTORY_LINES) lines.shift();
+  };
+  const put = (ch) => {
+    if (col >= width) {
+      newLine();
+      col = 0;
+    }
+    const current = line();
+    while (current.length < col) current.push(' ');
+    current[col] = ch;
+    col++;
+  };
+
+  const CSI = {
+    // xóa dòng: 0 = từ con trỏ tới cuối, 1 = từ đầu tới con trỏ, 2 = cả dòng
+    K: (params) => {
+      const mode = Number(params) || 0;
+      if (mode === 0) line().length = Math.min(line().length, col);
+      else if (mode === 1) line().fill(' ', 0, col + 1);
+      else line().length = 0;
+    },
+    D: (params, n) => { col = Math.max(0, col - n); },
+    C: (params, n) => { col = Math.min(width - 1, col + n); },
+    G: (params, n) => { col = Math.min(width - 1, n - 1); },
+    P: (params, n) => { line().splice(col, n); },
+    X: (params, n) => { line().fill(' ', col, Math.min(line().length, col + n)); },
+    '@': (params, n) => { line().splice(col, 0, ...Array(n).fill(' ')); },
+    // `clear`: xóa màn hình
+    J: (params) => {
+      if (params === '2' || params === '3') lines.splice(0, lines.length, []);
+    },
+    // chỉ giữ cột của vị trí con trỏ (dòng luôn là dòng cuối)
+    H: (params) => { col = Math.min(width - 1, (Number(params.split(';')[1]) || 1) - 1); }
+  };
+  CSI.f = CSI.H;
+
+  return {
+    lines,
+    get col() { return col; },
+    resize(cols) { width = cols; },
+    push(data) {
+      let text = pending + data;
+      const cut = INCOMPLETE.exec(text);
+      pending = cut ? cut[0] : '';
+      if (cut) text = text.slice(0, cut.index);
+
+      for (const match of text.matchAll(SEQUENCE)) {
+        const token = match[0];
+        if (match[2]) {
+          const handler = CSI[match[2]];
+          if (handler) handler(match[1], Number(match[1]) || 1);
+        } else if (token === '\r') {
+          col = 0;
+        } else if (token === '\n') {
+          newLine();
+        } else if (token === '\b') {
+          col = Math.max(0, col - 1);
+        } else if (token === '\t') {
+          col = Math.min(width - 1, (Math.floor(col / 8) + 1) * 8);
+        } else if (token >= ' ' && token !== '\x7f' && token[0] !== '\x1b') {
+          put(token);
+        }
+      }
+    }
+  };
+}
+
+// Vị trí các ô (1-based, chừa dòng cuối cho thanh trạng thái); null nếu terminal quá nhỏ cho lưới
+function geometry(layout, count, cols, rows) {
+  if (layout === 'panes') return Array.from({ length: count }, () => ({ top: 1, left: 1, width: cols, height: rows - 1 }));
+
+  const gridCols = Math.ceil(Math.sqrt(count));
+  const gridRows = Math.ceil(count / gridCols);
+  const width = Math.floor((cols - gridCols + 1) / gridCols);
+  const height = Math.floor((rows - 1) / gridRows);
+  if (width < MIN_TILE_WIDTH || height < MIN_TILE_HEIGHT) return null;
+  return Array.from({ length: count }, (_, i) => ({
+    top: 1 + Math.floor(i / gridCols) * height,
+    left: 1 + (i % gridCols) * (width + 1),
+    width,
+    height
+  }));
+}
+
+// Kích thước pty của ô: ô trong lưới có một dòng tiêu đề
+function ptySize(layout, rect) {
+  return { cols: rect.width, rows: layout === 'tiled' ? rect.height - 1 : rect.height };
+}
+
+function chars(text) {
+  return [...text];
+}
+
+// Cắt/đệm chuỗi theo số ký tự hiển thị
+function fit(text, width) {
+  const list = chars(text).slice(0, width);
+  return list.join('') + ' '.repeat(width - list.length);
+}
+
+// [[text, sgr], ...] -> chuỗi có màu, vừa đúng width ký tự
+function styled(segments, width) {
+  let out = '';
+  let left = width;
+  for (const [text, sgr] of segments) {
+    if (left <= 0) break;
+    const part = chars(text).slice(0, left).join('');
+    left -= chars(part).length;
+    out += `\x1b[0;${sgr}m${part}`;
+  }
+  return `${out}${' '.repeat(left)}\x1b[0m`;
+}
+
+function paneState(pane) {
+  if (pane.exited) return t('cluster.stateExited', { code: pane.code ?? '-' });
+  return t(pane.active ? 'cluster.stateOn' : 'cluster.stateOff');
+}
+
+function paneMark(pane) {
+  if (pane.exited) return 'x';
+  return pane.active ? '●' : '○';
+}
+
+// Giao diện cluster trên terminal hiện tại; trả về kết quả từng pane khi mọi phiên đã thoát
+function runCluster(entries, { layout, exclude }) {
+  return new Promise((resolve) => {
+    const stdin = process.stdin;
+    const stdout = process.stdout;
+    const size = () => ({ cols: stdout.columns || 80, rows: stdout.rows || 24 });
+    // layout: layout người dùng chọn; view: layout đang hiển thị (tiled không vừa terminal thì là panes)
+    const state = { layout, view: layout, focus: 0, prefix: false, help: false, notice: null };
+    let renderTimer = null;
+    let noticeTimer = null;
+    let finished = false;
+
+    const write = (text) => stdout.write(text);
+
+    // lưới không vừa terminal thì tạm hiển thị panes, terminal đủ rộng lại thì quay về tiled
+    const rects = () => {
+      const { cols, rows } = size();
+      const tiles = state.layout === 'tiled' ? geometry('tiled', panes.length, cols, rows) : null;
+      const view = tiles ? 'tiled' : 'panes';
+      if (state.layout === 'tiled' && !tiles && state.view !== view) flash(t('cluster.tooSmall'));
+      state.view = view;
+      return tiles || geometry('panes', panes.length, cols, rows);
+    };
+
+    const statusBar = () => {
+      const { cols, rows } = size();
+      const segments = [[` ${profile} `, '1;7']];
+      if (state.help) {
+        segments.push([` ${t('cluster.help')}`, '7']);
+      } else {
+        panes.forEach((pane) => {
+          segments.push([` ${paneMark(pane)} ${pane.index + 1} ${pane.server.name} `, pane.index === state.focus ? '1;30;46' : '7']);
+        });
+        segments.push([` │ ${state.notice || t(state.prefix ? 'cluster.prefix' : 'cluster.hint')}`, '7']);
+      }
+      return `\x1b[${rows};1H${styled(segments, cols)}`;
+    };
+
+    const renderTiles = () => {
+      const layoutRects = rects();
+      if (state.view !== 'tiled') return redraw();
+      let out = '\x1b[?25l';
+      panes.forEach((pane, i) => {
+        const rect = layoutRects[i];
+        const title = ` ${i + 1} ${pane.server.name} · ${paneState(pane)}`;
+        out += `\x1b[${rect.top};${rect.left}H${styled([[title, i === state.focus ? '1;30;46' : '7']], rect.width)}`;
+        const visible = pane.buffer.lines.slice(-(rect.height - 1));
+        for (let row = 0; row < rect.height - 1; row++) {
+          out += `\x1b[${rect.top + 1 + row};${rect.left}H${fit((visible[row] || []).join(''), rect.width)}`;
+        }
+        if (rect.left > 1) {
+          for (let row = 0; row < rect.height; row++) out += `\x1b[${rect.top + row};${rect.left - 1}H│`;
+        }
+      });
+      out += statusBar();
+
+      // con trỏ ở ô đang focus
+      const focused = panes[state.focus];
+      const rect = layoutRects[state.focus];
+      const row = Math.min(focused.buffer.lines.length, rect.height - 1) - 1;
+      out += `\x1b[${rect.top + 1 + row};${rect.left + Math.min(focused.buffer.col, rect.width - 1)}H\x1b[?25h`;
+      write(out);
+    };
+
+    const scheduleRender = () => {
+      if (renderTimer || finished) return;
+      renderTimer = setTimeout(() => {
+        renderTimer = null;
+        if (!finished) renderTiles();
+      }, RENDER_DELAY);
+    };
+
+    // panes: chỉ vẽ lại thanh trạng thái, giữ nguyên con trỏ của chương trình trong pane
+    const drawStatus = () => {
+      if (state.view === 'tiled') return scheduleRender();
+      write(`\x1b7${statusBar()}\x1b8`);
+    };
+
+    // Vẽ lại toàn bộ (đổi layout, đổi focus ở panes, đổi kích thước terminal)
+    const redraw = () => {
+      const layoutRects = rects();
+      panes.forEach((pane, i) => {
+        const { cols, rows } = ptySize(state.view, layoutRects[i]);
+        pane.buffer.resize(cols);
+        if (!pane.exited) {
+          try { pane.proc.resize(cols, rows); } catch (e) { /* ignore */ }
+        }
+      });
+      write('\x1b[r\x1b[0m\x1b[2J');
+      if (state.view === 'tiled') return renderTiles();
+      const { rows } = size();
+      const focused = panes[state.focus];
+      // phát lại output gần đây của pane từ đầu một dòng
+      const start = focused.replay.length >= REPLAY_SIZE ? focused.replay.indexOf('\n') + 1 : 0;
+      write(`\x1b[1;${rows - 1}r\x1b[H${focused.replay.slice(start)}`);
+      drawStatus();
+    };
+
+    function flash(message) {
+      state.notice = message;
+      clearTimeout(noticeTimer);
+      noticeTimer = setTimeout(() => {
+        state.notice = null;
+        if (!finished) drawStatus();
+      }, NOTICE_DELAY);
+    }
+
+    const focusTo = (index) => {
+      state.focus = (index + panes.length) % panes.length;
+      if (state.view === 'panes') redraw();
+    };
+
+    const actions = {
+      next: () => focusTo(state.focus + 1),
+      prev: () => focusTo(state.focus - 1),
+      toggle: () => {
+        const pane = panes[state.focus];
+        pane.active = !pane.active;
+        flash(t(pane.active ? 'cluster.joined' : 'cluster.left', { name: pane.server.name }));
+      },
+      all: () => {
+        panes.forEach((pane) => { pane.active = true; });
+        flash(t('cluster.broadcastAll'));
+      },
+      solo: () => {
+        panes.forEach((pane) => { pane.active = pane.index === state.focus; });
+        flash(t('cluster.broadcastSolo', { name: panes[state.focus].server.name }));
+      },
+      layout: () => {
+        state.layout = state.layout === 'tiled' ? 'panes' : 'tiled';
+        redraw();
+      },
+      quit: () => panes.forEach((pane) => {
+        if (!pane.exited) {
+          try { pane.proc.kill(); } catch (e) { /* ignore */ }
+        }
+      }),
+      help: () => { state.help = !state.help; }
+    };
+
+    const command = (key) => {
+      const action = /^[1-9]$/.test(key) && Number(key) <= panes.length ? () => focusTo(Number(key) - 1) : actions[CLUSTER_KEYS[key]];
+      if (action) action();
+      drawStatus();
+    };
+
+    const broadcast = (text) => {
+      if (!text) return;
+      const targets = panes.filter(pane => pane.active && !pane.exited);
+      if (targets.length === 0) {
+        flash(t('cluster.noTargets'));
+        drawStatus();
+        return;
+      }
+      targets.forEach((pane) => {
+        try { pane.proc.write(text); } catch (e) { /* ignore */ }
+      });
+    };
+
+    const onInput = (data) => {
+      let text = '';
+      for (const ch of data.toString()) {
+        if (state.prefix) {
+          state.prefix = false;
+          // Ctrl-] hai lần: gửi chính Ctrl-]
+          if (ch === PREFIX) {
+            text += ch;
+          } else {
+            broadcast(text);
+            text = '';
+            command(ch);
+          }
+        } else if (ch === PREFIX) {
+          state.prefix = true;
+          drawStatus();
+        } else {
+          text += ch;
+        }
+      }
+      broadcast(text);
+    };
+
+    const onResize = () => redraw();
+
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(renderTimer);
+      clearTimeout(noticeTimer);
+      stdin.removeListener('data', onInput);
+      stdout.removeListener('resize', onResize);
+      write('\x1b[r\x1b[0m\x1b[?25h\x1b[?1049l');
+      try {
+        if (stdin.isTTY) stdin.setRawMode(false);
+      } catch (e) { /* ignore */ }
+      stdin.pause();
+      resolve(panes.map(pane => ({
+        name: pane.server.name,
+        code: pane.code,
+        hostKeyChanged: pane.hostKeyChanged,
+        error: pane.error,
+        session: pane.session
+      })));
+    };
+
+    const onData = (pane, chunk) => {
+      const data = pane.filter(chunk);
+      if (!data) return;
+      if (!pane.hostKeyChanged) {
+        pane.tail = (pane.tail + data).slice(-4096);
+        pane.hostKeyChanged = isHostKeyMismatch(pane.tail);
+      }
+      pane.replay = (pane.replay + data.replace(ALT_SCREEN, '')).slice(-REPLAY_SIZE);
+      pane.buffer.push(data);
+      if (state.view === 'tiled') scheduleRender();
+      else if (pane.index === state.focus) write(data.replace(ALT_SCREEN, ''));
+    };
+
+    const onExit = (pane, exitCode) => {
+      pane.exited = true;
+      pane.code = pane.hostKeyChanged ? exitCode || 255 : exitCode;
+      pane.session = endSession(pane.session, pane.code);
+      pane.conn.cleanup();
+      if (panes.every(p => p.exited)) return finish();
+      flash(t('cluster.exited', { name: pane.server.name, code: pane.code }));
+      drawStatus();
+    };
+
+    const panes = entries.map(({ server, conn }, index) => ({
+      index,
+      server,
+      conn,
+      active: !exclude.includes(server.name),
+      buffer: createLineBuffer(80),
+      replay: '',
+      tail: '',
+      exited: false,
+      code: null,
+      hostKeyChanged: false,
+      error: null,
+      session: startSession(server, conn)
+    }));
+
+    write('\x1b[?1049h');
+    const layoutRects = rects();
+    panes.forEach((pane, i) => {
+      const marker = createReadyMarker();
+      // remoteCommand/cwd cần -t để vẫn có terminal tương tác
+      const target = pane.conn.startup ? ['-t', pane.conn.destination, pane.conn.startup] : [pane.conn.destination];
+      const { cols, rows } = ptySize(state.view, layoutRects[i]);
+      pane.buffer.resize(cols);
+      try {
+        pane.proc = spawnPty('ssh', [...marker.sshOptions, ...pane.conn.args, ...target], { cols, rows });
+      } catch (error) {
+        pane.error = error.message;
+        pane.buffer.push(t('connect.initFailed', { message: error.message }));
+        onExit(pane, 1);
+        return;
+      }
+      pane.filter = createLoginFilter(pane.proc, { answers: pane.conn.answers, marker });
+      pane.proc.onData(chunk => onData(pane, chunk));
+      pane.proc.onExit(({ exitCode }) => onExit(pane, exitCode));
+    });
+    if (finished) return;
+
+    if (stdin.isTTY) stdin.setRawMode(true);
+    stdin.resume();
+    stdin.on('data', onInput);
+    stdout.on('resize', onResize);
+    redraw();
+  });
+}
+
+// Mở cluster cho các server (tên đã lưu) trên terminal hiện tại.
+// layout: 'tiled' | 'panes'; exclude: tên server (thuộc names) bắt đầu ở ngoài nhóm broadcast.
+// names không được trùng lặp.
+// onStart({ servers, failed }): gọi sau khi chuẩn bị kết nối, ngay trước khi chiếm terminal
+// (failed: server không chuẩn bị được, vd thiếu credential).
+// Trả về [{ name, code, hostKeyChanged, error, session }] theo thứ tự names khi mọi phiên đã thoát.
+export async function openCluster(names, { layout = 'tiled', exclude = [], onStart = null } = {}) {
+  if (!CLUSTER_LAYOUTS.includes(layout)) {
+    throw new ValidationError(t('cluster.badLayout', { value: layout, supported: CLUSTER_LAYOUTS.join(', ') }), { field: 'layout' });
+  }
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+  if (duplicate) throw new ValidationError(t('cluster.duplicate', { name: duplicate }), { field: 'names' });
+  const outside = exclude.find(name => !names.includes(name));
+  if (outside) throw new ValidationError(t('cluster.badExclude', { name: outside }), { field: 'exclude' });
+  const servers = getServers();
+  const settings = getSettings();
+  const targets = names.map(name => findServer(name, servers));
+
+  // Chuẩn bị tuần tự để vault chỉ hỏi passphrase một lần
+  const entries = [];
+  const failed = [];
+  for (const server of targets) {
+    try {
+      entries.push({ server, conn: await prepareConnection(server.name, { servers, settings }) });
+    } catch (error) {
+      failed.push({ name: server.name, code: 255, hostKeyChanged: false, error: error.message, session: null });
+    }
+  }
+  if (entries.length === 0) throw new ConnectionError(t('cluster.noSessions'), { exitCode: 255 });
+
+  if (onStart) onStart({ servers: entries.map(e => e.server), failed });
+  const results = [...await runCluster(entries, { layout, exclude }), ...failed];
+  return names.map(name => results.find(r => r.name === name));
+}
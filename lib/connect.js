@@ -0,0 +1,108 @@
+import path from 'path';
+import { spawn } from 'child_process';
+import { getServers, getSettings } from './store.js';
+import { prepareConnection } from './ssh.js';
+import { findServer } from './servers.js';
+import { runInteractive, createReadyMarker } from './pty.js';
+import { runRemote } from './exec.js';
+import { startSession, endSession } from './history.js';
+import { createRecorder } from './recording.js';
+import { isHostKeyMismatch } from './hostkeys.js';
+import { ConnectionError } from './errors.js';
+import { t } from './i18n.js';
+
+// Mở phiên SSH / chạy lệnh trên server đã lưu, dùng chung cho CLI và API.
+// Không gọi process.exit: kết quả (mã thoát của ssh) được trả về cho caller.
+
+function runDirect(args) {
+  return new Promise((resolve, reject) => {
+    const ssh = spawn('ssh', args, { stdio: 'inherit' });
+    ssh.on('error', reject);
+    ssh.on('exit', code => resolve(code ?? 255));
+  });
+}
+
+// Chạy ssh qua pty để tự trả lời prompt (password không bao giờ nằm trong argv)
+async function runPty(args, answers, recorder) {
+  const marker = createReadyMarker();
+  let hostKeyChanged = false;
+  let tail = '';
+  const onResize = () => recorder.resize(process.stdout.columns, process.stdout.rows);
+  if (recorder) process.stdout.on('resize', onResize);
+  try {
+    const code = await runInteractive('ssh', [...marker.sshOptions, ...args], {
+      answers,
+      marker,
+      onOutput: (data) => {
+        if (recorder) recorder.output(data);
+        if (hostKeyChanged) return;
+        tail = (tail + data).slice(-4096);
+        hostKeyChanged = isHostKeyMismatch(tail);
+      },
+      onSecret: value => recorder && recorder.secret(value)
+    });
+    return { code, hostKeyChanged };
+  } finally {
+    if (recorder) {
+      process.stdout.removeListener('resize', onResize);
+      recorder.close();
+    }
+  }
+}
+
+// Phiên SSH tương tác trên terminal của process hiện tại.
+// record: ghi phiên asciicast (mặc định theo server.record).
+// onStart({ server, conn, recording }): gọi ngay trước khi chạy ssh (recording = file .cast hoặc null).
+// Trả về { code, hostKeyChanged, recording, session } khi ssh thoát; lỗi trước khi ssh chạy được ném ra.
+export async function connect(name, { record, onStart = null } = {}) {
+  const servers = getServers();
+  const server = findServer(name, servers);
+  const conn = await prepareConnection(name, { servers, settings: getSettings() });
+  const session = startSession(server, conn);
+  // remoteCommand/cwd cần -t để vẫn có terminal tương tác
+  const args = conn.startup ? [...conn.args, '-t', conn.destination, conn.startup] : [...conn.args, conn.destination];
+
+  let recorder = null;
+  if (record ?? Boolean(server.record)) {
+    recorder = createRecorder(server, {
+      cols: process.stdout.columns,
+      rows: process.stdout.rows,
+      secrets: conn.answers.filter(a => a.kind !== 'otp').map(a => a.value)
+    });
+    session.recording = path.basename(recorder.file);
+  }
+  if (onStart) onStart({ server, conn, recording: recorder ? recorder.file : null });
+
+  let result;
+  try {
+    // không có secret cần tự trả lời (và không ghi phiên) thì chạy ssh trực tiếp
+    result = conn.needsPty || recorder
+      ? await runPty(args, conn.answers, recorder)
+      : { code: await runDirect(args), hostKeyChanged: false };
+  } catch (error) {
+    endSession(session, 1);
+    throw new ConnectionError(t('connect.initFailed', { message: error.message }), { server: name, exitCode: 1, cause: error });
+  } finally {
+    conn.cleanup();
+  }
+
+  const code = result.hostKeyChanged ? result.code || 255 : result.code;
+  return {
+    code,
+    hostKeyChanged: result.hostKeyChanged,
+    recording: recorder ? recorder.file : null,
+    session: endSession(session, code)
+  };
+}
+
+// Chạy lệnh không tương tác trên một server, trả về { code, output, error, duration } (xem runRemote)
+export async function exec(name, command, { onData = null, sshOptions = [] } = {}) {
+  const servers = getServers();
+  findServer(name, servers);
+  const conn = await prepareConnection(name, { servers, settings: getSettings() });
+  try {
+    return await runRemote(conn, command, { onData, sshOptions });
+  } finally {
+    conn.cleanup();
+  }
+}
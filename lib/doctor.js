@@ -0,0 +1,86 @@
+import fs from 'fs';
+import path from 'path';
+import { configPath, credentialPath } from './paths.js';
+import { CONFIG_VERSION, inspectConfig } from './schema.js';
+import { isEncrypted } from './vault.js';
+import { writeFileAtomic, withLock, listSnapshots, snapshotPath, lockHolder, isStaleLock, clearStaleLock } from './files.js';
+import { NotFoundError } from './errors.js';
+import { t } from './i18n.js';
+
+// Kiểm tra và sửa config.json/credentials.json cho `sshm config doctor`.
+// File hỏng JSON chỉ khôi phục được từ snapshot; config sai schema thì bỏ phần sai (xem lib/schema.js).
+
+export const STORE_KINDS = ['config', 'credentials'];
+
+// Đọc lúc gọi (đường dẫn đổi theo profile đang dùng)
+export function storeFile(kind) {
+  return kind === 'credentials' ? credentialPath : configPath;
+}
+
+// { status: ok | missing | broken | invalid | unsupported, problems, config? }
+function inspectContent(kind, content) {
+  let raw;
+  try {
+    raw = JSON.parse(content);
+  } catch (error) {
+    return { status: 'broken', problems: [t('doctor.badJson', { message: error.message })] };
+  }
+  if (kind === 'credentials') {
+    const ok = isEncrypted(raw) || (!!raw && typeof raw === 'object' && !Array.isArray(raw) && !raw.cipher);
+    return ok ? { status: 'ok', problems: [] } : { status: 'invalid', problems: [t('doctor.notVault')] };
+  }
+  const { config, problems } = inspectConfig(raw);
+  if (!config && raw && raw.version > CONFIG_VERSION) return { status: 'unsupported', problems };
+  return { status: problems.length > 0 ? 'invalid' : 'ok', problems, config };
+}
+
+export function inspectFile(kind, file = storeFile(kind)) {
+  if (!fs.existsSync(file)) return { status: 'missing', problems: [] };
+  return inspectContent(kind, fs.readFileSync(file, 'utf8'));
+}
+
+export function diagnose(kind) {
+  const file = storeFile(kind);
+  const holder = fs.existsSync(`${file}.lock`) ? lockHolder(file) : null;
+  return {
+    kind,
+    file,
+    ...inspectFile(kind),
+    lock: holder ? { ...holder, stale: isStaleLock(holder) } : null,
+    snapshots: listSnapshots(file).map(s => ({ ...s, status: inspectFile(kind, s.file).status }))
+  };
+}
+
+// Khôi phục snapshot (index) vào file chính; file hiện tại trở thành snapshot mới nhất
+export function restoreSnapshot(kind, index) {
+  const file = storeFile(kind);
+  const snapshot = snapshotPath(file, index);
+  if (!fs.existsSync(snapshot)) throw new NotFoundError(t('doctor.noSnapshot', { index, file: path.basename(file) }), { snapshot: index });
+  const content = fs.readFileSync(snapshot, 'utf8');
+  const { status, problems } = inspectContent(kind, content);
+  if (status === 'broken') throw new Error(t('doctor.snapshotBroken', { index, message: problems[0] }));
+  withLock(file, () => writeFileAtomic(file, content, { backup: true }));
+  return { index, status, problems };
+}
+
+// Sửa file: bỏ lock bị bỏ lại, config sai schema thì bỏ phần sai,
+// file hỏng thì khôi phục snapshot hợp lệ mới nhất. Trả về danh sách việc đã làm.
+export function repair(kind) {
+  const file = storeFile(kind);
+  const actions = [];
+  const stale = clearStaleLock(file);
+  if (stale) actions.push(stale.pid ? t('doctor.removedLockPid', { pid: stale.pid }) : t('doctor.removedLock'));
+
+  const current = inspectFile(kind);
+  if (current.status === 'unsupported') throw new Error(current.problems[0]);
+  if (current.status === 'invalid' && current.config) {
+    withLock(file, () => writeFileAtomic(file, JSON.stringify(current.config, null, 2), { backup: true }));
+    actions.push(t('doctor.dropped', { count: current.problems.length }));
+  } else if (current.status === 'broken' || current.status === 'invalid') {
+    const usable = listSnapshots(file).find(s => inspectFile(kind, s.file).status === 'ok');
+    if (!usable) throw new Error(t('doctor.noUsable', { file: path.basename(file) }));
+    restoreSnapshot(kind, usable.index);
+    actions.push(t('doctor.restoredSnapshot', { index: usable.index, time: usable.time.toLocaleString() }));
+  }
+  return actions;
+}
@@ -0,0 +1,63 @@
+// Lỗi có kiểu của sshm. `code` ổn định để script dùng API phân nhánh (không phụ thuộc nội dung message),
+// message (tiếng Việt) chỉ để hiển thị. Thông tin thêm (server, field, pid...) nằm thẳng trên object lỗi.
+//
+//   try { await connect('web-1') } catch (e) { if (e.code === 'SSHM_NOT_FOUND') ... }
+
+export class SshmError extends Error {
+  constructor(message, { code = 'SSHM_ERROR', cause, ...details } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+// Giá trị đầu vào không hợp lệ (tên server, port, option...): { field, missing? } (missing: field bắt buộc bị thiếu)
+export class ValidationError extends SshmError {
+  constructor(message, details = {}) {
+    super(message, { code: 'SSHM_INVALID', ...details });
+  }
+}
+
+// Không tìm thấy server/jump host/bản ghi...: { server }
+export class NotFoundError extends SshmError {
+  constructor(message, details = {}) {
+    super(message, { code: 'SSHM_NOT_FOUND', ...details });
+  }
+}
+
+// Tên server (hoặc key file) đã tồn tại: { server }
+export class ConflictError extends SshmError {
+  constructor(message, details = {}) {
+    super(message, { code: 'SSHM_EXISTS', ...details });
+  }
+}
+
+// config.json hỏng hoặc sai schema: { problems }
+export class ConfigError extends SshmError {
+  constructor(message, problems = []) {
+    super(message, { code: 'SSHM_CONFIG', problems });
+  }
+}
+
+// File đang bị process sshm khác khóa: { file, pid }
+export class LockError extends SshmError {
+  constructor(message, details = {}) {
+    super(message, { code: 'SSHM_LOCKED', ...details });
+  }
+}
+
+// Thiếu secret, vault khóa, sai passphrase hoặc key file không dùng được: { server }
+// code: SSHM_CREDENTIAL | SSHM_VAULT_LOCKED | SSHM_VAULT_PASSPHRASE | SSHM_KEY
+export class CredentialError extends SshmError {
+  constructor(message, details = {}) {
+    super(message, { code: 'SSHM_CREDENTIAL', ...details });
+  }
+}
+
+// ssh không chạy được hoặc thoát lỗi: { server, exitCode }
+export class ConnectionError extends SshmError {
+  constructor(message, details = {}) {
+    super(message, { code: 'SSHM_CONNECTION', ...details });
+  }
+}
@@ -0,0 +1,78 @@
+import { spawn } from 'child_process';
+import { createReadyMarker, runPtyCommand } from './pty.js';
+
+// Chạy lệnh không tương tác trên một kết nối đã chuẩn bị (xem prepareConnection).
+// Trả về { code, output, error, duration } (duration tính bằng ms).
+// sshOptions: option ssh thêm (vd ['-o', 'ConnectTimeout=5']), authTimeout: xem runPtyCommand.
+export async function runRemote(conn, command, { onData = null, sshOptions = [], authTimeout } = {}) {
+  const started = Date.now();
+  let output = '';
+  const collect = (data) => {
+    output += data;
+    if (onData) onData(data);
+  };
+
+  if (conn.needsPty) {
+    const marker = createReadyMarker();
+    const result = await runPtyCommand('ssh', [...marker.sshOptions, ...conn.args, ...sshOptions, conn.destination, command], {
+      answers: conn.answers,
+      marker,
+      onData: collect,
+      authTimeout
+    });
+    return { ...result, output, duration: Date.now() - started };
+  }
+
+  return new Promise((resolve) => {
+    const child = spawn('ssh', [...conn.args, ...sshOptions, '-o', 'BatchMode=yes', conn.destination, command], {
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let stderr = '';
+    child.stdout.on('data', d => collect(d.toString()));
+    child.stderr.on('data', (d) => {
+      stderr += d;
+      collect(d.toString());
+    });
+    child.on('error', (error) => {
+      resolve({ code: 255, error: error.message, output, duration: Date.now() - started });
+    });
+    child.on('close', (code) => {
+      resolve({
+        code: code ?? 255,
+        error: code === 255 ? stderr.trim() || null : null,
+        output,
+        duration: Date.now() - started
+      });
+    });
+  });
+}
+
+// Chạy tasks song song, tối đa `limit` task cùng lúc, giữ thứ tự kết quả
+export async function runPool(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const lanes = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(lanes);
+  return results;
+}
+
+// Tách output theo dòng và gắn prefix, giữ phần dòng dở dang tới chunk sau
+export function linePrefixer(prefix, write) {
+  let pending = '';
+  return {
+    push(data) {
+      const lines = (pending + data).split('\n');
+      pending = lines.pop();
+      for (const line of lines) write(`${prefix}${line}\n`);
+    },
+    flush() {
+      if (pending) write(`${prefix}${pending}\n`);
+      pending = '';
+    }
+  };
+}
@@ -0,0 +1,209 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { backupsDir } from './paths.js';
+import { LockError } from './errors.js';
+import { t } from './i18n.js';
+
+// Ghi file an toàn cho config.json/credentials.json:
+//  - ghi ra file tạm cùng thư mục, fsync rồi rename (crash giữa chừng không làm hỏng file cũ)
+//  - lock tư vấn "<file>.lock" chứa pid, để các process sshm không ghi đè thay đổi của nhau
+//  - bản sao file trước đó xoay vòng trong ~/.sshm/backups/<file>.1 (mới nhất) ... .<SNAPSHOT_COUNT>
+
+export const SNAPSHOT_COUNT = 5;
+const LOCK_TIMEOUT = 10000;
+const LOCK_STALE = 2 * 60000; // lock cũ hơn mức này coi như bị bỏ lại dù pid còn sống
+const LOCK_RETRY = 50;
+
+export function snapshotPath(file, index) {
+  return path.join(backupsDir, `${path.basename(file)}.${index}`);
+}
+
+// Các bản sao đang có, mới nhất trước: [{ index, file, time, size }]
+export function listSnapshots(file) {
+  const result = [];
+  for (let index = 1; index <= SNAPSHOT_COUNT; index++) {
+    const snapshot = snapshotPath(file, index);
+    try {
+      const stat = fs.statSync(snapshot);
+      result.push({ index, file: snapshot, time: stat.mtime, size: stat.size });
+    } catch (e) { /* chưa có */ }
+  }
+  return result;
+}
+
+// Đẩy file hiện tại vào vị trí .1, các bản cũ lùi một bậc, bản cuối bị bỏ
+export function rotateSnapshot(file) {
+  if (!fs.existsSync(file)) return;
+  fs.mkdirSync(backupsDir, { recursive: true, mode: 0o700 });
+  for (let index = SNAPSHOT_COUNT - 1; index >= 1; index--) {
+    const from = snapshotPath(file, index);
+    if (fs.existsSync(from)) fs.renameSync(from, snapshotPath(file, index + 1));
+  }
+  fs.copyFileSync(file, snapshotPath(file, 1));
+  fs.chmodSync(snapshotPath(file, 1), 0o600);
+}
+
+// backup: chép file hiện tại vào snapshot trước khi ghi đè
+export function writeFileAtomic(file, content, { mode = 0o600, backup = false } = {}) {
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  const temp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+  const fd = fs.openSync(temp, 'w', mode);
+  try {
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  } catch (error) {
+    fs.closeSync(fd);
+    fs.rmSync(temp, { force: true });
+    throw error;
+  }
+  fs.closeSync(fd);
+  try {
+    if (backup) rotateSnapshot(file);
+    fs.renameSync(temp, file);
+  } catch (error) {
+    fs.rmSync(temp, { force: true });
+    throw error;
+  }
+}
+
+// ---- lock ----
+
+export function isAlive(pid) {
+  if (!pid) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+function readHolder(lockFile) {
+  try {
+    const [pid, time] = fs.readFileSync(lockFile, 'utf8').trim().split(' ');
+    if (pid && time) return { pid: Number(pid), time: new Date(Number(time)) };
+    // process khác vừa tạo lock, chưa kịp ghi pid
+    return { pid: null, time: fs.statSync(lockFile).mtime };
+  } catch (e) {
+    return null;
+  }
+}
+
+// Thông tin lock đang giữ file ({ pid, time }), null nếu không có
+export function lockHolder(file) {
+  return readHolder(`${file}.lock`);
+}
+
+// Lock của process đã chết hoặc giữ quá lâu
+export function isStaleLock(holder) {
+  if (!holder) return true;
+  const age = Date.now() - holder.time.getTime();
+  if (!holder.pid) return age > 1000;
+  return !isAlive(holder.pid) || age > LOCK_STALE;
+}
+
+// Dọn lock bị bỏ lại mà không giành nhầm lock mới: đổi tên sang tên riêng (chỉ một process đổi tên
+// thành công) rồi kiểm tra lại đúng file vừa lấy ra. Nếu đó là lock còn sống (process khác đã dọn
+// và lấy lock trước) thì trả lại chỗ cũ. Trả về holder đã dọn, null nếu không dọn gì.
+function takeOverStale(lockFile) {
+  const moved = `${lockFile}.${process.pid}.${crypto.randomBytes(4).toString('hex')}`;
+  try {
+    fs.renameSync(lockFile, moved);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+  const holder = readHolder(moved);
+  const stale = isStaleLock(holder);
+  if (!stale) {
+    try { fs.linkSync(moved, lockFile); } catch (e) { /* đã có lock mới hơn */ }
+  }
+  fs.rmSync(moved, { force: true });
+  return stale ? holder || { pid: null } : null;
+}
+
+function tryLock(file) {
+  const lockFile = `${file}.lock`;
+  try {
+    fs.writeFileSync(lockFile, `${process.pid} ${Date.now()}\n`, { flag: 'wx', mode: 0o600 });
+    return null;
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+  }
+  const holder = lockHolder(file);
+  if (holder && isStaleLock(holder)) {
+    takeOverStale(lockFile);
+    return tryLock(file);
+  }
+  return holder || { pid: null };
+}
+
+function lockError(file, holder) {
+  const message = holder.pid
+    ? t('store.lockedBy', { file: path.basename(file), pid: holder.pid })
+    : t('store.locked', { file: path.basename(file) });
+  return new LockError(message, { file, pid: holder.pid });
+}
+
+// Lock lồng nhau trong cùng process (vd saveCredential → saveServers) chỉ tính một lần
+const held = new Map();
+
+function release(file) {
+  const depth = held.get(file) - 1;
+  if (depth > 0) {
+    held.set(file, depth);
+    return;
+  }
+  held.delete(file);
+  fs.rmSync(`${file}.lock`, { force: true });
+}
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+// Chạy fn (đồng bộ) khi đang giữ lock của file
+export function withLock(file, fn) {
+  if (!held.has(file)) {
+    fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+    const deadline = Date.now() + LOCK_TIMEOUT;
+    let holder;
+    while ((holder = tryLock(file))) {
+      if (Date.now() > deadline) throw lockError(file, holder);
+      sleepSync(LOCK_RETRY);
+    }
+  }
+  held.set(file, (held.get(file) || 0) + 1);
+  try {
+    return fn();
+  } finally {
+    release(file);
+  }
+}
+
+// Như withLock nhưng fn là async. Không hỏi người dùng gì trong fn: lock bị giữ suốt lúc chờ nhập
+// sẽ làm các process sshm khác hết thời gian chờ (vault hỏi passphrase trước khi lấy lock).
+export async function withLockAsync(file, fn) {
+  if (!held.has(file)) {
+    fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+    const deadline = Date.now() + LOCK_TIMEOUT;
+    let holder;
+    while ((holder = tryLock(file))) {
+      if (Date.now() > deadline) throw lockError(file, holder);
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY));
+    }
+  }
+  held.set(file, (held.get(file) || 0) + 1);
+  try {
+    return await fn();
+  } finally {
+    release(file);
+  }
+}
+
+// Xóa lock bị bỏ lại (process đã chết); trả về holder đã xóa
+export function clearStaleLock(file) {
+  if (!fs.existsSync(`${file}.lock`) || !isStaleLock(lockHolder(file))) return null;
+  return takeOverStale(`${file}.lock`);
+}
@@ -0,0 +1,40 @@
+import YAML from 'yaml';
+
+// Xuất dữ liệu cho người đọc (table) hoặc cho script (json, yaml, csv)
+
+export const FORMATS = ['table', 'json', 'yaml', 'csv'];
+
+// YAML 1.2 (cùng schema với YAML.parse của catalog): chuỗi giống số/bool/null được quote
+export function toYaml(value) {
+  return YAML.stringify(value).replace(/\n$/, '');
+}
+
+function csvCell(value) {
+  const str = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+export function toCsv(rows, columns) {
+  return [columns, ...rows.map(row => columns.map(c => row[c]))]
+    .map(cells => cells.map(csvCell).join(','))
+    .join('\n');
+}
+
+// In danh sách row theo format; columns quyết định thứ tự cột
+// (giá trị mảng giữ nguyên cho json/yaml, nối lại thành chuỗi cho table/csv)
+export function printRows(rows, { format = 'table', columns = Object.keys(rows[0] || {}) } = {}) {
+  const picked = rows.map(row => Object.fromEntries(columns.map(c => [c, row[c] ?? null])));
+  if (format === 'json') return console.log(JSON.stringify(picked, null, 2));
+  if (format === 'yaml') return console.log(toYaml(picked));
+
+  const flat = picked.map(row => Object.fromEntries(columns.map(c => [c, Array.isArray(row[c]) ? row[c].join(format === 'csv' ? ',' : ', ') : row[c]])));
+  if (format === 'csv') return console.log(toCsv(flat, columns));
+  // table: ô trống hiển thị "-"
+  console.table(flat.map(row => Object.fromEntries(columns.map(c => [c, row[c] === null || row[c] === '' ? '-' : row[c]]))));
+}
+
+// In một object (show) theo format
+export function printRecord(record, format = 'yaml') {
+  if (format === 'json') return console.log(JSON.stringify(record, null, 2));
+  console.log(toYaml(record));
+}
@@ -0,0 +1,122 @@
+import fs from 'fs';
+import { configDir, historyPath } from './paths.js';
+import { ValidationError } from './errors.js';
+import { t } from './i18n.js';
+
+// Lịch sử phiên SSH (~/.sshm/history.jsonl, mỗi dòng một phiên):
+// { server, user, host, port, via, auth, start, end, durationMs, exitCode }
+// Dùng cho `sshm history`, `sshm stats`, `sshm last` và thứ tự "dùng gần đây" của picker.
+
+const MAX_ENTRIES = 5000;
+const MAX_BYTES = 2 * 1024 * 1024; // vượt quá thì cắt bớt còn MAX_ENTRIES phiên cuối
+
+export function readHistory() {
+  let content;
+  try {
+    content = fs.readFileSync(historyPath, 'utf8');
+  } catch (e) {
+    return [];
+  }
+  return content.split('\n').filter(Boolean).map(line => {
+    try {
+      return JSON.parse(line);
+    } catch (e) {
+      return null;
+    }
+  }).filter(Boolean);
+}
+
+function writeHistory(entries) {
+  fs.mkdirSync(configDir, { recursive: true, mode: 0o700 });
+  fs.writeFileSync(historyPath, entries.map(e => JSON.stringify(e) + '\n').join(''), { mode: 0o600 });
+}
+
+// Bắt đầu một phiên: auth = key | agent | password
+export function startSession(server, conn) {
+  let auth = server.keyPath ? 'key' : 'password';
+  if (server.keyPath && conn.agent) auth = 'agent';
+  return {
+    server: server.name,
+    user: server.user,
+    host: server.host,
+    port: String(server.port || '22'),
+    via: conn.chain.map(s => s.name),
+    auth,
+    start: new Date().toISOString()
+  };
+}
+
+export function endSession(session, exitCode) {
+  const end = new Date();
+  const entry = {
+    ...session,
+    end: end.toISOString(),
+    durationMs: end.getTime() - new Date(session.start).getTime(),
+    exitCode: exitCode ?? null
+  };
+  fs.mkdirSync(configDir, { recursive: true, mode: 0o700 });
+  fs.appendFileSync(historyPath, JSON.stringify(entry) + '\n', { mode: 0o600 });
+  try {
+    if (fs.statSync(historyPath).size > MAX_BYTES) writeHistory(readHistory().slice(-MAX_ENTRIES));
+  } catch (e) { /* ignore */ }
+  return entry;
+}
+
+// Thời điểm kết nối gần nhất của từng server ({ name: ISO time })
+export function lastUsed() {
+  const used = {};
+  for (const entry of readHistory()) {
+    if (!used[entry.server] || entry.start > used[entry.server]) used[entry.server] = entry.start;
+  }
+  return used;
+}
+
+export function renameHistory(from, to) {
+  const entries = readHistory();
+  if (entries.some(e => e.server === from)) {
+    writeHistory(entries.map(e => (e.server === from ? { ...e, server: to } : e)));
+  }
+}
+
+// "30m", "12h", "7d", "2w" hoặc ngày (2026-10-01) -> Date
+export function parseSince(value) {
+  const match = /^(\d+)\s*([mhdw])$/.exec(String(value).trim());
+  if (match) {
+    const unit = { m: 60e3, h: 3600e3, d: 86400e3, w: 7 * 86400e3 }[match[2]];
+    return new Date(Date.now() - Number(match[1]) * unit);
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new ValidationError(t('history.badSince', { value }), { field: 'since' });
+  return date;
+}
+
+// names: danh sách tên server (null = tất cả), since: Date, failed: chỉ phiên lỗi
+export function filterHistory(entries, { names = null, since = null, failed = false } = {}) {
+  return entries.filter(e => (!names || names.includes(e.server))
+    && (!since || new Date(e.start) >= since)
+    && (!failed || e.exitCode !== 0));
+}
+
+// Thống kê theo server, dùng nhiều nhất lên đầu
+export function usageStats(entries) {
+  const byServer = new Map();
+  for (const entry of entries) {
+    const stat = byServer.get(entry.server) || { server: entry.server, sessions: 0, failures: 0, totalMs: 0, last: null };
+    stat.sessions++;
+    if (entry.exitCode !== 0) stat.failures++;
+    stat.totalMs += entry.durationMs || 0;
+    if (!stat.last || entry.start > stat.last) stat.last = entry.start;
+    byServer.set(entry.server, stat);
+  }
+  return [...byServer.values()]
+    .map(stat => ({ ...stat, avgMs: Math.round(stat.totalMs / stat.sessions) }))
+    .sort((a, b) => b.sessions - a.sessions || b.last.localeCompare(a.last));
+}
+
+export function formatDuration(ms) {
+  const seconds = Math.round((ms || 0) / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
@@ -0,0 +1,108 @@
+import fs from 'fs';
+import path from 'path';
+import { knownHostsPath, userKnownHostsPath } from './paths.js';
+import { capture } from './process.js';
+import { t } from './i18n.js';
+
+// Chính sách kiểm tra host key cho mỗi server:
+//  - strict: hỏi xác nhận fingerprint khi kết nối lần đầu, từ chối nếu key thay đổi
+//  - accept-new: tự ghi nhận key lần đầu, từ chối nếu key thay đổi
+//  - off: không kiểm tra (hành vi cũ, không an toàn)
+export const HOST_KEY_POLICIES = ['strict', 'accept-new', 'off'];
+export const DEFAULT_POLICY = 'strict';
+
+export function knownHostsFile(settings = {}) {
+  return settings.knownHosts === 'user' ? userKnownHostsPath : knownHostsPath;
+}
+
+export function hostKeyPolicy(server, settings = {}) {
+  return server.hostKeyPolicy || settings.hostKeyPolicy || DEFAULT_POLICY;
+}
+
+// Các option ssh_config tương ứng với chính sách của server
+export function hostKeyConfig(server, settings = {}) {
+  const policy = hostKeyPolicy(server, settings);
+  if (policy === 'off') {
+    return { StrictHostKeyChecking: 'no', UserKnownHostsFile: '/dev/null' };
+  }
+  const file = knownHostsFile(settings);
+  ensureKnownHosts(file);
+  return {
+    StrictHostKeyChecking: policy === 'strict' ? 'ask' : 'accept-new',
+    UserKnownHostsFile: file
+  };
+}
+
+export function hostKeyOptions(server, settings = {}) {
+  return Object.entries(hostKeyConfig(server, settings)).flatMap(([key, value]) => ['-o', `${key}=${value}`]);
+}
+
+// Tên host theo format known_hosts: host hoặc [host]:port
+export function hostEntry(server) {
+  const port = String(server.port || '22');
+  return port === '22' ? server.host : `[${server.host}]:${port}`;
+}
+
+function ensureKnownHosts(file) {
+  if (fs.existsSync(file)) return;
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(file, '', { mode: 0o600 });
+}
+
+function parseFingerprints(output) {
+  return output.split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      // ssh-keygen -l -f: "256 SHA256:xxxx host (ED25519)"
+      let match = /^\d+\s+(\S+)\s+.*\((\w+)\)$/.exec(line);
+      if (match) return { type: match[2], fingerprint: match[1] };
+      // ssh-keygen -l -F: "host ED25519 SHA256:xxxx"
+      match = /^\S+\s+(\S+)\s+(\S+:\S+)$/.exec(line);
+      return match ? { type: match[1], fingerprint: match[2] } : null;
+    })
+    .filter(Boolean);
+}
+
+// Fingerprint đã ghi nhận trong known_hosts
+export async function knownFingerprints(server, settings = {}) {
+  const file = knownHostsFile(settings);
+  if (!fs.existsSync(file)) return [];
+  const { stdout } = await capture('ssh-keygen', ['-l', '-F', hostEntry(server), '-f', file]);
+  return parseFingerprints(stdout);
+}
+
+export async function forgetHostKey(server, settings = {}) {
+  const file = knownHostsFile(settings);
+  if (!fs.existsSync(file)) return false;
+  const { code, stderr } = await capture('ssh-keygen', ['-R', hostEntry(server), '-f', file]);
+  if (code !== 0) throw new Error(t('hostkey.forgetFailed', { message: stderr.trim() }));
+  // ssh-keygen -R để lại file backup
+  if (fs.existsSync(`${file}.old`)) fs.unlinkSync(`${file}.old`);
+  return true;
+}
+
+// Lấy host key trực tiếp từ server (chưa ghi vào known_hosts)
+export async function scanHostKey(server) {
+  const { code, stdout, stderr } = await capture('ssh-keyscan', ['-p', String(server.port || '22'), server.host], { timeout: 15000 });
+  const lines = stdout.split('\n').filter(line => line.trim() && !line.startsWith('#'));
+  if (code !== 0 || lines.length === 0) {
+    const reason = stderr.trim().split('\n')[0];
+    const params = { host: server.host, port: server.port || '22', reason };
+    throw new Error(t(reason ? 'hostkey.scanFailedReason' : 'hostkey.scanFailed', params));
+  }
+  const { stdout: fp } = await capture('ssh-keygen', ['-l', '-f', '-'], { input: lines.join('\n') + '\n' });
+  return { lines, fingerprints: parseFingerprints(fp) };
+}
+
+export async function acceptHostKey(server, lines, settings = {}) {
+  const file = knownHostsFile(settings);
+  ensureKnownHosts(file);
+  await forgetHostKey(server, settings);
+  fs.appendFileSync(file, lines.join('\n') + '\n');
+}
+
+// ssh báo host key đã thay đổi
+export function isHostKeyMismatch(output) {
+  return /REMOTE HOST IDENTIFICATION HAS CHANGED/i.test(output);
+}
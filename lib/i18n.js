@@ -0,0 +1,66 @@
+import fs from 'fs';
+import { configPath } from './paths.js';
+import en from './locales/en.js';
+import vi from './locales/vi.js';
+
+// Message catalog cho mọi chuỗi hiển thị: t('add.saved', { name }) -> "✅ Saved server "web"".
+// Ngôn ngữ: setting "language" (sshm config language) > LANG/LC_ALL/LC_MESSAGES (vi* = tiếng Việt,
+// ngôn ngữ khác = tiếng Anh) > tiếng Việt khi không có locale (C/POSIX).
+// Chế độ plain (--no-emoji, SSHM_NO_EMOJI=1 hoặc setting "emoji": false) bỏ emoji khỏi output cho log/CI.
+
+export const LOCALES = { en, vi };
+export const DEFAULT_LOCALE = 'vi';
+
+let locale = null;
+let emoji = null;
+
+// Đọc thẳng config.json (không qua store: store cũng dùng t() và config có thể đang hỏng)
+function configSettings() {
+  try {
+    const raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    return raw && raw.settings && typeof raw.settings === 'object' ? raw.settings : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+export function systemLocale(env = process.env) {
+  const value = env.LC_ALL || env.LC_MESSAGES || env.LANG || '';
+  const lang = value.split(/[_.@]/)[0].toLowerCase();
+  if (!lang || lang === 'c' || lang === 'posix') return DEFAULT_LOCALE;
+  return LOCALES[lang] ? lang : 'en';
+}
+
+export function getLocale() {
+  if (!locale) {
+    const setting = configSettings().language;
+    locale = LOCALES[setting] ? setting : systemLocale();
+  }
+  return locale;
+}
+
+export function setLocale(name) {
+  locale = LOCALES[name] ? name : null;
+}
+
+export function emojiEnabled() {
+  if (emoji === null) {
+    emoji = !/^(1|true|yes)$/i.test(process.env.SSHM_NO_EMOJI || '') && configSettings().emoji !== false;
+  }
+  return emoji;
+}
+
+export function setEmoji(enabled) {
+  emoji = enabled;
+}
+
+// Bỏ emoji (kể cả variation selector / ZWJ) và khoảng trắng thừa đi kèm
+export function plain(text) {
+  if (emojiEnabled()) return text;
+  return String(text).replace(/\p{Extended_Pictographic}[\u{FE0F}\u{200D}\p{Extended_Pictographic}]*\s?/gu, '');
+}
+
+export function t(key, params = {}) {
+  const template = LOCALES[getLocale()][key] ?? en[key] ?? key;
+  return plain(template.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name]))));
+}
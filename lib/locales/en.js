@@ -0,0 +1,670 @@
+// English messages. Keys are grouped by command; {name} placeholders are filled by t() (lib/i18n.js).
+
+export default {
+  // chung
+  'common.fail': '⚠️ {message}',
+  'common.serverNotFound': 'Server not found: {name}',
+  'common.noServers': 'No servers yet.',
+  'common.error': '❌ {message}',
+  'common.cancelled': 'Cancelled.',
+  'common.serverExists': 'Server "{name}" already exists',
+  'common.sshExit': 'ssh exited with code {code}',
+  'common.passphraseShort': 'The passphrase needs at least 8 characters',
+  'common.passphraseMismatch': 'The two passphrases do not match',
+
+  // connect / sshm <name>
+  'connect.pick': 'Select a server to SSH into:',
+  'connect.via': ' via {chain}',
+  'connect.connectingKey': '🔐 Connecting with SSH key to {target}...',
+  'connect.connecting': '🔐 Connecting to {target}...',
+  'connect.startup': '▶️ Startup command: {command}',
+  'connect.recording': '⏺️ Recording session: {file}',
+  'connect.recorded': '⏹️ Recording saved: {file}',
+  'connect.hostKeyChanged': '\n🚨 THE HOST KEY OF "{name}" HAS CHANGED! Connection refused.',
+  'connect.hostKeyMitm': '   You may be under a MITM attack, or the server was just reinstalled.',
+  'connect.hostKeyAccept': '   If you are sure the server key changed: sshm hostkey accept {name}',
+  'connect.hintKey': '💡 Hint: check the key file, passphrase, host key (sshm hostkey show) or whether the server accepts this key',
+  'connect.hintPassword': '💡 Hint: check the server details or password',
+  'connect.exited': '🔌 SSH session closed',
+  'connect.failed': '🔌 SSH connection failed with code {code}',
+  'connect.hintCheck': '💡 Diagnose step by step (DNS, TCP, host key, login): sshm check <name>',
+  'connect.initFailed': 'Failed to start SSH: {message}',
+
+  // lệnh gốc
+  'program.description': 'CLI to manage servers and SSH into them quickly',
+  'program.argName': 'Server name to connect to directly',
+  'program.optRecord': 'Record the session (asciicast) into ~/.sshm/recordings',
+  'program.optProfile': 'Use this profile for the current command (put it before the command, e.g. sshm --profile work ls)',
+  'program.optNoEmoji': 'Plain output without emoji (for logs/CI, also SSHM_NO_EMOJI=1)',
+
+  // add / edit
+  'stdin.empty': 'No data on stdin (pipe it in, e.g. cat id_ed25519 | sshm add ... --key-stdin)',
+  'auth.oneOf': 'Use only one of --key-file, --key-stdin, --password-stdin',
+  'add.keySaved': '🔑 Key saved to: {path}',
+  'add.saved': '✅ Saved server "{name}"',
+  'edit.renamed': '✏️ Renamed "{from}" → "{to}"',
+  'edit.updated': '✅ Updated server "{name}"',
+  'passphrase.hint': '🔐 The key of "{name}" has a passphrase. Save it to answer automatically: sshm creds set {name} --passphrase',
+  'passphrase.prompt': 'The key has a passphrase, enter it to save (leave empty to type it on every connect):',
+  'passphrase.wrong': 'Wrong passphrase',
+  'passphrase.saved': '✅ Saved passphrase for "{name}"',
+  'add.description': 'Add a new server (pass --name to run non-interactively)',
+  'opt.name': 'Server name',
+  'opt.host': 'Host address',
+  'opt.user': 'SSH user',
+  'opt.port': 'SSH port',
+  'add.optKeyFile': 'Use an existing private key file',
+  'add.optKeyStdin': 'Read the private key content from stdin',
+  'add.optPasswordStdin': 'Read the password from stdin',
+  'add.optJump': 'Jump hosts, comma separated',
+  'add.optGroup': 'Group/environment (e.g. prod, staging, dev)',
+  'add.optTags': 'Tags, comma separated',
+  'add.optForwardAgent': 'Forward ssh-agent when connecting to this server',
+  'add.optRecord': 'Always record SSH sessions to this server',
+  'add.optOption': 'ssh_config option for the server (repeatable, e.g. ServerAliveInterval=30)',
+  'add.optEnv': 'Environment variable sent to the server: NAME=value, or NAME to pass a local variable (repeatable)',
+  'add.optRemoteCommand': 'Command run when an interactive session starts (e.g. "sudo -i", "tmux attach")',
+  'add.optCwd': 'Working directory on the server',
+  'prompt.name': 'Server name:',
+  'prompt.host': 'Host address:',
+  'prompt.user': 'SSH user:',
+  'prompt.port': 'SSH port:',
+  'prompt.auth': 'Authentication method:',
+  'prompt.password': 'SSH password:',
+  'prompt.keyMethod': 'How to provide the key:',
+  'prompt.keyFile': 'Use an existing key file',
+  'prompt.keyPaste': 'Paste the key content',
+  'prompt.keyPath': 'Private key path:',
+  'prompt.keyContent': 'Paste the private key here (Ctrl+S to save, Ctrl+Q to quit):',
+  'add.promptJump': 'Jump hosts (saved server names, comma separated, empty for a direct connection):',
+  'add.promptGroup': 'Group/environment (prod, staging, dev... empty for none):',
+  'prompt.tags': 'Tags (comma separated):',
+  'add.failed': '⚠️ {message} Cancelled.',
+  'edit.description': 'Edit a server (without flags, shows a pre-filled form)',
+  'edit.optName': 'Rename the server (secrets and key file follow)',
+  'edit.optKeyFile': 'Switch to an existing private key file',
+  'edit.optKeyStdin': 'Switch to a private key read from stdin',
+  'edit.optPasswordStdin': 'Switch to a password read from stdin',
+  'edit.optJump': 'Jump hosts, comma separated (empty string to remove)',
+  'edit.optGroup': 'Group/environment (empty string to remove)',
+  'edit.optTags': 'Replace the tag list, comma separated (empty string to remove)',
+  'edit.optForwardAgent': 'Enable ssh-agent forwarding for the server',
+  'edit.optNoForwardAgent': 'Disable ssh-agent forwarding for the server',
+  'edit.optRecord': 'Always record SSH sessions to the server',
+  'edit.optNoRecord': 'Stop recording sessions to the server by default',
+  'edit.optOption': 'Set an ssh_config option (repeatable, Key= to remove)',
+  'edit.optEnv': 'Set an environment variable: NAME=value, or NAME to pass a local variable (repeatable)',
+  'edit.optUnsetEnv': 'Remove an environment variable (repeatable)',
+  'edit.optRemoteCommand': 'Command run when an interactive session starts (empty string to remove)',
+  'edit.optCwd': 'Working directory on the server (empty string to remove)',
+  'edit.pick': 'Select a server to edit:',
+  'edit.keepAuth': 'Keep current ({auth})',
+  'edit.keyAuth': 'SSH key: {path}',
+  'edit.newPassword': 'New password',
+  'edit.promptJump': 'Jump hosts (comma separated, empty for a direct connection):',
+  'edit.promptGroup': 'Group/environment:',
+  'edit.promptForwardAgent': 'Forward ssh-agent to this server?',
+  'edit.promptRecord': 'Always record SSH sessions to this server?',
+  'add.missingHost': 'Missing host address (--host)',
+  'add.missingUser': 'Missing SSH user (--user)',
+  'add.missingAuth': 'Missing authentication method (--key-file, --key-stdin or --password-stdin)',
+  'options.badOption': 'Invalid option: "{pair}" (format Key=Value, e.g. ServerAliveInterval=30)',
+  'options.reserved': 'Option {key} is managed by sshm and cannot be set directly',
+  'options.badEnv': 'Invalid environment variable: "{pair}" (format NAME=value or NAME)',
+
+  // ls / show / defaults / rm
+  'common.badFormat': 'Invalid format: {format} (supported: {supported})',
+  'opt.format': 'Output format ({formats})',
+  'ls.description': 'List servers',
+  'ls.optTag': 'Only servers with this tag (glob allowed)',
+  'ls.optGroup': 'Only servers in this group (glob allowed)',
+  'ls.optFilter': 'Fuzzy filter by name, host, group, tag',
+  'ls.optColumns': 'Columns to show, comma separated or "all" ({columns})',
+  'ls.badColumns': 'Invalid columns: {columns} (supported: {supported})',
+  'common.noMatch': 'No servers match.',
+  'show.description': 'Show everything about a server (secrets are hidden)',
+  'show.optNoSecrets': 'Do not check secrets (no need to open the vault)',
+  'defaults.description': 'Default ssh options, environment variables and startup command for every server (servers can override); run without flags to view',
+  'defaults.optOption': 'ssh_config option (repeatable, Key= to remove)',
+  'defaults.optEnv': 'Environment variable: NAME=value, or NAME to pass a local variable (repeatable)',
+  'defaults.updated': '✅ Updated the defaults for every server',
+  'rm.description': 'Remove servers by name or selector (shows a menu when omitted)',
+  'rm.pick': 'Select a server to remove:',
+  'rm.usedAsJump': '⚠️ "{name}" uses it as a jump host: {hosts}',
+  'rm.many': '{count} servers ({names})',
+  'rm.confirm': 'Are you sure you want to remove {label}?',
+  'rm.cancelled': 'Removal cancelled.',
+  'rm.catalogKept': '↩️ "{name}" belongs to catalog "{catalog}": removed personal changes and secrets',
+  'rm.removed': '✅ Removed server "{name}"',
+  'connect.description': 'Pick a server to SSH into',
+  'connect.optNoRecord': 'Do not record even if the server records by default',
+
+  // history / stats / last / replay / recordings
+  'history.description': 'SSH session history (newest first)',
+  'history.optSince': 'Only sessions since this time (30m, 12h, 7d, 2w or a date like 2026-10-01)',
+  'history.optFailed': 'Only sessions that exited with a non-zero code',
+  'history.optLimit': 'Maximum number of sessions (0 = all)',
+  'history.empty': 'No sessions in the history.',
+  'stats.description': 'Most used servers',
+  'stats.optSince': 'Only count sessions since this time (30m, 12h, 7d, 2w or a date like 2026-10-01)',
+  'stats.optLimit': 'Maximum number of servers (0 = all)',
+  'stats.empty': 'No sessions in the history yet.',
+  'stats.deleted': '{name} (deleted)',
+  'last.description': 'Reconnect to the server of the most recent SSH session',
+  'last.empty': 'No SSH sessions in the history yet.',
+  'last.reconnecting': '↩️ Reconnecting to "{name}" (last time: {time})',
+  'replay.description': 'Replay a recorded session (file name in ~/.sshm/recordings or a .cast path)',
+  'replay.optSpeed': 'Playback speed (2 = twice as fast)',
+  'replay.optIdleLimit': 'Shorten pauses longer than this many seconds',
+  'recordings.notFound': 'Recording not found: {name}',
+  'replay.badSpeed': 'Invalid speed: {value}',
+  'replay.badIdleLimit': 'Invalid idle limit: {value}',
+  'replay.end': '\n⏹️ End of recording',
+  'recordings.description': 'Manage recorded SSH sessions (~/.sshm/recordings)',
+  'recordings.lsDescription': 'List recordings (filter by server name or glob)',
+  'recordings.empty': 'No recordings yet.',
+  'recordings.rmDescription': 'Remove recordings by file name, or every recording older than --older-than',
+  'recordings.optOlderThan': 'Remove recordings started before this time (30d, 2w or a date like 2026-10-01)',
+  'recordings.rmUsage': 'Pass recording names or --older-than',
+  'recordings.removed': '🗑️ Removed {file}',
+  'recordings.noneOlder': 'ℹ️ No recordings older than that',
+  'history.badSince': 'Invalid time: {value} (e.g. 30m, 12h, 7d, 2w, 2026-10-01)',
+  'recording.empty': 'Empty recording: {file}',
+  'recording.notCast': 'Not an asciicast v2 file: {file}',
+
+  // regen / regen-all
+  'regen.description': 'Recreate a key file from the stored content',
+  'regen.noKeyServers': 'No server uses an SSH key.',
+  'regen.pick': 'Select a server to recreate the key for:',
+  'regen.notFound': 'No server using an SSH key matches: {name}',
+  'regen.done': '✅ Recreated the key file for server "{name}"',
+  'regenAll.description': 'Recreate every key file from the stored content (when the keys directory was deleted)',
+  'regenAll.start': '🔄 Recreating all key files...',
+  'regenAll.none': 'ℹ️ No keys to recreate.',
+  'regenAll.summary': '\n📊 Results:',
+  'regenAll.success': '✅ Succeeded: {count}',
+  'regenAll.failed': '❌ Failed: {count}',
+  'regenAll.failedList': '\n⚠️ Failed keys:',
+
+  // config
+  'config.description': 'Check and repair the sshm config files, language and output settings',
+  'doctor.status.ok': '✅ valid',
+  'doctor.status.missing': 'ℹ️ not created yet',
+  'doctor.status.broken': '❌ broken (unreadable JSON)',
+  'doctor.status.invalid': '⚠️ invalid',
+  'doctor.status.unsupported': '⛔ written by a newer sshm version',
+  'doctor.description': 'Check config.json/credentials.json, repair them (--fix) or restore a backup (--restore)',
+  'doctor.optFix': 'Drop entries that break the schema, restore the newest valid backup if a file is broken, remove abandoned locks',
+  'doctor.optRestore': 'Restore backup number n (1 = newest)',
+  'doctor.optCredentials': 'Apply --restore to credentials.json instead of config.json',
+  'doctor.badIndex': 'Invalid backup number: {value}',
+  'doctor.restored': '✅ Restored {file} from backup #{index} (the current version was saved as #1)',
+  'doctor.restoredWithProblems': '⚠️ This backup still has problems, run "sshm config doctor --fix":{problems}',
+  'doctor.fixed': '🔧 {file}: {action}',
+  'doctor.report': '\n🩺 {file}: {status}',
+  'doctor.staleLock': '  🔓 Abandoned lock{pid} — remove it with: sshm config doctor --fix',
+  'doctor.locked': '  🔒 Locked by pid {pid} since {time}',
+  'doctor.noSnapshots': '  No backups yet',
+  'doctor.hint': '\nRepair: sshm config doctor --fix, or restore: sshm config doctor --restore <n> [--credentials]',
+  'config.languageDescription': 'Show or set the interface language: {locales} or "auto" (follow LANG)',
+  'config.badLanguage': 'Unsupported language: {value} (supported: {supported})',
+  'config.language': '🌐 Language: {locale}{source}',
+  'config.languageAuto': ' (auto, from LANG)',
+  'config.emojiDescription': 'Show or set emoji in output: on | off (off = plain output for logs/CI)',
+  'config.badEmoji': 'Invalid value: {value} (use on or off)',
+  'config.emoji': 'Emoji: {state}',
+  'config.on': 'on',
+  'config.off': 'off',
+  'doctor.badJson': 'Invalid JSON: {message}',
+  'doctor.notVault': 'Not an sshm vault (missing cipher/iv/tag/data)',
+  'doctor.noSnapshot': 'There is no backup #{index} of {file}',
+  'doctor.snapshotBroken': 'Backup #{index} is broken too: {message}',
+  'doctor.removedLock': 'Removed a leftover lock',
+  'doctor.removedLockPid': 'Removed a leftover lock (pid {pid})',
+  'doctor.dropped': 'Dropped {count} invalid entries (the old version is kept in snapshot #1)',
+  'doctor.noUsable': '{file} is broken and there is no valid backup to restore',
+  'doctor.restoredSnapshot': 'Restored backup #{index} ({time})',
+
+  // profile
+  'profile.description': 'Manage profiles: each profile has its own config, credentials and keys',
+  'profile.createDescription': 'Create a new (empty) profile',
+  'profile.optUse': 'Use this profile from now on',
+  'profile.created': '✅ Created profile "{name}" ({dir})',
+  'profile.using': '👉 Using profile "{name}"',
+  'profile.createHint': '💡 Switch with: sshm profile use {name}, or use it once: sshm --profile {name} <command>',
+  'profile.useDescription': 'Select the profile for later runs',
+  'profile.envOverride': 'ℹ️ The SSHM_PROFILE={name} environment variable still takes precedence in this shell',
+  'profile.lsDescription': 'List profiles',
+  'profile.dirColumn': 'directory',
+  'profile.rmDescription': 'Remove a profile with all its servers, credentials and keys',
+  'profile.rmConfirm': 'Remove profile "{name}" ({count} servers, {dir})? This cannot be undone.',
+  'profile.removed': '✅ Removed profile "{name}"',
+  'profile.nameEmpty': 'The profile name must not be empty',
+  'profile.nameChars': 'The profile name may only contain letters, digits and . _ - (and cannot start with a dot)',
+  'profile.notFound': 'Profile not found: {name} (create it with: sshm profile create {name})',
+  'profile.exists': 'Profile "{name}" already exists',
+  'profile.rmDefault': 'The default profile cannot be removed',
+  'profile.rmInUse': 'Profile "{name}" is in use, switch to another profile first (sshm profile use <name>)',
+  'profile.secretsLeft': '⚠️ Could not remove secrets from the {backend} backend: {error}',
+
+  // vault
+  'vault.description': 'Manage the encrypted credentials vault',
+  'vault.unlockDescription': 'Unlock the vault for the next commands',
+  'vault.optTimeout': 'How long the unlocked session lasts (minutes)',
+  'vault.badTimeout': 'Invalid timeout: {value}',
+  'vault.unlocked': '🔓 Vault unlocked for {minutes} minutes',
+  'vault.passphraseOk': '🔓 Passphrase is valid (timeout = 0, no session kept)',
+  'vault.lockDescription': 'Lock the vault immediately',
+  'vault.locked': '🔒 Vault locked',
+  'vault.statusDescription': 'Show the vault status',
+  'vault.plaintext': '⚠️ credentials.json is not encrypted yet, it will be moved into the vault on next use',
+  'vault.notCreated': 'ℹ️ The vault does not exist yet (it is created when the first credential is saved)',
+  'vault.unlockedUntil': '🔓 Vault unlocked until {time}',
+  'vault.isLocked': '🔒 Vault is locked',
+  'vault.sessionTimeout': '⏱️ Session timeout: {minutes} minutes',
+  'vault.changeDescription': 'Change the vault master passphrase',
+  'vault.changed': '✅ Master passphrase changed',
+  'vault.timeoutDescription': 'Set the default vault auto-lock time (minutes, 0 = always ask for the passphrase)',
+  'vault.timeoutSaved': '✅ Default session timeout: {minutes} minutes',
+  'vault.promptPassphrase': '🔒 Master passphrase:',
+  'vault.promptCurrent': '🔒 Current master passphrase:',
+  'vault.promptNew': '🔑 New master passphrase:',
+  'vault.promptCreate': '🔑 Create a master passphrase for the vault:',
+  'vault.promptConfirm': 'Repeat the master passphrase:',
+  'vault.lockedError': 'The vault is locked. Run "sshm vault unlock" or set the SSHM_PASSPHRASE environment variable',
+  'vault.needNew': 'A new master passphrase is needed. Set the {envVar} environment variable',
+  'vault.missing': 'The vault has not been created yet',
+  'vault.wrongPassphrase': 'Wrong master passphrase or the vault is corrupted',
+  'vault.broken': 'credentials.json is corrupted ({message}). Run "sshm config doctor --fix" to restore the latest backup',
+
+  // creds / jump
+  'creds.description': 'Manage credential backends (file vault, OS keyring, external command)',
+  'creds.lsDescription': 'List the backend and secret type of every server',
+  'creds.error': 'error: {message}',
+  'creds.defaultBackend': 'ℹ️ Default backend: {backend}',
+  'creds.setDescription': 'Set (or replace) the password, key passphrase or OTP seed of a server',
+  'creds.optPassphrase': 'Save the private key passphrase',
+  'creds.optOtp': 'Save a TOTP seed (base32) to answer OTP prompts automatically',
+  'creds.noKey': '"{name}" does not use an SSH key',
+  'creds.keyNotEncrypted': 'ℹ️ Key {path} has no passphrase (or the key file could not be read)',
+  'creds.promptOtp': 'TOTP seed (base32):',
+  'creds.promptPassphrase': 'Private key passphrase:',
+  'creds.saved': '✅ Saved {kind} for "{name}" (backend: {backend})',
+  'creds.promptPassword': 'SSH password for {target}:',
+  'creds.migrateDescription': 'Move secrets to another backend (no names = all, and change the default backend)',
+  'creds.optTo': 'Target backend ({backends})',
+  'creds.badBackend': 'Invalid backend: {value} (supported: {supported})',
+  'creds.migrating': '🔄 Moving secrets to backend "{backend}"...',
+  'creds.migrateFailed': '❌ {count} servers failed, their secrets stay in the old backend',
+  'creds.migrated': '✅ Moved {count} secrets to "{backend}"',
+  'creds.commandDescription': 'Configure the commands of the "command" backend ({name} = server name)',
+  'creds.optGet': 'Command that prints the secret to stdout',
+  'creds.optSet': 'Command that reads the secret from stdin',
+  'creds.optDelete': 'Command that deletes the secret',
+  'creds.commandSaved': '✅ Saved the "command" backend configuration',
+  'jump.description': 'Set the jump host (bastion) chain of a server in order; no hops = direct connection',
+  'jump.via': '✅ "{name}" connects via: {chain}',
+  'jump.direct': '✅ "{name}" connects directly',
+  'creds.badOtpSeed': 'The OTP seed is not valid base32: {char}',
+
+  // exec / check / cp / sftp
+  'exec.description': 'Run a command on one or more servers (name, glob, "all", comma separated): sshm exec web-* -- uptime',
+  'exec.optConcurrency': 'Number of servers run in parallel',
+  'exec.optCollect': 'Group output per server instead of streaming with a prefix',
+  'exec.optJson': 'Print results as JSON',
+  'exec.noCommand': 'Missing the command to run. Example: sshm exec web-* -- uptime',
+  'exec.succeeded': '✅ Succeeded on {count} servers',
+  'exec.failed': '❌ Failed on {failed}/{total} servers',
+  'check.description': 'Diagnose connections: DNS, TCP, SSH banner, host key and login (batch) for one or more servers (default: all)',
+  'check.optConcurrency': 'Number of servers checked in parallel',
+  'check.optTimeout': 'Timeout for each step (seconds)',
+  'common.badTimeout': 'Invalid timeout: {value}',
+  'check.checking': '🩺 Checking {count} servers...',
+  'check.ok': '✅ ok ({seconds}s)',
+  'check.failedStage': '❌ {stage}: {reason}',
+  'check.allOk': '✅ {count} servers reachable',
+  'check.someFailed': '⚠️ {failed}/{total} servers have problems',
+  'cp.description': 'Copy files over scp with the saved credentials: sshm cp ./app.log web1:/tmp/ or sshm cp web1:/var/log/syslog .',
+  'cp.optRecursive': 'Copy whole directories',
+  'cp.optQuiet': 'Do not show progress',
+  'cp.usage': 'Need at least a source and a destination. Example: sshm cp ./file web1:/tmp/',
+  'cp.noRemote': 'No remote path given (format <server>:<path>)',
+  'cp.oneServer': 'Only one server per copy is supported (got: {names}). Copy through the local machine instead.',
+  'cp.copying': '📦 Copying {direction} ({target})...',
+  'cp.done': '✅ Copy finished',
+  'cp.failed': '❌ scp failed with code {code}',
+  'sftp.description': 'Open an interactive sftp session to a server',
+  'sftp.opening': '📂 Opening sftp to {target}...',
+  'sftp.failed': '❌ sftp exited with code {code}',
+  'check.viaJump': ' (jump host {name})',
+  'check.regenHint': ' — regenerate it: sshm regen {name}',
+  'check.keyMissing': 'Key file not found: {file}{who}{hint}',
+  'check.keyInvalid': 'Invalid key file: {file}{who}',
+  'check.noBanner': 'No SSH banner received',
+  'check.tcpTimeout': 'Timed out connecting over TCP',
+  'check.notSsh': 'Not an SSH server (no SSH- banner)',
+  'check.closedBeforeBanner': 'The server closed the connection before sending a banner',
+  'check.closed': 'Connection closed',
+  'check.loginFailed': 'Login failed',
+  'check.denied': 'The server rejected authentication (accepts: {methods})',
+  'check.hostKeyMismatch': 'The host key differs from known_hosts',
+  'check.hostKeyUnverified': 'The host key has not been accepted',
+  'check.viaHops': 'via {hops}',
+  'check.dnsFailed': 'Could not resolve {host} ({message})',
+  'check.tcpFailed': 'Could not connect over TCP to {address}:{port} ({message})',
+  'check.hostKeyChanged': 'The host key has changed! If you are sure the server changed its key: sshm hostkey accept {name}',
+  'check.hostKeyUnknown': 'The host key is not recorded yet (strict policy) — review and accept it: sshm hostkey accept {name}',
+
+  // tunnel
+  'tunnel.description': 'Manage background tunnels (port forwards)',
+  'tunnel.addDescription': 'Create a tunnel for a server: sshm tunnel add db1 pg -L 5433:localhost:5432',
+  'tunnel.exists': 'Tunnel "{name}" already exists',
+  'tunnel.noForwards': 'At least one forward is required (-L, -R or -D)',
+  'tunnel.created': '✅ Created tunnel "{name}" on {server}: {forwards}',
+  'tunnel.notFound': 'Tunnel not found: {name}',
+  'tunnel.rmDescription': 'Remove a tunnel (stopping it if running)',
+  'tunnel.removed': '✅ Removed tunnel "{name}"',
+  'tunnel.upDescription': 'Start a tunnel in the background (reconnects automatically)',
+  'tunnel.running': 'ℹ️ Tunnel "{name}" is running (pid {pid})',
+  'tunnel.up': '✅ Tunnel "{name}" is up (pid {pid}): {forwards}',
+  'tunnel.state': 'Tunnel "{name}" is in state: {status}{error}',
+  'tunnel.log': '   See the log: {file}',
+  'tunnel.downDescription': 'Stop a tunnel ("all" stops every tunnel)',
+  'tunnel.stopped': '🔌 Stopped tunnel "{name}"',
+  'tunnel.notRunning': 'ℹ️ Tunnel "{name}" is not running',
+  'tunnel.lsDescription': 'List tunnels and their status',
+  'tunnel.empty': 'No tunnels yet.',
+  'tunnel.optLocal': 'Local forward [bind:]port:host:hostport',
+  'tunnel.optRemote': 'Remote forward [bind:]port:host:hostport',
+  'tunnel.optDynamic': 'SOCKS proxy [bind:]port',
+  'tunnel.logStopping': 'Received a stop signal',
+  'tunnel.logConnecting': 'Connecting {target} ({forwards})',
+  'tunnel.logReady': 'Tunnel is ready',
+  'tunnel.logLost': 'Connection lost: {reason}. Retrying in {delay}s',
+  'tunnel.logStopped': 'Tunnel stopped',
+
+  // import / export / backup / restore / sync
+  'import.description': 'Import servers from other sources',
+  'import.sshConfigDescription': 'Import Host blocks from an OpenSSH config (default ~/.ssh/config)',
+  'import.optOverwrite': 'Overwrite servers with the same name (credentials are kept)',
+  'opt.dryRun': 'Only show, do not save',
+  'common.fileNotFound': 'File not found: {file}',
+  'import.none': 'ℹ️ No Host to import.',
+  'import.new': 'new',
+  'import.overwritten': 'overwritten',
+  'import.skipped': 'duplicate name, skipped',
+  'import.noPassword': 'password (not set)',
+  'import.conflicts': '⚠️ {count} servers with duplicate names were skipped (use --overwrite to overwrite): {names}',
+  'common.dryRun': 'ℹ️ Dry run: nothing was saved.',
+  'import.done': '✅ Imported {count} servers from {file}',
+  'import.passwordHint': '💡 Servers using a password need a credential: sshm creds set <name>',
+  'export.description': 'Export servers to other formats',
+  'export.sshConfigDescription': 'Export servers as an OpenSSH config (stdout or a file)',
+  'export.optOutput': 'Write to a file instead of stdout',
+  'export.done': '✅ Exported {count} servers to {file}',
+  'backup.description': 'Back up servers, secrets and keys into a file encrypted with its own passphrase',
+  'backup.optForce': 'Overwrite the file if it exists',
+  'backup.exists': 'File already exists: {file} (use --force to overwrite)',
+  'backup.done': '✅ Backed up {count} servers into {file}',
+  'backup.hint': '💡 Keep the passphrase safe: without it the backup cannot be restored.',
+  'restore.action.add': 'add',
+  'restore.action.replace': 'replace with the bundle version',
+  'restore.action.keep': 'keep the current (newer) version',
+  'restore.action.skip': 'skip (duplicate name)',
+  'restore.description': 'Restore servers, secrets and keys from a backup file',
+  'restore.optStrategy': 'On duplicate names: merge (newer wins), overwrite (use the bundle), skip (keep the current one)',
+  'restore.optDryRun': 'Only show, write nothing',
+  'restore.badStrategy': 'Invalid strategy: {value} (supported: {supported})',
+  'restore.bundle': '📦 Bundle created at {time} on {host}, {count} servers',
+  'common.dryRunNoWrite': 'ℹ️ Dry run: nothing was written.',
+  'common.serverInfo': 'ℹ️ {name}: {message}',
+  'restore.done': '✅ Restored {count}/{total} servers',
+  'sync.action.pull': '⬇️  pull',
+  'sync.action.push': '⬆️  push',
+  'sync.action.delete-local': '🗑️  delete on this machine',
+  'sync.action.delete-remote': '🗑️  delete on the remote',
+  'sync.description': 'Sync servers and secrets through a directory or git repo (the newer version of each server wins)',
+  'sync.optDir': 'Sync through a directory (remembered for next time)',
+  'sync.optGit': 'Sync through a git repo (remembered for next time)',
+  'sync.optDryRun': 'Only show changes, write nothing',
+  'sync.dirOrGit': 'Use only one of --dir or --git',
+  'sync.notConfigured': 'Sync is not configured. Use: sshm sync --dir <path> or sshm sync --git <url>',
+  'sync.syncing': '🔄 Syncing with {target}...',
+  'sync.badPassphrase': '{message}. The saved passphrase was removed, run sshm sync again to enter it.',
+  'sync.conflict': '⚠️ changed on both sides, taking the newer one',
+  'sync.upToDate': '✅ Synced, no changes',
+  'sync.done': '✅ Synced {count} changes{conflicts}',
+  'sync.conflicts': ' ({count} conflicts)',
+  'import.includeTooDeep': 'Include nested too deeply at {file}',
+  'import.matchSkipped': 'Skipped block "Match {match}" in {file} (not supported)',
+  'import.badAlias': 'Skipped Host "{alias}": {message}',
+  'import.unknownJump': '{alias}: ProxyJump "{hops}" does not match any server, jump ignored',
+  'import.proxyCommand': '{alias}: ProxyCommand is not supported yet, ignored',
+  'import.jumpDropped': '{alias}: ProxyJump ignored ({message})',
+  'restore.entryFailed': 'Skipped "{name}": {message}',
+  'backup.needPassphrase': 'The bundle passphrase is required. Set the SSHM_BUNDLE_PASSPHRASE environment variable',
+  'backup.promptPassphrase': '🔑 Bundle passphrase:',
+  'backup.promptConfirm': 'Repeat the passphrase:',
+  'restore.notBundle': 'The file is not an sshm bundle',
+  'restore.tooNew': 'Bundle version {version} is newer than this sshm supports',
+  'restore.badPassphrase': 'Wrong passphrase or the bundle is corrupted',
+  'restore.keyMoved': '{file} does not exist, the key was saved to {managed}',
+  'sync.targetGit': 'git {url}',
+  'sync.targetDir': 'directory {path}',
+  'sync.gitFailed': 'git {command} failed: {message}',
+
+  // catalog
+  'catalog.description': 'Manage shared team server catalogs (read-only, no secrets)',
+  'catalog.addDescription': 'Add a catalog from a local JSON/YAML file or a git repo',
+  'catalog.optFile': 'Path of the catalog file inside the git repo (default catalog.yaml | catalog.yml | catalog.json)',
+  'catalog.exists': 'Catalog "{name}" already exists',
+  'catalog.readFailed': 'Could not read the catalog: {message}',
+  'catalog.added': '✅ Added catalog "{name}" ({count} servers)',
+  'catalog.overridden': 'ℹ️ Personal servers with the same name override the catalog: {names}',
+  'catalog.credsHint': '💡 Set credentials for the servers you need: sshm creds set <name>',
+  'catalog.rmDescription': 'Remove a catalog (servers with personal edits are kept as personal servers)',
+  'catalog.notFound': 'Catalog not found: {name}',
+  'catalog.removed': '✅ Removed catalog "{name}"',
+  'catalog.lsDescription': 'List catalogs',
+  'catalog.empty': 'No catalogs yet.',
+  'catalog.serverCount': '{count} servers',
+  'catalog.usedColumn': 'in use',
+  'catalog.updateDescription': 'Update catalogs from their git repos',
+  'catalog.updated': '✅ {name}: {count} servers',
+  'catalog.badDir': 'Invalid catalog name: {name}',
+  'catalog.unreadable': '⚠️ Could not read catalog "{name}": {message}',
+  'catalog.duplicate': '⚠️ Server "{name}" is in both catalog "{first}" and "{second}", using the one from "{first}"',
+  'catalog.notList': 'A catalog must be a list of servers or have a "servers" key',
+  'catalog.entryIncomplete': 'Server #{index} is missing name or host',
+  'catalog.gitFailed': 'git {command} failed: {message}',
+  'catalog.badEntry': '⚠️ {file}: skipped server "{name}": {message}',
+
+  // hostkey
+  'hostkey.description': 'Manage server host keys (known_hosts)',
+  'hostkey.showDescription': 'Show recorded host key fingerprints',
+  'hostkey.file': '📄 known_hosts: {file}',
+  'hostkey.policy': '🛡️ Policy: {policy}',
+  'hostkey.none': 'ℹ️ No host key recorded for {host}:{port}',
+  'hostkey.forgetDescription': 'Forget the recorded host key (when the server was reinstalled)',
+  'hostkey.forgotten': '✅ Forgot the host key of "{name}"',
+  'hostkey.acceptDescription': 'Fetch the host key from the server, confirm its fingerprint and record it in known_hosts',
+  'opt.yes': 'Do not ask for confirmation',
+  'hostkey.scanned': '🔑 Host key of {host}:{port}:',
+  'hostkey.changed': '🚨 The host key DIFFERS from the recorded key:',
+  'hostkey.confirmReplace': 'Replace the old host key with the new one?',
+  'hostkey.confirmAccept': 'Does the fingerprint match the server?',
+  'hostkey.accepted': '✅ Recorded the host key of "{name}" in {file}',
+  'hostkey.policyDescription': 'Set the host key policy ({policies}) for servers; without a name, sets the default',
+  'hostkey.badPolicy': 'Invalid policy: {value} (supported: {supported})',
+  'hostkey.defaultPolicy': '✅ Default host key policy: {policy}',
+  'hostkey.serverPolicy': '✅ Host key policy of {names}: {policy}',
+  'hostkey.fileDescription': 'Choose the known_hosts file: "sshm" (~/.sshm/known_hosts) or "user" (~/.ssh/known_hosts)',
+  'hostkey.badFile': 'Invalid value: {value} (sshm | user)',
+  'hostkey.fileSet': '✅ Using known_hosts: {file}',
+  'hostkey.forgetFailed': 'ssh-keygen -R failed: {message}',
+  'hostkey.scanFailed': 'Could not fetch the host key of {host}:{port}',
+  'hostkey.scanFailedReason': 'Could not fetch the host key of {host}:{port}: {reason}',
+
+  // key
+  'key.description': 'Manage the SSH key lifecycle: generate, deploy to servers, rotate',
+  'key.genDescription': 'Generate an ed25519 keypair for a server (install it with `sshm key deploy`)',
+  'key.optForce': 'Generate even if the server already uses an SSH key',
+  'key.alreadyKeyForce': '"{name}" already uses an SSH key ({keyPath}). Rotate it: sshm key rotate {name} (or --force)',
+  'key.generated': '✅ Generated an ed25519 key for "{name}" (pending deploy)',
+  'key.deployHint': '💡 Install it on the server and switch to the key: sshm key deploy {name}',
+  'key.deployDescription': 'Install the public key using the current login, then switch the server to the key',
+  'key.alreadyKey': '"{name}" already uses an SSH key. Rotate it: sshm key rotate {name}',
+  'key.generating': '🔑 No pending key, generating an ed25519 key for "{name}"...',
+  'key.badPending': 'The pending key of "{name}" is invalid, run again: sshm key gen {name}',
+  'key.deployed': '✅ Installed the public key on {user}@{host} and switched "{name}" to the key: {keyPath}',
+  'key.deployFailed': 'Deploying the key to "{name}" failed: {message}\n   The server still uses its password; the pending key was kept.',
+  'key.rotateDescription': 'Rotate SSH keys: generate a new key, install it, verify the login, then remove the old public key (name, glob, tag:x, group:x or group name)',
+  'key.optRemoveOld': 'Remove the old public key even when sshm does not manage it (it may be used by other servers)',
+  'key.optKeepOld': 'Keep the old public key on the server',
+  'key.status.skipped': '⏭️ skipped',
+  'key.status.ok': '✅ ok',
+  'key.status.error': '❌ error',
+  'key.usesPassword': 'uses a password, run: sshm key deploy {name}',
+  'key.rotating': '🔄 {name}: rotating key...',
+  'key.oldRemoved': 'removed the old public key',
+  'key.oldKept': 'kept the old public key',
+  'key.oldUnreadable': 'could not read the old public key, not removed',
+  'key.oldKeptExternal': 'kept the old public key (not managed by sshm, use --remove-old to remove it)',
+  'key.keygenFailed': 'ssh-keygen failed: {message}',
+  'key.notKeyServer': '"{name}" does not use an SSH key yet, use sshm key deploy',
+
+  // agent
+  'agent.description': 'Use ssh-agent to load keys (with saved passphrases) once for jump chains and multi-server exec',
+  'agent.statusDescription': 'Show the agent mode and the keys loaded in ssh-agent',
+  'agent.mode': '🤖 Mode: {mode} ({modes})',
+  'agent.lifetime': '⏱️ Key lifetime in the agent: {lifetime}',
+  'agent.minutes': '{count} minutes',
+  'agent.unlimited': 'unlimited',
+  'agent.noAgent': 'ℹ️ No ssh-agent is running (SSH_AUTH_SOCK)',
+  'agent.socket': '🔌 ssh-agent: {socket} ({count} keys)',
+  'agent.modeDescription': 'off: disabled | system: the running agent | private: a separate agent per sshm run | auto: system if available, otherwise private',
+  'agent.badMode': 'Invalid mode: {value} (supported: {supported})',
+  'agent.modeSet': '✅ ssh-agent mode: {mode}',
+  'agent.lifetimeDescription': 'Lifetime of keys loaded into the agent (minutes, 0 = unlimited)',
+  'agent.badLifetime': 'Invalid lifetime: {value}',
+  'agent.lifetimeSet': '✅ Key lifetime in the agent: {lifetime}',
+  'agent.addDescription': 'Load server keys into the running ssh-agent now (default: every server that uses a key)',
+  'agent.noAgentStart': 'No ssh-agent is running (SSH_AUTH_SOCK). Start one: eval "$(ssh-agent)"',
+  'agent.noKeyMatch': 'No servers using an SSH key match: {selector}',
+  'agent.noKeyServers': 'No servers use an SSH key yet.',
+  'agent.loaded': '✅ {name}: loaded {keyPath}',
+  'agent.loadFailed': '{name}: could not load {keyPath} (passphrase-protected key? sshm creds set {name} --passphrase)',
+  'agent.startFailed': 'Could not start ssh-agent: {message}',
+  'agent.noSystemAgent': 'No running ssh-agent found (SSH_AUTH_SOCK). Change the mode: sshm agent mode auto',
+
+  // store
+  'store.configBroken': 'config.json is corrupted ({message}). Run "sshm config doctor --fix" to restore the latest backup',
+  'store.moreProblems': '\n  ... and {count} more problems',
+  'store.configInvalid': 'config.json is invalid:{list}{more}\nRun "sshm config doctor" for details, "sshm config doctor --fix" to repair it',
+  'store.saveInvalid': 'Cannot save config.json: {problems}',
+  'store.keyFileExists': 'Key file already exists: {file}',
+  'store.renameFailed': 'Could not rename the server: {message}',
+  'store.noKeyContent': 'No key content found for server: {name}',
+  'store.badKeyContent': 'Invalid key content for server: {name}',
+  'store.keyRegenerated': '🔑 Regenerated key file: {file}',
+  'store.chmodFailed': '⚠️ Could not set mode 600 on the key file',
+  'store.keysDirCreated': '📁 Recreated the keys directory',
+  'store.regenFailed': '⚠️ Failed to regenerate the key for {name}: {message}',
+  'store.plaintextMigrating': '🔐 credentials.json is stored as plaintext, create a master passphrase to encrypt it.',
+  'store.plaintextMigrated': '✅ Encrypted credentials.json into the vault',
+  'store.lockedBy': '{file} is in use by another sshm process (pid {pid}), try again later (see: sshm config doctor)',
+  'store.locked': '{file} is in use by another sshm process, try again later (see: sshm config doctor)',
+  'store.badBackend': 'Invalid credential backend: {name} (supported: {supported})',
+  'store.keyringUnavailable': 'Cannot use the OS keyring (keytar): {message}',
+  'store.commandSetFailed': 'The secret store command failed ({code}): {message}',
+
+  // servers
+  'servers.nameEmpty': 'The {kind} name must not be empty',
+  'servers.nameChars': 'The {kind} name may only contain letters, digits and . _ - (and cannot be "." or "..")',
+  'servers.nameReserved': 'The name "all" is reserved for selectors',
+  'servers.badTags': 'Tags/groups may only contain letters, digits and . _ -: {tags}',
+  'servers.badPort': 'Invalid port: {port}',
+  'servers.noKeyContent': 'No key content.',
+  'servers.notPrivateKey': 'The content is not a valid private key.',
+  'servers.keyFileNotFound': 'Key file not found: {file}',
+  'servers.emptyPassword': 'The password is empty.',
+  'servers.missingHost': 'Missing host address',
+  'servers.missingUser': 'Missing SSH user',
+  'servers.missingAuth': 'Missing authentication method (password, key file or key content)',
+  'servers.catalogRename': '"{name}" belongs to catalog "{catalog}" and cannot be renamed',
+  'servers.emptyField': '{field} must not be empty',
+
+  // picker
+  'picker.justNow': 'just now',
+  'picker.minutesAgo': '{count} min ago',
+  'picker.hoursAgo': '{count} h ago',
+  'picker.daysAgo': '{count} days ago',
+  'picker.pick': 'Choose a server:',
+  'picker.empty': 'No matching servers',
+  'picker.otherGroup': 'other',
+
+  // pty
+  'pty.rejected': '⚠️ The saved secret was rejected, please type it manually.',
+  'pty.authTimeout': 'Timed out waiting for login (a prompt was left unanswered)',
+  'pty.secretRejected': 'The saved secret was rejected',
+  'pty.noSecret': 'No secret for the {prompt} prompt',
+
+  // cluster
+  'cluster.description': 'Open interactive sessions to several servers at once and broadcast keystrokes (name, glob, "all", tag:x, group:x); Ctrl-] ? inside for keys',
+  'cluster.optLayout': 'Layout: {layouts} (tiled: one tile per server, panes: one server full screen at a time)',
+  'cluster.optExclude': 'Servers that start outside the broadcast group (selector)',
+  'cluster.noTty': 'cluster needs an interactive terminal',
+  'cluster.badLayout': 'Invalid layout: {value} (supported: {supported})',
+  'cluster.noSessions': 'Could not prepare a connection to any server',
+  'cluster.opening': '🖥️ Opening {count} sessions...',
+  'cluster.stateOn': 'broadcast',
+  'cluster.stateOff': 'off',
+  'cluster.stateExited': 'exit {code}',
+  'cluster.hint': 'Ctrl-] ? keys',
+  'cluster.prefix': 'Ctrl-] … (? help)',
+  'cluster.help': 'n/p/1-9 focus · space on/off · a all · s solo · l layout · q quit · Ctrl-] send Ctrl-] · ? close',
+  'cluster.joined': '{name} joined the broadcast',
+  'cluster.left': '{name} left the broadcast',
+  'cluster.broadcastAll': 'Broadcasting to every server',
+  'cluster.broadcastSolo': 'Typing only to {name}',
+  'cluster.noTargets': 'No servers in the broadcast group (Ctrl-] a: all)',
+  'cluster.tooSmall': 'Terminal too small for tiles, showing panes',
+  'cluster.exited': '{name} exited ({code})',
+  'cluster.duplicate': 'Server {name} is listed more than once',
+  'cluster.badExclude': '{name} in exclude is not one of the cluster servers',
+
+  // ssh
+  'ssh.keyMissing': '⚠️ Key file not found: {file}, regenerating it from the stored key...',
+  'ssh.keyInvalid': '⚠️ Invalid key file: {file}, regenerating it from the stored key...',
+  'ssh.keyRegenFailed': 'Could not regenerate the key file for server: {name}',
+  'ssh.keyUnreadable': 'Could not read key file: {file}',
+  'ssh.keyRegenError': 'Could not regenerate the key file: {message}',
+  'ssh.jumpCycle': 'Jump host loop detected: {chain}',
+  'ssh.jumpNotFound': 'Jump host "{name}" not found (used by {by})',
+  'ssh.noCredential': 'No credential for "{name}" — run `sshm creds set {name}` (or `sshm edit {name} --key-file <path>` to use an SSH key)',
+  'ssh.noCredentialJump': 'No credential for jump host "{name}" — run `sshm creds set {name}` (or `sshm edit {name} --key-file <path>` to use an SSH key)',
+
+  // schema
+  'schema.text': 'must be a string',
+  'schema.port': 'must be a number from 1 to 65535',
+  'schema.jump': 'must be a server name or a list of names',
+  'schema.stringList': 'must be a list of strings',
+  'schema.boolean': 'must be true/false',
+  'schema.sshOptions': 'must be a map Key: "value"',
+  'schema.env': 'must be a map NAME: "value" or NAME: true',
+  'schema.time': 'must be an ISO timestamp',
+  'schema.minutes': 'must be a number of minutes >= 0',
+  'schema.object': 'must be an object',
+  'schema.catalogs': 'must be a list of { name, url | path }',
+  'schema.defaults': 'must be an object { sshOptions, env, remoteCommand, cwd }',
+  'schema.field': '{field} {rule} (currently {value})',
+  'schema.notObject': 'config.json must be an object { servers, settings }',
+  'schema.version': 'config.json has version {version}, this sshm only supports up to version {supported} — please update sshm',
+  'schema.servers': 'servers must be a list',
+  'schema.serverObject': '{where} must be an object',
+  'schema.serverName': '{where} is missing a name',
+  'schema.serverDuplicate': '{where}: duplicate name "{name}"',
+  'schema.settings': 'settings must be an object',
+  'schema.deleted': 'deleted must be an object { name: time }',
+  'schema.deletedTime': 'deleted["{name}"] must be an ISO timestamp'
+};
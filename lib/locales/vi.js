@@ -0,0 +1,670 @@
+// Thông báo tiếng Việt. Key nhóm theo lệnh, {name} được t() điền vào (lib/i18n.js).
+
+export default {
+  // chung
+  'common.fail': '⚠️ {message}',
+  'common.serverNotFound': 'Không tìm thấy server: {name}',
+  'common.noServers': 'Chưa có server nào.',
+  'common.error': '❌ {message}',
+  'common.cancelled': 'Hủy.',
+  'common.serverExists': 'Server "{name}" đã tồn tại',
+  'common.sshExit': 'ssh thoát với mã {code}',
+  'common.passphraseShort': 'Passphrase cần ít nhất 8 ký tự',
+  'common.passphraseMismatch': 'Hai lần nhập passphrase không khớp',
+
+  // connect / sshm <name>
+  'connect.pick': 'Chọn server để SSH:',
+  'connect.via': ' qua {chain}',
+  'connect.connectingKey': '🔐 Đang kết nối bằng SSH key tới {target}...',
+  'connect.connecting': '🔐 Đang kết nối tới {target}...',
+  'connect.startup': '▶️ Lệnh khởi động: {command}',
+  'connect.recording': '⏺️ Đang ghi phiên: {file}',
+  'connect.recorded': '⏹️ Đã lưu bản ghi: {file}',
+  'connect.hostKeyChanged': '\n🚨 HOST KEY CỦA "{name}" ĐÃ THAY ĐỔI! Đã từ chối kết nối.',
+  'connect.hostKeyMitm': '   Có thể bạn đang bị tấn công MITM, hoặc server vừa được cài lại.',
+  'connect.hostKeyAccept': '   Nếu chắc chắn server đã đổi key: sshm hostkey accept {name}',
+  'connect.hintKey': '💡 Gợi ý: Kiểm tra lại key file, passphrase, host key (sshm hostkey show) hoặc server có chấp nhận key này không',
+  'connect.hintPassword': '💡 Gợi ý: Kiểm tra lại thông tin server hoặc password',
+  'connect.exited': '🔌 Đã thoát khỏi SSH thành công',
+  'connect.failed': '🔌 SSH connection failed với mã: {code}',
+  'connect.hintCheck': '💡 Chẩn đoán từng bước (DNS, TCP, host key, đăng nhập): sshm check <name>',
+  'connect.initFailed': 'Lỗi khi khởi tạo SSH: {message}',
+
+  // lệnh gốc
+  'program.description': 'CLI quản lý và SSH nhanh vào server',
+  'program.argName': 'Tên server để kết nối trực tiếp',
+  'program.optRecord': 'Ghi lại phiên (asciicast) vào ~/.sshm/recordings',
+  'program.optProfile': 'Dùng profile này cho lệnh hiện tại (đặt trước tên lệnh, vd: sshm --profile work ls)',
+  'program.optNoEmoji': 'Output không có emoji (cho log/CI, tương đương SSHM_NO_EMOJI=1)',
+
+  // add / edit
+  'stdin.empty': 'Không có dữ liệu từ stdin (hãy pipe vào, vd: cat id_ed25519 | sshm add ... --key-stdin)',
+  'auth.oneOf': 'Chỉ dùng một trong --key-file, --key-stdin, --password-stdin',
+  'add.keySaved': '🔑 Đã lưu key vào: {path}',
+  'add.saved': '✅ Đã lưu server "{name}"',
+  'edit.renamed': '✏️ Đã đổi tên "{from}" → "{to}"',
+  'edit.updated': '✅ Đã cập nhật server "{name}"',
+  'passphrase.hint': '🔐 Key của "{name}" có passphrase. Lưu để tự trả lời: sshm creds set {name} --passphrase',
+  'passphrase.prompt': 'Key có passphrase, nhập để lưu (bỏ trống để tự nhập mỗi lần kết nối):',
+  'passphrase.wrong': 'Passphrase không đúng',
+  'passphrase.saved': '✅ Đã lưu passphrase cho "{name}"',
+  'add.description': 'Thêm server mới (truyền --name để chạy không tương tác)',
+  'opt.name': 'Tên server',
+  'opt.host': 'Địa chỉ host',
+  'opt.user': 'Tên user SSH',
+  'opt.port': 'Port SSH',
+  'add.optKeyFile': 'Dùng file private key có sẵn',
+  'add.optKeyStdin': 'Đọc nội dung private key từ stdin',
+  'add.optPasswordStdin': 'Đọc mật khẩu từ stdin',
+  'add.optJump': 'Jump host, cách nhau bởi dấu phẩy',
+  'add.optGroup': 'Group/môi trường (vd: prod, staging, dev)',
+  'add.optTags': 'Tag, cách nhau bởi dấu phẩy',
+  'add.optForwardAgent': 'Forward ssh-agent khi kết nối tới server này',
+  'add.optRecord': 'Luôn ghi lại phiên SSH tới server này',
+  'add.optOption': 'Option ssh_config cho server (lặp lại được, vd ServerAliveInterval=30)',
+  'add.optEnv': 'Biến môi trường gửi lên server: NAME=value, hoặc NAME để chuyển biến local (lặp lại được)',
+  'add.optRemoteCommand': 'Lệnh chạy khi vào phiên tương tác (vd "sudo -i", "tmux attach")',
+  'add.optCwd': 'Thư mục làm việc trên server',
+  'prompt.name': 'Tên server:',
+  'prompt.host': 'Địa chỉ host:',
+  'prompt.user': 'Tên user SSH:',
+  'prompt.port': 'Port SSH:',
+  'prompt.auth': 'Phương thức xác thực:',
+  'prompt.password': 'Mật khẩu SSH:',
+  'prompt.keyMethod': 'Cách nhập key:',
+  'prompt.keyFile': 'Dùng file key có sẵn',
+  'prompt.keyPaste': 'Dán nội dung key',
+  'prompt.keyPath': 'Đường dẫn private key:',
+  'prompt.keyContent': 'Dán nội dung private key vào đây (Ctrl+S để lưu, Ctrl+Q để thoát):',
+  'add.promptJump': 'Jump host (tên server đã lưu, cách nhau bởi dấu phẩy, bỏ trống nếu kết nối trực tiếp):',
+  'add.promptGroup': 'Group/môi trường (prod, staging, dev... bỏ trống nếu không có):',
+  'prompt.tags': 'Tag (cách nhau bởi dấu phẩy):',
+  'add.failed': '⚠️ {message} Hủy.',
+  'edit.description': 'Sửa server (không truyền flag sẽ hiện form điền sẵn)',
+  'edit.optName': 'Đổi tên server (secret và key file đi theo)',
+  'edit.optKeyFile': 'Chuyển sang file private key có sẵn',
+  'edit.optKeyStdin': 'Chuyển sang private key đọc từ stdin',
+  'edit.optPasswordStdin': 'Chuyển sang mật khẩu đọc từ stdin',
+  'edit.optJump': 'Jump host, cách nhau bởi dấu phẩy (chuỗi rỗng để bỏ)',
+  'edit.optGroup': 'Group/môi trường (chuỗi rỗng để bỏ)',
+  'edit.optTags': 'Thay danh sách tag, cách nhau bởi dấu phẩy (chuỗi rỗng để bỏ)',
+  'edit.optForwardAgent': 'Bật forward ssh-agent cho server',
+  'edit.optNoForwardAgent': 'Tắt forward ssh-agent cho server',
+  'edit.optRecord': 'Luôn ghi lại phiên SSH tới server',
+  'edit.optNoRecord': 'Tắt ghi phiên mặc định cho server',
+  'edit.optOption': 'Đặt option ssh_config (lặp lại được, Key= để bỏ)',
+  'edit.optEnv': 'Đặt biến môi trường: NAME=value, hoặc NAME để chuyển biến local (lặp lại được)',
+  'edit.optUnsetEnv': 'Bỏ biến môi trường (lặp lại được)',
+  'edit.optRemoteCommand': 'Lệnh chạy khi vào phiên tương tác (chuỗi rỗng để bỏ)',
+  'edit.optCwd': 'Thư mục làm việc trên server (chuỗi rỗng để bỏ)',
+  'edit.pick': 'Chọn server cần sửa:',
+  'edit.keepAuth': 'Giữ nguyên ({auth})',
+  'edit.keyAuth': 'SSH key: {path}',
+  'edit.newPassword': 'Password mới',
+  'edit.promptJump': 'Jump host (cách nhau bởi dấu phẩy, bỏ trống nếu kết nối trực tiếp):',
+  'edit.promptGroup': 'Group/môi trường:',
+  'edit.promptForwardAgent': 'Forward ssh-agent tới server này?',
+  'edit.promptRecord': 'Luôn ghi lại phiên SSH tới server này?',
+  'add.missingHost': 'Thiếu địa chỉ host (--host)',
+  'add.missingUser': 'Thiếu SSH user (--user)',
+  'add.missingAuth': 'Thiếu phương thức xác thực (--key-file, --key-stdin hoặc --password-stdin)',
+  'options.badOption': 'Option không hợp lệ: "{pair}" (dạng Key=Value, vd ServerAliveInterval=30)',
+  'options.reserved': 'Option {key} do sshm quản lý, không thể đặt trực tiếp',
+  'options.badEnv': 'Biến môi trường không hợp lệ: "{pair}" (dạng NAME=value hoặc NAME)',
+
+  // ls / show / defaults / rm
+  'common.badFormat': 'Format không hợp lệ: {format} (hỗ trợ: {supported})',
+  'opt.format': 'Định dạng output ({formats})',
+  'ls.description': 'Liệt kê danh sách server',
+  'ls.optTag': 'Chỉ hiện server có tag (nhận glob)',
+  'ls.optGroup': 'Chỉ hiện server thuộc group (nhận glob)',
+  'ls.optFilter': 'Lọc mờ theo tên, host, group, tag',
+  'ls.optColumns': 'Cột cần hiện, cách nhau bởi dấu phẩy hoặc "all" ({columns})',
+  'ls.badColumns': 'Cột không hợp lệ: {columns} (hỗ trợ: {supported})',
+  'common.noMatch': 'Không có server nào khớp.',
+  'show.description': 'Xem toàn bộ thông tin một server (secret được ẩn)',
+  'show.optNoSecrets': 'Không kiểm tra secret (không cần mở vault)',
+  'defaults.description': 'Option ssh, biến môi trường và lệnh khởi động mặc định cho mọi server (server ghi đè được); không truyền flag để xem',
+  'defaults.optOption': 'Option ssh_config (lặp lại được, Key= để bỏ)',
+  'defaults.optEnv': 'Biến môi trường: NAME=value, hoặc NAME để chuyển biến local (lặp lại được)',
+  'defaults.updated': '✅ Đã cập nhật mặc định cho mọi server',
+  'rm.description': 'Xóa server theo tên hoặc selector (nếu không truyền sẽ hiển thị menu)',
+  'rm.pick': 'Chọn server cần xóa:',
+  'rm.usedAsJump': '⚠️ "{name}" đang dùng jump host: {hosts}',
+  'rm.many': '{count} server ({names})',
+  'rm.confirm': 'Bạn có chắc muốn xóa {label}?',
+  'rm.cancelled': 'Hủy xóa.',
+  'rm.catalogKept': '↩️ "{name}" thuộc catalog "{catalog}": đã xóa chỉnh sửa cá nhân và secret',
+  'rm.removed': '✅ Đã xóa server "{name}"',
+  'connect.description': 'Chọn server để SSH',
+  'connect.optNoRecord': 'Không ghi phiên kể cả khi server bật ghi mặc định',
+
+  // history / stats / last / replay / recordings
+  'history.description': 'Lịch sử phiên SSH (mới nhất lên đầu)',
+  'history.optSince': 'Chỉ phiên từ thời điểm này (30m, 12h, 7d, 2w hoặc ngày 2026-10-01)',
+  'history.optFailed': 'Chỉ phiên thoát với mã khác 0',
+  'history.optLimit': 'Số phiên tối đa (0 = tất cả)',
+  'history.empty': 'Không có phiên nào trong lịch sử.',
+  'stats.description': 'Thống kê server dùng nhiều nhất',
+  'stats.optSince': 'Chỉ tính phiên từ thời điểm này (30m, 12h, 7d, 2w hoặc ngày 2026-10-01)',
+  'stats.optLimit': 'Số server tối đa (0 = tất cả)',
+  'stats.empty': 'Chưa có phiên nào trong lịch sử.',
+  'stats.deleted': '{name} (đã xóa)',
+  'last.description': 'Kết nối lại server của phiên SSH gần nhất',
+  'last.empty': 'Chưa có phiên SSH nào trong lịch sử.',
+  'last.reconnecting': '↩️ Kết nối lại "{name}" (lần trước: {time})',
+  'replay.description': 'Phát lại phiên đã ghi (tên file trong ~/.sshm/recordings hoặc đường dẫn .cast)',
+  'replay.optSpeed': 'Tốc độ phát (2 = nhanh gấp đôi)',
+  'replay.optIdleLimit': 'Rút ngắn các khoảng lặng dài hơn số giây này',
+  'recordings.notFound': 'Không tìm thấy bản ghi: {name}',
+  'replay.badSpeed': 'Tốc độ không hợp lệ: {value}',
+  'replay.badIdleLimit': 'Idle limit không hợp lệ: {value}',
+  'replay.end': '\n⏹️ Hết bản ghi',
+  'recordings.description': 'Quản lý phiên SSH đã ghi (~/.sshm/recordings)',
+  'recordings.lsDescription': 'Liệt kê bản ghi (lọc theo tên server hoặc glob)',
+  'recordings.empty': 'Chưa có bản ghi nào.',
+  'recordings.rmDescription': 'Xóa bản ghi theo tên file, hoặc mọi bản ghi cũ hơn --older-than',
+  'recordings.optOlderThan': 'Xóa bản ghi bắt đầu trước thời điểm này (30d, 2w hoặc ngày 2026-10-01)',
+  'recordings.rmUsage': 'Truyền tên bản ghi hoặc --older-than',
+  'recordings.removed': '🗑️ Đã xóa {file}',
+  'recordings.noneOlder': 'ℹ️ Không có bản ghi nào cũ hơn mốc này',
+  'history.badSince': 'Thời điểm không hợp lệ: {value} (vd: 30m, 12h, 7d, 2w, 2026-10-01)',
+  'recording.empty': 'File ghi rỗng: {file}',
+  'recording.notCast': 'Không phải file asciicast v2: {file}',
+
+  // regen / regen-all
+  'regen.description': 'Tái tạo key file từ content đã lưu',
+  'regen.noKeyServers': 'Không có server nào sử dụng SSH key.',
+  'regen.pick': 'Chọn server để tái tạo key:',
+  'regen.notFound': 'Không tìm thấy server dùng SSH key: {name}',
+  'regen.done': '✅ Đã tái tạo key file cho server "{name}"',
+  'regenAll.description': 'Tái tạo tất cả key files từ content đã lưu (dùng khi thư mục keys bị xóa)',
+  'regenAll.start': '🔄 Đang tái tạo tất cả key files...',
+  'regenAll.none': 'ℹ️ Không có key nào để tái tạo.',
+  'regenAll.summary': '\n📊 Kết quả tái tạo:',
+  'regenAll.success': '✅ Thành công: {count}',
+  'regenAll.failed': '❌ Thất bại: {count}',
+  'regenAll.failedList': '\n⚠️ Các key thất bại:',
+
+  // config
+  'config.description': 'Kiểm tra và sửa file cấu hình sshm, ngôn ngữ và kiểu output',
+  'doctor.status.ok': '✅ hợp lệ',
+  'doctor.status.missing': 'ℹ️ chưa có',
+  'doctor.status.broken': '❌ hỏng (JSON không đọc được)',
+  'doctor.status.invalid': '⚠️ không hợp lệ',
+  'doctor.status.unsupported': '⛔ version mới hơn bản sshm này',
+  'doctor.description': 'Kiểm tra config.json/credentials.json, sửa (--fix) hoặc khôi phục bản sao lưu (--restore)',
+  'doctor.optFix': 'Bỏ mục sai schema, khôi phục bản sao lưu hợp lệ mới nhất nếu file hỏng, xóa lock bị bỏ lại',
+  'doctor.optRestore': 'Khôi phục bản sao lưu số n (1 = mới nhất)',
+  'doctor.optCredentials': 'Áp dụng --restore cho credentials.json thay vì config.json',
+  'doctor.badIndex': 'Số bản sao lưu không hợp lệ: {value}',
+  'doctor.restored': '✅ Đã khôi phục {file} từ bản sao lưu #{index} (bản hiện tại được lưu thành #1)',
+  'doctor.restoredWithProblems': '⚠️ Bản này vẫn có lỗi, chạy "sshm config doctor --fix":{problems}',
+  'doctor.fixed': '🔧 {file}: {action}',
+  'doctor.report': '\n🩺 {file}: {status}',
+  'doctor.staleLock': '  🔓 Lock bị bỏ lại{pid} — xóa bằng: sshm config doctor --fix',
+  'doctor.locked': '  🔒 Đang bị khóa bởi pid {pid} từ {time}',
+  'doctor.noSnapshots': '  Chưa có bản sao lưu',
+  'doctor.hint': '\nSửa: sshm config doctor --fix, hoặc khôi phục: sshm config doctor --restore <n> [--credentials]',
+  'config.languageDescription': 'Xem hoặc đặt ngôn ngữ giao diện: {locales} hoặc "auto" (theo LANG)',
+  'config.badLanguage': 'Ngôn ngữ không hỗ trợ: {value} (hỗ trợ: {supported})',
+  'config.language': '🌐 Ngôn ngữ: {locale}{source}',
+  'config.languageAuto': ' (tự động theo LANG)',
+  'config.emojiDescription': 'Xem hoặc bật/tắt emoji trong output: on | off (off = output thuần cho log/CI)',
+  'config.badEmoji': 'Giá trị không hợp lệ: {value} (dùng on hoặc off)',
+  'config.emoji': 'Emoji: {state}',
+  'config.on': 'bật',
+  'config.off': 'tắt',
+  'doctor.badJson': 'JSON không hợp lệ: {message}',
+  'doctor.notVault': 'Không phải vault sshm (thiếu cipher/iv/tag/data)',
+  'doctor.noSnapshot': 'Không có bản sao lưu #{index} của {file}',
+  'doctor.snapshotBroken': 'Bản sao lưu #{index} cũng bị hỏng: {message}',
+  'doctor.removedLock': 'Đã xóa lock bị bỏ lại',
+  'doctor.removedLockPid': 'Đã xóa lock bị bỏ lại (pid {pid})',
+  'doctor.dropped': 'Đã bỏ {count} mục không hợp lệ (bản cũ lưu ở snapshot #1)',
+  'doctor.noUsable': '{file} bị hỏng và không có bản sao lưu hợp lệ nào để khôi phục',
+  'doctor.restoredSnapshot': 'Đã khôi phục bản sao lưu #{index} ({time})',
+
+  // profile
+  'profile.description': 'Quản lý profile: mỗi profile có config, credentials và keys riêng',
+  'profile.createDescription': 'Tạo profile mới (trống)',
+  'profile.optUse': 'Dùng luôn profile này cho các lần chạy sau',
+  'profile.created': '✅ Đã tạo profile "{name}" ({dir})',
+  'profile.using': '👉 Đang dùng profile "{name}"',
+  'profile.createHint': '💡 Chuyển sang: sshm profile use {name}, hoặc dùng một lần: sshm --profile {name} <lệnh>',
+  'profile.useDescription': 'Chọn profile cho các lần chạy sau',
+  'profile.envOverride': 'ℹ️ Biến môi trường SSHM_PROFILE={name} vẫn được ưu tiên trong shell này',
+  'profile.lsDescription': 'Liệt kê profile',
+  'profile.dirColumn': 'thư mục',
+  'profile.rmDescription': 'Xóa profile cùng toàn bộ server, credentials và keys của nó',
+  'profile.rmConfirm': 'Xóa profile "{name}" ({count} server, {dir})? Không thể hoàn tác.',
+  'profile.removed': '✅ Đã xóa profile "{name}"',
+  'profile.nameEmpty': 'Tên profile không được để trống',
+  'profile.nameChars': 'Tên profile chỉ gồm chữ, số và . _ - (không bắt đầu bằng dấu chấm)',
+  'profile.notFound': 'Không tìm thấy profile: {name} (tạo bằng: sshm profile create {name})',
+  'profile.exists': 'Profile "{name}" đã tồn tại',
+  'profile.rmDefault': 'Không thể xóa profile mặc định',
+  'profile.rmInUse': 'Profile "{name}" đang được dùng, chuyển sang profile khác trước (sshm profile use <name>)',
+  'profile.secretsLeft': '⚠️ Không xóa được secret trong backend {backend}: {error}',
+
+  // vault
+  'vault.description': 'Quản lý vault mã hóa credentials',
+  'vault.unlockDescription': 'Mở khóa vault cho các lệnh tiếp theo',
+  'vault.optTimeout': 'Thời gian giữ session mở khóa (phút)',
+  'vault.badTimeout': 'Timeout không hợp lệ: {value}',
+  'vault.unlocked': '🔓 Vault đã mở khóa trong {minutes} phút',
+  'vault.passphraseOk': '🔓 Passphrase hợp lệ (timeout = 0, không giữ session)',
+  'vault.lockDescription': 'Khóa vault ngay lập tức',
+  'vault.locked': '🔒 Đã khóa vault',
+  'vault.statusDescription': 'Xem trạng thái vault',
+  'vault.plaintext': '⚠️ credentials.json chưa được mã hóa, sẽ được chuyển vào vault ở lần dùng tiếp theo',
+  'vault.notCreated': 'ℹ️ Vault chưa được tạo (sẽ tạo khi lưu credential đầu tiên)',
+  'vault.unlockedUntil': '🔓 Vault đang mở khóa tới {time}',
+  'vault.isLocked': '🔒 Vault đang khóa',
+  'vault.sessionTimeout': '⏱️ Session timeout: {minutes} phút',
+  'vault.changeDescription': 'Đổi master passphrase của vault',
+  'vault.changed': '✅ Đã đổi master passphrase',
+  'vault.timeoutDescription': 'Đặt thời gian tự khóa vault mặc định (phút, 0 = luôn hỏi passphrase)',
+  'vault.timeoutSaved': '✅ Session timeout mặc định: {minutes} phút',
+  'vault.promptPassphrase': '🔒 Master passphrase:',
+  'vault.promptCurrent': '🔒 Master passphrase hiện tại:',
+  'vault.promptNew': '🔑 Master passphrase mới:',
+  'vault.promptCreate': '🔑 Tạo master passphrase cho vault:',
+  'vault.promptConfirm': 'Nhập lại master passphrase:',
+  'vault.lockedError': 'Vault đang khóa. Chạy "sshm vault unlock" hoặc đặt biến môi trường SSHM_PASSPHRASE',
+  'vault.needNew': 'Cần master passphrase mới. Đặt biến môi trường {envVar}',
+  'vault.missing': 'Vault chưa được tạo',
+  'vault.wrongPassphrase': 'Sai master passphrase hoặc vault đã bị hỏng',
+  'vault.broken': 'credentials.json bị hỏng ({message}). Chạy "sshm config doctor --fix" để khôi phục bản sao lưu gần nhất',
+
+  // creds / jump
+  'creds.description': 'Quản lý credential backend (file vault, OS keyring, lệnh ngoài)',
+  'creds.lsDescription': 'Liệt kê backend và loại secret của từng server',
+  'creds.error': 'lỗi: {message}',
+  'creds.defaultBackend': 'ℹ️ Backend mặc định: {backend}',
+  'creds.setDescription': 'Đặt (hoặc thay) password, passphrase của key hoặc seed OTP cho server',
+  'creds.optPassphrase': 'Lưu passphrase của private key',
+  'creds.optOtp': 'Lưu seed TOTP (base32) để tự trả lời prompt OTP',
+  'creds.noKey': '"{name}" không dùng SSH key',
+  'creds.keyNotEncrypted': 'ℹ️ Key {path} không có passphrase (hoặc chưa đọc được file key)',
+  'creds.promptOtp': 'Seed TOTP (base32):',
+  'creds.promptPassphrase': 'Passphrase của private key:',
+  'creds.saved': '✅ Đã lưu {kind} cho "{name}" (backend: {backend})',
+  'creds.promptPassword': 'Mật khẩu SSH cho {target}:',
+  'creds.migrateDescription': 'Chuyển secret sang backend khác (không truyền tên = tất cả và đổi backend mặc định)',
+  'creds.optTo': 'Backend đích ({backends})',
+  'creds.badBackend': 'Backend không hợp lệ: {value} (hỗ trợ: {supported})',
+  'creds.migrating': '🔄 Đang chuyển secret sang backend "{backend}"...',
+  'creds.migrateFailed': '❌ {count} server thất bại, secret vẫn ở backend cũ',
+  'creds.migrated': '✅ Đã chuyển {count} secret sang "{backend}"',
+  'creds.commandDescription': 'Cấu hình lệnh cho backend "command" ({name} = tên server)',
+  'creds.optGet': 'Lệnh in secret ra stdout',
+  'creds.optSet': 'Lệnh đọc secret từ stdin',
+  'creds.optDelete': 'Lệnh xóa secret',
+  'creds.commandSaved': '✅ Đã lưu cấu hình backend "command"',
+  'jump.description': 'Đặt chuỗi jump host (bastion) cho server theo thứ tự, không truyền hops = kết nối trực tiếp',
+  'jump.via': '✅ "{name}" kết nối qua: {chain}',
+  'jump.direct': '✅ "{name}" kết nối trực tiếp',
+  'creds.badOtpSeed': 'Seed OTP không phải base32 hợp lệ: {char}',
+
+  // exec / check / cp / sftp
+  'exec.description': 'Chạy lệnh trên một hoặc nhiều server (tên, glob, "all", phân tách bằng dấu phẩy): sshm exec web-* -- uptime',
+  'exec.optConcurrency': 'Số server chạy song song',
+  'exec.optCollect': 'Gom output theo từng server thay vì stream có prefix',
+  'exec.optJson': 'In kết quả dạng JSON',
+  'exec.noCommand': 'Thiếu lệnh cần chạy. Ví dụ: sshm exec web-* -- uptime',
+  'exec.succeeded': '✅ Thành công trên {count} server',
+  'exec.failed': '❌ Thất bại trên {failed}/{total} server',
+  'check.description': 'Chẩn đoán kết nối: DNS, TCP, SSH banner, host key và đăng nhập (batch) cho một hoặc nhiều server (mặc định: all)',
+  'check.optConcurrency': 'Số server kiểm tra song song',
+  'check.optTimeout': 'Thời gian chờ mỗi bước (giây)',
+  'common.badTimeout': 'Timeout không hợp lệ: {value}',
+  'check.checking': '🩺 Đang kiểm tra {count} server...',
+  'check.ok': '✅ ok ({seconds}s)',
+  'check.failedStage': '❌ {stage}: {reason}',
+  'check.allOk': '✅ {count} server kết nối được',
+  'check.someFailed': '⚠️ {failed}/{total} server có lỗi',
+  'cp.description': 'Copy file qua scp dùng credential đã lưu: sshm cp ./app.log web1:/tmp/ hoặc sshm cp web1:/var/log/syslog .',
+  'cp.optRecursive': 'Copy cả thư mục',
+  'cp.optQuiet': 'Không hiển thị tiến trình',
+  'cp.usage': 'Cần ít nhất nguồn và đích. Ví dụ: sshm cp ./file web1:/tmp/',
+  'cp.noRemote': 'Không có đường dẫn remote nào (dạng <server>:<path>)',
+  'cp.oneServer': 'Chỉ hỗ trợ một server mỗi lần copy (đang có: {names}). Hãy copy qua máy local.',
+  'cp.copying': '📦 Đang copy {direction} ({target})...',
+  'cp.done': '✅ Copy thành công',
+  'cp.failed': '❌ scp thất bại với mã: {code}',
+  'sftp.description': 'Mở phiên sftp tương tác tới server',
+  'sftp.opening': '📂 Đang mở sftp tới {target}...',
+  'sftp.failed': '❌ sftp kết thúc với mã: {code}',
+  'check.viaJump': ' (jump host {name})',
+  'check.regenHint': ' — tái tạo: sshm regen {name}',
+  'check.keyMissing': 'Không tìm thấy file key {file}{who}{hint}',
+  'check.keyInvalid': 'File key không hợp lệ: {file}{who}',
+  'check.noBanner': 'Không nhận được SSH banner',
+  'check.tcpTimeout': 'Hết thời gian chờ kết nối TCP',
+  'check.notSsh': 'Không phải SSH server (không có banner SSH-)',
+  'check.closedBeforeBanner': 'Server đóng kết nối trước khi gửi banner',
+  'check.closed': 'Kết nối bị đóng',
+  'check.loginFailed': 'Đăng nhập thất bại',
+  'check.denied': 'Server từ chối xác thực (chấp nhận: {methods})',
+  'check.hostKeyMismatch': 'Host key đã thay đổi so với known_hosts',
+  'check.hostKeyUnverified': 'Host key chưa được chấp nhận',
+  'check.viaHops': 'qua {hops}',
+  'check.dnsFailed': 'Không phân giải được tên miền {host} ({message})',
+  'check.tcpFailed': 'Không kết nối được TCP {address}:{port} ({message})',
+  'check.hostKeyChanged': 'Host key đã thay đổi! Nếu chắc chắn server đổi key: sshm hostkey accept {name}',
+  'check.hostKeyUnknown': 'Host key chưa được ghi nhận (policy strict) — xem và chấp nhận: sshm hostkey accept {name}',
+
+  // tunnel
+  'tunnel.description': 'Quản lý tunnel (port forward) chạy nền',
+  'tunnel.addDescription': 'Tạo tunnel cho server: sshm tunnel add db1 pg -L 5433:localhost:5432',
+  'tunnel.exists': 'Tunnel "{name}" đã tồn tại',
+  'tunnel.noForwards': 'Cần ít nhất một forward (-L, -R hoặc -D)',
+  'tunnel.created': '✅ Đã tạo tunnel "{name}" trên {server}: {forwards}',
+  'tunnel.notFound': 'Không tìm thấy tunnel: {name}',
+  'tunnel.rmDescription': 'Xóa tunnel (dừng nếu đang chạy)',
+  'tunnel.removed': '✅ Đã xóa tunnel "{name}"',
+  'tunnel.upDescription': 'Bật tunnel chạy nền (tự kết nối lại khi rớt)',
+  'tunnel.running': 'ℹ️ Tunnel "{name}" đang chạy (pid {pid})',
+  'tunnel.up': '✅ Tunnel "{name}" đã bật (pid {pid}): {forwards}',
+  'tunnel.state': 'Tunnel "{name}" đang ở trạng thái: {status}{error}',
+  'tunnel.log': '   Xem log: {file}',
+  'tunnel.downDescription': 'Tắt tunnel (dùng "all" để tắt tất cả)',
+  'tunnel.stopped': '🔌 Đã tắt tunnel "{name}"',
+  'tunnel.notRunning': 'ℹ️ Tunnel "{name}" không chạy',
+  'tunnel.lsDescription': 'Liệt kê tunnel và trạng thái',
+  'tunnel.empty': 'Chưa có tunnel nào.',
+  'tunnel.optLocal': 'Forward local [bind:]port:host:hostport',
+  'tunnel.optRemote': 'Forward từ server về [bind:]port:host:hostport',
+  'tunnel.optDynamic': 'SOCKS proxy [bind:]port',
+  'tunnel.logStopping': 'Nhận tín hiệu dừng',
+  'tunnel.logConnecting': 'Kết nối {target} ({forwards})',
+  'tunnel.logReady': 'Tunnel đã sẵn sàng',
+  'tunnel.logLost': 'Mất kết nối: {reason}. Thử lại sau {delay}s',
+  'tunnel.logStopped': 'Đã dừng tunnel',
+
+  // import / export / backup / restore / sync
+  'import.description': 'Import server từ nguồn khác',
+  'import.sshConfigDescription': 'Import Host block từ OpenSSH config (mặc định ~/.ssh/config)',
+  'import.optOverwrite': 'Ghi đè server trùng tên (giữ nguyên credential)',
+  'opt.dryRun': 'Chỉ hiển thị, không lưu',
+  'common.fileNotFound': 'Không tìm thấy file: {file}',
+  'import.none': 'ℹ️ Không có Host nào để import.',
+  'import.new': 'mới',
+  'import.overwritten': 'ghi đè',
+  'import.skipped': 'trùng tên, bỏ qua',
+  'import.noPassword': 'password (chưa có)',
+  'import.conflicts': '⚠️ {count} server trùng tên đã bị bỏ qua (dùng --overwrite để ghi đè): {names}',
+  'common.dryRun': 'ℹ️ Dry run: chưa lưu gì.',
+  'import.done': '✅ Đã import {count} server từ {file}',
+  'import.passwordHint': '💡 Server dùng password cần đặt credential: sshm creds set <name>',
+  'export.description': 'Export server sang định dạng khác',
+  'export.sshConfigDescription': 'Xuất server dạng OpenSSH config (stdout hoặc file)',
+  'export.optOutput': 'Ghi ra file thay vì stdout',
+  'export.done': '✅ Đã xuất {count} server ra {file}',
+  'backup.description': 'Backup server, secret và key vào một file mã hóa bằng passphrase riêng',
+  'backup.optForce': 'Ghi đè nếu file đã tồn tại',
+  'backup.exists': 'File đã tồn tại: {file} (dùng --force để ghi đè)',
+  'backup.done': '✅ Đã backup {count} server vào {file}',
+  'backup.hint': '💡 Hãy giữ passphrase cẩn thận: mất passphrase thì không thể restore.',
+  'restore.action.add': 'thêm mới',
+  'restore.action.replace': 'thay bằng bản trong bundle',
+  'restore.action.keep': 'giữ bản hiện tại (mới hơn)',
+  'restore.action.skip': 'bỏ qua (trùng tên)',
+  'restore.description': 'Khôi phục server, secret và key từ file backup',
+  'restore.optStrategy': 'Xử lý khi trùng tên: merge (bản mới hơn thắng), overwrite (dùng bản trong bundle), skip (giữ bản hiện tại)',
+  'restore.optDryRun': 'Chỉ hiển thị, không ghi gì',
+  'restore.badStrategy': 'Strategy không hợp lệ: {value} (hỗ trợ: {supported})',
+  'restore.bundle': '📦 Bundle tạo lúc {time} trên {host}, {count} server',
+  'common.dryRunNoWrite': 'ℹ️ Dry run: chưa ghi gì.',
+  'common.serverInfo': 'ℹ️ {name}: {message}',
+  'restore.done': '✅ Đã khôi phục {count}/{total} server',
+  'sync.action.pull': '⬇️  lấy về',
+  'sync.action.push': '⬆️  đẩy lên',
+  'sync.action.delete-local': '🗑️  xóa ở máy này',
+  'sync.action.delete-remote': '🗑️  xóa ở remote',
+  'sync.description': 'Đồng bộ server và secret qua thư mục hoặc git repo (bản mới hơn của từng server thắng)',
+  'sync.optDir': 'Dùng thư mục làm nơi sync (lưu lại cho lần sau)',
+  'sync.optGit': 'Dùng git repo làm nơi sync (lưu lại cho lần sau)',
+  'sync.optDryRun': 'Chỉ hiển thị thay đổi, không ghi gì',
+  'sync.dirOrGit': 'Chỉ dùng một trong --dir hoặc --git',
+  'sync.notConfigured': 'Chưa cấu hình sync. Dùng: sshm sync --dir <path> hoặc sshm sync --git <url>',
+  'sync.syncing': '🔄 Đang sync với {target}...',
+  'sync.badPassphrase': '{message}. Passphrase đã lưu bị xóa, chạy lại sshm sync để nhập lại.',
+  'sync.conflict': '⚠️ cả hai bên cùng sửa, lấy bản mới hơn',
+  'sync.upToDate': '✅ Đã đồng bộ, không có thay đổi',
+  'sync.done': '✅ Đã đồng bộ {count} thay đổi{conflicts}',
+  'sync.conflicts': ' ({count} xung đột)',
+  'import.includeTooDeep': 'Include lồng quá sâu tại {file}',
+  'import.matchSkipped': 'Bỏ qua block "Match {match}" trong {file} (chưa hỗ trợ)',
+  'import.badAlias': 'Bỏ qua Host "{alias}": {message}',
+  'import.unknownJump': '{alias}: ProxyJump "{hops}" không khớp server nào, bỏ qua jump',
+  'import.proxyCommand': '{alias}: ProxyCommand chưa được hỗ trợ, bỏ qua',
+  'import.jumpDropped': '{alias}: bỏ qua ProxyJump ({message})',
+  'restore.entryFailed': 'Bỏ qua "{name}": {message}',
+  'backup.needPassphrase': 'Cần passphrase của bundle. Đặt biến môi trường SSHM_BUNDLE_PASSPHRASE',
+  'backup.promptPassphrase': '🔑 Passphrase của bundle:',
+  'backup.promptConfirm': 'Nhập lại passphrase:',
+  'restore.notBundle': 'File không phải bundle của sshm',
+  'restore.tooNew': 'Bundle version {version} mới hơn bản sshm này hỗ trợ',
+  'restore.badPassphrase': 'Sai passphrase hoặc bundle đã bị hỏng',
+  'restore.keyMoved': '{file} không tồn tại, key được lưu vào {managed}',
+  'sync.targetGit': 'git {url}',
+  'sync.targetDir': 'thư mục {path}',
+  'sync.gitFailed': 'git {command} thất bại: {message}',
+
+  // catalog
+  'catalog.description': 'Quản lý catalog server dùng chung cho team (chỉ đọc, không chứa secret)',
+  'catalog.addDescription': 'Thêm catalog từ file JSON/YAML local hoặc git repo',
+  'catalog.optFile': 'Đường dẫn file catalog trong repo git (mặc định catalog.yaml | catalog.yml | catalog.json)',
+  'catalog.exists': 'Catalog "{name}" đã tồn tại',
+  'catalog.readFailed': 'Không đọc được catalog: {message}',
+  'catalog.added': '✅ Đã thêm catalog "{name}" ({count} server)',
+  'catalog.overridden': 'ℹ️ Server cá nhân cùng tên sẽ ghi đè catalog: {names}',
+  'catalog.credsHint': '💡 Đặt credential cho server cần dùng: sshm creds set <name>',
+  'catalog.rmDescription': 'Bỏ catalog (server đã có chỉnh sửa cá nhân được giữ lại thành server cá nhân)',
+  'catalog.notFound': 'Không tìm thấy catalog: {name}',
+  'catalog.removed': '✅ Đã bỏ catalog "{name}"',
+  'catalog.lsDescription': 'Liệt kê catalog',
+  'catalog.empty': 'Chưa có catalog nào.',
+  'catalog.serverCount': '{count} server',
+  'catalog.usedColumn': 'đang dùng',
+  'catalog.updateDescription': 'Cập nhật catalog từ git repo',
+  'catalog.updated': '✅ {name}: {count} server',
+  'catalog.badDir': 'Tên catalog không hợp lệ: {name}',
+  'catalog.unreadable': '⚠️ Không đọc được catalog "{name}": {message}',
+  'catalog.duplicate': '⚠️ Server "{name}" có trong cả catalog "{first}" và "{second}", dùng bản của "{first}"',
+  'catalog.notList': 'catalog phải là mảng server hoặc có key "servers"',
+  'catalog.entryIncomplete': 'server thứ {index} thiếu name hoặc host',
+  'catalog.gitFailed': 'git {command} thất bại: {message}',
+  'catalog.badEntry': '⚠️ {file}: bỏ qua server "{name}": {message}',
+
+  // hostkey
+  'hostkey.description': 'Quản lý host key (known_hosts) của server',
+  'hostkey.showDescription': 'Xem fingerprint host key đã ghi nhận',
+  'hostkey.file': '📄 known_hosts: {file}',
+  'hostkey.policy': '🛡️ Chính sách: {policy}',
+  'hostkey.none': 'ℹ️ Chưa ghi nhận host key cho {host}:{port}',
+  'hostkey.forgetDescription': 'Xóa host key đã ghi nhận (dùng khi server được cài lại)',
+  'hostkey.forgotten': '✅ Đã xóa host key của "{name}"',
+  'hostkey.acceptDescription': 'Lấy host key từ server, xác nhận fingerprint và ghi vào known_hosts',
+  'opt.yes': 'Không hỏi xác nhận',
+  'hostkey.scanned': '🔑 Host key của {host}:{port}:',
+  'hostkey.changed': '🚨 Host key KHÁC với key đã ghi nhận:',
+  'hostkey.confirmReplace': 'Thay thế host key cũ bằng key mới?',
+  'hostkey.confirmAccept': 'Fingerprint đúng với server?',
+  'hostkey.accepted': '✅ Đã ghi nhận host key của "{name}" vào {file}',
+  'hostkey.policyDescription': 'Đặt chính sách host key ({policies}) cho server, không truyền tên = mặc định',
+  'hostkey.badPolicy': 'Chính sách không hợp lệ: {value} (hỗ trợ: {supported})',
+  'hostkey.defaultPolicy': '✅ Chính sách host key mặc định: {policy}',
+  'hostkey.serverPolicy': '✅ Chính sách host key của {names}: {policy}',
+  'hostkey.fileDescription': 'Chọn known_hosts: "sshm" (~/.sshm/known_hosts) hoặc "user" (~/.ssh/known_hosts)',
+  'hostkey.badFile': 'Giá trị không hợp lệ: {value} (sshm | user)',
+  'hostkey.fileSet': '✅ Dùng known_hosts: {file}',
+  'hostkey.forgetFailed': 'ssh-keygen -R thất bại: {message}',
+  'hostkey.scanFailed': 'Không lấy được host key của {host}:{port}',
+  'hostkey.scanFailedReason': 'Không lấy được host key của {host}:{port}: {reason}',
+
+  // key
+  'key.description': 'Quản lý vòng đời SSH key: tạo, cài lên server, đổi key',
+  'key.genDescription': 'Tạo keypair ed25519 cho server (chờ `sshm key deploy` để cài lên server)',
+  'key.optForce': 'Tạo cả khi server đã dùng SSH key',
+  'key.alreadyKeyForce': '"{name}" đã dùng SSH key ({keyPath}). Đổi key: sshm key rotate {name} (hoặc --force)',
+  'key.generated': '✅ Đã tạo key ed25519 cho "{name}" (chờ deploy)',
+  'key.deployHint': '💡 Cài lên server và chuyển sang key: sshm key deploy {name}',
+  'key.deployDescription': 'Cài public key lên server bằng đăng nhập hiện tại rồi chuyển server sang dùng key',
+  'key.alreadyKey': '"{name}" đã dùng SSH key. Đổi key: sshm key rotate {name}',
+  'key.generating': '🔑 Chưa có key chờ deploy, đang tạo key ed25519 cho "{name}"...',
+  'key.badPending': 'Key chờ deploy của "{name}" không hợp lệ, chạy lại: sshm key gen {name}',
+  'key.deployed': '✅ Đã cài public key lên {user}@{host} và chuyển "{name}" sang key: {keyPath}',
+  'key.deployFailed': 'Deploy key cho "{name}" thất bại: {message}\n   Server vẫn dùng password, key chờ deploy được giữ lại.',
+  'key.rotateDescription': 'Đổi SSH key: tạo key mới, cài lên server, kiểm tra đăng nhập rồi xóa public key cũ (tên, glob, tag:x, group:x hoặc tên group)',
+  'key.optRemoveOld': 'Xóa public key cũ cả khi key không do sshm quản lý (có thể đang dùng cho server khác)',
+  'key.optKeepOld': 'Giữ public key cũ trên server',
+  'key.status.skipped': '⏭️ bỏ qua',
+  'key.status.ok': '✅ ok',
+  'key.status.error': '❌ lỗi',
+  'key.usesPassword': 'đang dùng password, chạy: sshm key deploy {name}',
+  'key.rotating': '🔄 {name}: đang đổi key...',
+  'key.oldRemoved': 'đã xóa public key cũ',
+  'key.oldKept': 'giữ public key cũ',
+  'key.oldUnreadable': 'không đọc được public key cũ, chưa xóa',
+  'key.oldKeptExternal': 'giữ public key cũ (key ngoài sshm, dùng --remove-old để xóa)',
+  'key.keygenFailed': 'ssh-keygen thất bại: {message}',
+  'key.notKeyServer': '"{name}" chưa dùng SSH key, hãy dùng sshm key deploy',
+
+  // agent
+  'agent.description': 'Dùng ssh-agent để nạp key (kèm passphrase đã lưu) một lần cho chuỗi jump và exec nhiều server',
+  'agent.statusDescription': 'Xem chế độ agent và key đang nạp trong ssh-agent',
+  'agent.mode': '🤖 Chế độ: {mode} ({modes})',
+  'agent.lifetime': '⏱️ Thời hạn key trong agent: {lifetime}',
+  'agent.minutes': '{count} phút',
+  'agent.unlimited': 'không giới hạn',
+  'agent.noAgent': 'ℹ️ Không có ssh-agent đang chạy (SSH_AUTH_SOCK)',
+  'agent.socket': '🔌 ssh-agent: {socket} ({count} key)',
+  'agent.modeDescription': 'off: không dùng | system: agent đang chạy | private: agent riêng cho mỗi lần chạy sshm | auto: system nếu có, không thì private',
+  'agent.badMode': 'Chế độ không hợp lệ: {value} (hỗ trợ: {supported})',
+  'agent.modeSet': '✅ Chế độ ssh-agent: {mode}',
+  'agent.lifetimeDescription': 'Thời hạn của key nạp vào agent (phút, 0 = không giới hạn)',
+  'agent.badLifetime': 'Thời hạn không hợp lệ: {value}',
+  'agent.lifetimeSet': '✅ Thời hạn key trong agent: {lifetime}',
+  'agent.addDescription': 'Nạp key của server vào ssh-agent đang chạy ngay bây giờ (mặc định: mọi server dùng key)',
+  'agent.noAgentStart': 'Không có ssh-agent đang chạy (SSH_AUTH_SOCK). Khởi động: eval "$(ssh-agent)"',
+  'agent.noKeyMatch': 'Không có server dùng SSH key khớp: {selector}',
+  'agent.noKeyServers': 'Chưa có server nào dùng SSH key.',
+  'agent.loaded': '✅ {name}: đã nạp {keyPath}',
+  'agent.loadFailed': '{name}: không nạp được {keyPath} (key có passphrase? sshm creds set {name} --passphrase)',
+  'agent.startFailed': 'Không khởi động được ssh-agent: {message}',
+  'agent.noSystemAgent': 'Không tìm thấy ssh-agent đang chạy (SSH_AUTH_SOCK). Đổi chế độ: sshm agent mode auto',
+
+  // store
+  'store.configBroken': 'config.json bị hỏng ({message}). Chạy "sshm config doctor --fix" để khôi phục bản sao lưu gần nhất',
+  'store.moreProblems': '\n  ... và {count} lỗi khác',
+  'store.configInvalid': 'config.json không hợp lệ:{list}{more}\nChạy "sshm config doctor" để xem chi tiết, "sshm config doctor --fix" để sửa',
+  'store.saveInvalid': 'Không thể lưu config.json: {problems}',
+  'store.keyFileExists': 'Key file đã tồn tại: {file}',
+  'store.renameFailed': 'Không thể đổi tên server: {message}',
+  'store.noKeyContent': 'Không tìm thấy key content cho server: {name}',
+  'store.badKeyContent': 'Key content không hợp lệ cho server: {name}',
+  'store.keyRegenerated': '🔑 Đã tái tạo key file: {file}',
+  'store.chmodFailed': '⚠️ Không thể set quyền 600 cho file key',
+  'store.keysDirCreated': '📁 Đã tạo lại thư mục keys',
+  'store.regenFailed': '⚠️ Lỗi khi tái tạo key cho {name}: {message}',
+  'store.plaintextMigrating': '🔐 credentials.json đang lưu dạng plaintext, cần tạo master passphrase để mã hóa.',
+  'store.plaintextMigrated': '✅ Đã mã hóa credentials.json vào vault',
+  'store.lockedBy': '{file} đang được một tiến trình sshm khác sử dụng (pid {pid}), thử lại sau (xem: sshm config doctor)',
+  'store.locked': '{file} đang được một tiến trình sshm khác sử dụng, thử lại sau (xem: sshm config doctor)',
+  'store.badBackend': 'Credential backend không hợp lệ: {name} (hỗ trợ: {supported})',
+  'store.keyringUnavailable': 'Không thể dùng OS keyring (keytar): {message}',
+  'store.commandSetFailed': 'Lệnh lưu secret thất bại ({code}): {message}',
+
+  // servers
+  'servers.nameEmpty': 'Tên {kind} không được để trống',
+  'servers.nameChars': 'Tên {kind} chỉ gồm chữ, số và . _ - (không được là "." hoặc "..")',
+  'servers.nameReserved': 'Tên "all" đã được dùng cho selector',
+  'servers.badTags': 'Tag/group chỉ gồm chữ, số và . _ -: {tags}',
+  'servers.badPort': 'Port không hợp lệ: {port}',
+  'servers.noKeyContent': 'Không có nội dung key.',
+  'servers.notPrivateKey': 'Nội dung không phải private key hợp lệ.',
+  'servers.keyFileNotFound': 'Không tìm thấy file key: {file}',
+  'servers.emptyPassword': 'Mật khẩu trống.',
+  'servers.missingHost': 'Thiếu địa chỉ host',
+  'servers.missingUser': 'Thiếu SSH user',
+  'servers.missingAuth': 'Thiếu phương thức xác thực (password, key file hoặc nội dung key)',
+  'servers.catalogRename': '"{name}" thuộc catalog "{catalog}", không thể đổi tên',
+  'servers.emptyField': 'Giá trị {field} không được để trống',
+
+  // picker
+  'picker.justNow': 'vừa xong',
+  'picker.minutesAgo': '{count} phút trước',
+  'picker.hoursAgo': '{count} giờ trước',
+  'picker.daysAgo': '{count} ngày trước',
+  'picker.pick': 'Chọn server:',
+  'picker.empty': 'Không có server nào khớp',
+  'picker.otherGroup': 'khác',
+
+  // pty
+  'pty.rejected': '⚠️ Secret đã lưu bị từ chối, vui lòng nhập thủ công.',
+  'pty.authTimeout': 'Hết thời gian chờ đăng nhập (có prompt chưa được trả lời)',
+  'pty.secretRejected': 'Secret đã lưu bị từ chối',
+  'pty.noSecret': 'Không có secret cho prompt {prompt}',
+
+  // cluster
+  'cluster.description': 'Mở phiên tương tác tới nhiều server cùng lúc và gửi phím gõ tới tất cả (tên, glob, "all", tag:x, group:x); trong cluster bấm Ctrl-] ? để xem phím tắt',
+  'cluster.optLayout': 'Kiểu hiển thị: {layouts} (tiled: mỗi server một ô, panes: mỗi lúc một server cả màn hình)',
+  'cluster.optExclude': 'Server bắt đầu ở ngoài nhóm broadcast (selector)',
+  'cluster.noTty': 'cluster cần terminal tương tác',
+  'cluster.badLayout': 'Kiểu hiển thị không hợp lệ: {value} (hỗ trợ: {supported})',
+  'cluster.noSessions': 'Không chuẩn bị được kết nối tới server nào',
+  'cluster.opening': '🖥️ Đang mở {count} phiên...',
+  'cluster.stateOn': 'broadcast',
+  'cluster.stateOff': 'tắt',
+  'cluster.stateExited': 'thoát {code}',
+  'cluster.hint': 'Ctrl-] ? phím tắt',
+  'cluster.prefix': 'Ctrl-] … (? trợ giúp)',
+  'cluster.help': 'n/p/1-9 chọn · space bật/tắt · a tất cả · s riêng server này · l layout · q thoát · Ctrl-] gửi Ctrl-] · ? đóng',
+  'cluster.joined': '{name} vào nhóm broadcast',
+  'cluster.left': '{name} ra khỏi nhóm broadcast',
+  'cluster.broadcastAll': 'Gửi tới mọi server',
+  'cluster.broadcastSolo': 'Chỉ gửi tới {name}',
+  'cluster.noTargets': 'Không có server nào trong nhóm broadcast (Ctrl-] a: tất cả)',
+  'cluster.tooSmall': 'Terminal quá nhỏ để chia ô, chuyển sang panes',
+  'cluster.exited': '{name} đã thoát ({code})',
+  'cluster.duplicate': 'Server {name} bị lặp lại trong danh sách',
+  'cluster.badExclude': '{name} trong exclude không thuộc các server của cluster',
+
+  // ssh
+  'ssh.keyMissing': '⚠️ Không tìm thấy file key: {file}, đang tái tạo từ key đã lưu...',
+  'ssh.keyInvalid': '⚠️ Key file không hợp lệ: {file}, đang tái tạo từ key đã lưu...',
+  'ssh.keyRegenFailed': 'Không thể tái tạo key file cho server: {name}',
+  'ssh.keyUnreadable': 'Không thể đọc key file: {file}',
+  'ssh.keyRegenError': 'Không thể tái tạo key file: {message}',
+  'ssh.jumpCycle': 'Phát hiện vòng lặp jump host: {chain}',
+  'ssh.jumpNotFound': 'Không tìm thấy jump host "{name}" (dùng bởi {by})',
+  'ssh.noCredential': 'Chưa có credential cho "{name}" — chạy `sshm creds set {name}` (hoặc `sshm edit {name} --key-file <path>` nếu dùng SSH key)',
+  'ssh.noCredentialJump': 'Chưa có credential cho jump host "{name}" — chạy `sshm creds set {name}` (hoặc `sshm edit {name} --key-file <path>` nếu dùng SSH key)',
+
+  // schema
+  'schema.text': 'phải là chuỗi',
+  'schema.port': 'phải là số từ 1 tới 65535',
+  'schema.jump': 'phải là tên server hoặc danh sách tên',
+  'schema.stringList': 'phải là danh sách chuỗi',
+  'schema.boolean': 'phải là true/false',
+  'schema.sshOptions': 'phải là map Key: "value"',
+  'schema.env': 'phải là map NAME: "value" hoặc NAME: true',
+  'schema.time': 'phải là thời điểm ISO',
+  'schema.minutes': 'phải là số phút >= 0',
+  'schema.object': 'phải là object',
+  'schema.catalogs': 'phải là danh sách { name, url | path }',
+  'schema.defaults': 'phải là object { sshOptions, env, remoteCommand, cwd }',
+  'schema.field': '{field} {rule} (đang là {value})',
+  'schema.notObject': 'config.json phải là object { servers, settings }',
+  'schema.version': 'config.json có version {version}, bản sshm này chỉ hỗ trợ tới version {supported} — hãy cập nhật sshm',
+  'schema.servers': 'servers phải là danh sách',
+  'schema.serverObject': '{where} phải là object',
+  'schema.serverName': '{where} thiếu tên (name)',
+  'schema.serverDuplicate': '{where}: tên "{name}" bị trùng',
+  'schema.settings': 'settings phải là object',
+  'schema.deleted': 'deleted phải là object { name: thời điểm }',
+  'schema.deletedTime': 'deleted["{name}"] phải là thời điểm ISO'
+};
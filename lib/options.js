@@ -0,0 +1,112 @@
+import { ValidationError } from './errors.js';
+import { t } from './i18n.js';
+
+// Option ssh, biến môi trường và lệnh khởi động cho từng server.
+// Server kế thừa settings.defaults và ghi đè theo từng key:
+//  - sshOptions: { ServerAliveInterval: '30', Compression: 'yes', ... } (ssh_config keyword)
+//  - env: { NAME: 'value' } → SetEnv, { NAME: true } → SendEnv (chuyển biến local cùng tên)
+//  - remoteCommand: lệnh chạy khi vào phiên tương tác (vd "sudo -i", "tmux attach || tmux")
+//  - cwd: thư mục làm việc trên server
+// Chuỗi rỗng ở server nghĩa là bỏ giá trị kế thừa từ defaults.
+
+// Option do sshm tự quản lý, không cho ghi đè
+export const RESERVED_OPTIONS = [
+  'HostName', 'User', 'Port', 'IdentityFile', 'IdentitiesOnly', 'IdentityAgent', 'ProxyJump', 'ProxyCommand',
+  'StrictHostKeyChecking', 'UserKnownHostsFile', 'PermitLocalCommand', 'LocalCommand', 'PubkeyAuthentication',
+  'SetEnv', 'SendEnv', 'RemoteCommand', 'RequestTTY', 'Include', 'Host', 'Match'
+];
+
+const RESERVED = new Set(RESERVED_OPTIONS.map(k => k.toLowerCase()));
+
+export function isReservedOption(key) {
+  return RESERVED.has(String(key).toLowerCase());
+}
+
+// "Key=Value" -> [Key, Value]; value rỗng = bỏ option
+export function parseOptionPair(pair) {
+  const match = /^([A-Za-z][A-Za-z0-9]*)\s*[=\s]\s*(.*)$/.exec(String(pair).trim());
+  if (!match) throw new ValidationError(t('options.badOption', { pair }), { field: 'sshOptions' });
+  if (isReservedOption(match[1])) {
+    throw new ValidationError(t('options.reserved', { key: match[1] }), { field: 'sshOptions' });
+  }
+  return [match[1], match[2].trim()];
+}
+
+// "NAME=value" -> [NAME, value], "NAME" -> [NAME, true] (chuyển biến local)
+export function parseEnvPair(pair) {
+  const match = /^([A-Za-z_][A-Za-z0-9_]*)(?:=(.*))?$/.exec(String(pair).trim());
+  if (!match) throw new ValidationError(t('options.badEnv', { pair }), { field: 'env' });
+  return [match[1], match[2] === undefined ? true : match[2]];
+}
+
+// Áp danh sách "Key=Value" vào map sshOptions (không phân biệt hoa thường key, value rỗng = xóa)
+export function applyOptionPairs(current = {}, pairs = []) {
+  const result = { ...current };
+  for (const pair of pairs) {
+    const [key, value] = parseOptionPair(pair);
+    for (const existing of Object.keys(result)) {
+      if (existing.toLowerCase() === key.toLowerCase()) delete result[existing];
+    }
+    if (value !== '') result[key] = value;
+  }
+  return result;
+}
+
+export function applyEnvPairs(current = {}, pairs = [], unset = []) {
+  const result = { ...current };
+  for (const pair of pairs) {
+    const [name, value] = parseEnvPair(pair);
+    result[name] = value;
+  }
+  for (const name of unset) delete result[name];
+  return result;
+}
+
+function mergeOptions(base = {}, override = {}) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    for (const existing of Object.keys(result)) {
+      if (existing.toLowerCase() === key.toLowerCase()) delete result[existing];
+    }
+    result[key] = value;
+  }
+  return Object.fromEntries(Object.entries(result).filter(([, value]) => value !== '' && value !== null));
+}
+
+// Giá trị hiệu lực của server sau khi kế thừa defaults
+export function serverOptions(server, settings = {}) {
+  const defaults = settings.defaults || {};
+  const pick = field => (server[field] !== undefined ? server[field] : defaults[field]) || null;
+  return {
+    sshOptions: mergeOptions(defaults.sshOptions, server.sshOptions),
+    env: mergeOptions(defaults.env, server.env),
+    remoteCommand: pick('remoteCommand'),
+    cwd: pick('cwd')
+  };
+}
+
+// Option ssh_config tương ứng (SetEnv/SendEnv chỉ có ý nghĩa với target)
+export function configOptions(effective, { target = false } = {}) {
+  const options = { ...effective.sshOptions };
+  if (target) {
+    const set = Object.entries(effective.env).filter(([, v]) => v !== true).map(([k, v]) => `${k}=${v}`);
+    const send = Object.entries(effective.env).filter(([, v]) => v === true).map(([k]) => k);
+    if (set.length > 0) options.SetEnv = set;
+    if (send.length > 0) options.SendEnv = send;
+  }
+  return options;
+}
+
+function quoteRemote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+// Lệnh chạy trên server khi vào phiên tương tác, null nếu chỉ mở shell như thường
+export function startupCommand(effective) {
+  const { remoteCommand, cwd } = effective;
+  if (!remoteCommand && !cwd) return null;
+  // giữ ~ không quote để shell phía server tự mở rộng
+  const dir = cwd && (cwd === '~' ? '~' : cwd.startsWith('~/') ? `~/${quoteRemote(cwd.slice(2))}` : quoteRemote(cwd));
+  const command = remoteCommand || 'exec "${SHELL:-/bin/sh}" -l';
+  return dir ? `cd ${dir} && { ${command}; }` : command;
+}
@@ -0,0 +1,79 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Mọi dữ liệu của sshm nằm dưới sshmHome (~/.sshm, đổi bằng biến môi trường SSHM_HOME).
+// Profile "default" dùng thẳng sshmHome (tương thích bản cũ), profile khác có thư mục riêng
+// <sshmHome>/profiles/<name> với config, credentials, keys, lịch sử... hoàn toàn tách biệt.
+// Profile đang dùng: --profile > SSHM_PROFILE > profile chọn bằng `sshm profile use` (file <sshmHome>/profile).
+// Các đường dẫn bên dưới là live binding của ES module: đổi profile (useProfile) thì mọi module thấy ngay.
+
+export const DEFAULT_PROFILE = 'default';
+
+export const sshmHome = process.env.SSHM_HOME ? path.resolve(expandHome(process.env.SSHM_HOME)) : path.join(os.homedir(), '.sshm');
+export const profilesDir = path.join(sshmHome, 'profiles');
+export const currentProfilePath = path.join(sshmHome, 'profile');
+// SSHM_PROFILE của shell lúc khởi động (useProfile không đổi biến môi trường của process)
+export const envProfile = process.env.SSHM_PROFILE || null;
+
+export let profile;
+export let configDir;
+export let configPath;
+export let credentialPath;
+export let sessionPath;
+export let keysDir;
+export let runDir;
+export let tunnelsDir;
+export let historyPath;
+export let recordingsDir;
+export let backupsDir;
+export let syncRepoDir;
+export let catalogsDir;
+export let knownHostsPath;
+export const userKnownHostsPath = path.join(os.homedir(), '.ssh', 'known_hosts');
+export const userSshConfigPath = path.join(os.homedir(), '.ssh', 'config');
+
+export function profileDir(name) {
+  return name === DEFAULT_PROFILE ? sshmHome : path.join(profilesDir, name);
+}
+
+// Profile đã chọn bằng `sshm profile use`
+export function savedProfile() {
+  try {
+    return fs.readFileSync(currentProfilePath, 'utf8').trim() || DEFAULT_PROFILE;
+  } catch (e) {
+    return DEFAULT_PROFILE;
+  }
+}
+
+// Chuyển process hiện tại sang profile. Chỉ đổi state của module: process con cần profile
+// (supervisor của tunnel) được truyền SSHM_PROFILE lúc spawn.
+export function useProfile(name) {
+  profile = name;
+  configDir = profileDir(name);
+  configPath = path.join(configDir, 'config.json');
+  credentialPath = path.join(configDir, 'credentials.json');
+  sessionPath = path.join(configDir, 'session.json');
+  keysDir = path.join(configDir, 'keys');
+  runDir = path.join(configDir, 'run');
+  tunnelsDir = path.join(configDir, 'tunnels');
+  historyPath = path.join(configDir, 'history.jsonl');
+  recordingsDir = path.join(configDir, 'recordings');
+  backupsDir = path.join(configDir, 'backups');
+  syncRepoDir = path.join(configDir, 'sync');
+  catalogsDir = path.join(configDir, 'catalogs');
+  knownHostsPath = path.join(configDir, 'known_hosts');
+}
+
+useProfile(envProfile || savedProfile());
+
+// expand ~ to home
+export function expandHome(p) {
+  return p ? p.replace(/^~(?=$|\/)/, os.homedir()) : p;
+}
+
+// Ngược lại với expandHome: đường dẫn trong home được ghi dạng ~/...
+export function tildePath(p) {
+  const home = os.homedir();
+  return p === home || p.startsWith(`${home}/`) ? `~${p.slice(home.length)}` : p;
+}
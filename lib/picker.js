@@ -0,0 +1,58 @@
+import inquirer from 'inquirer';
+import autocomplete from 'inquirer-autocomplete-prompt';
+import { groupServers, selectServers, serverTags } from './select.js';
+import { lastUsed } from './history.js';
+import { profile } from './paths.js';
+import { t } from './i18n.js';
+
+// Picker chọn server: gõ để lọc mờ, nhóm theo group, server dùng gần đây lên đầu
+inquirer.registerPrompt('autocomplete', autocomplete);
+
+function timeAgo(iso) {
+  const minutes = Math.floor((Date.now() - new Date(iso).getTime()) / 60000);
+  if (minutes < 1) return t('picker.justNow');
+  if (minutes < 60) return t('picker.minutesAgo', { count: minutes });
+  if (minutes < 60 * 24) return t('picker.hoursAgo', { count: Math.floor(minutes / 60) });
+  return t('picker.daysAgo', { count: Math.floor(minutes / 60 / 24) });
+}
+
+function choiceLabel(server, used) {
+  const tags = serverTags(server);
+  return [
+    server.name,
+    `(${server.user}@${server.host}:${server.port || '22'})`,
+    tags.length > 0 ? `[${tags.join(', ')}]` : '',
+    used ? `· ${timeAgo(used)}` : ''
+  ].filter(Boolean).join(' ');
+}
+
+export async function pickServer(servers, message = t('picker.pick')) {
+  const recent = lastUsed();
+  const grouped = servers.some(s => s.group);
+
+  const { name } = await inquirer.prompt([{
+    type: 'autocomplete',
+    name: 'name',
+    // profile đang dùng ở đầu prompt để không nhầm bộ server
+    message: `[${profile}] ${message}`,
+    pageSize: 15,
+    emptyText: t('picker.empty'),
+    source: async (answers, input) => groupServers(servers, { query: input || '', recent }).flatMap(({ group, servers: list }) => [
+      ...(grouped ? [new inquirer.Separator(`── ${group || t('picker.otherGroup')} ──`)] : []),
+      ...list.map(server => ({ name: choiceLabel(server, recent[server.name]), value: server.name }))
+    ])
+  }]);
+  return name;
+}
+
+// Tìm một server từ tham số [name]: tên chính xác, glob hoặc tag:/group: selector.
+// Khớp nhiều server thì hiện picker trong số đó, không truyền gì thì hiện picker toàn bộ.
+export async function resolveServer(servers, selector, message) {
+  if (!selector) return servers.length > 0 ? pickServer(servers, message) : null;
+  if (servers.some(s => s.name === selector)) return selector;
+
+  const matched = selectServers(servers, selector);
+  if (matched.length === 0) return null;
+  if (matched.length === 1) return matched[0].name;
+  return pickServer(matched, message);
+}
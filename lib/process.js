@@ -0,0 +1,27 @@
+import { spawn } from 'child_process';
+
+// Chạy lệnh, gom stdout/stderr. Không reject khi exit code khác 0 (caller tự kiểm tra).
+export function capture(command, args = [], { input, timeout, env } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'], env: env || process.env });
+    let stdout = '';
+    let stderr = '';
+    let timer = null;
+    if (timeout) {
+      timer = setTimeout(() => child.kill('SIGTERM'), timeout);
+    }
+    child.stdout.on('data', d => { stdout += d; });
+    child.stderr.on('data', d => { stderr += d; });
+    child.on('error', (error) => {
+      if (timer) clearTimeout(timer);
+      reject(error);
+    });
+    child.on('close', (code, signal) => {
+      if (timer) clearTimeout(timer);
+      resolve({ code, signal, stdout, stderr });
+    });
+    // lệnh không đọc stdin có thể thoát trước khi ghi xong
+    child.stdin.on('error', () => {});
+    child.stdin.end(input ?? '');
+  });
+}
@@ -0,0 +1,134 @@
+import fs from 'fs';
+import path from 'path';
+import { DEFAULT_PROFILE, sshmHome, profilesDir, currentProfilePath, profile, profileDir, savedProfile, useProfile } from './paths.js';
+import { writeFileAtomic } from './files.js';
+import { ValidationError, NotFoundError, ConflictError } from './errors.js';
+import { createBackend } from './backends/index.js';
+import { SECRET_KINDS, SYNC_PASSPHRASE_ID, secretId, secretNamespace } from './store.js';
+import { t } from './i18n.js';
+
+// Profile = bộ server/credentials/keys riêng (cá nhân, công ty, từng khách hàng...), không dùng chung gì với nhau.
+// Thư mục và cách chọn profile: xem lib/paths.js.
+
+export function validateProfileName(name) {
+  if (!name || !name.trim()) return t('profile.nameEmpty');
+  if (!/^[A-Za-z0-9._-]+$/.test(name) || name.startsWith('.')) return t('profile.nameChars');
+  return true;
+}
+
+export function profileExists(name) {
+  return name === DEFAULT_PROFILE || fs.existsSync(profileDir(name));
+}
+
+// Đọc thẳng config.json của profile (không phải profile đang dùng), lỗi thì coi như rỗng
+function readProfileConfig(dir) {
+  try {
+    const raw = JSON.parse(fs.readFileSync(path.join(dir, 'config.json'), 'utf8'));
+    const servers = Array.isArray(raw) ? raw : raw.servers;
+    return {
+      servers: Array.isArray(servers) ? servers : [],
+      settings: (!Array.isArray(raw) && raw.settings) || {}
+    };
+  } catch (e) {
+    return { servers: [], settings: {} };
+  }
+}
+
+function countServers(dir) {
+  return readProfileConfig(dir).servers.length;
+}
+
+// [{ name, dir, active, saved, servers }], profile mặc định luôn đứng đầu
+export function listProfiles() {
+  let names = [];
+  try {
+    names = fs.readdirSync(profilesDir, { withFileTypes: true })
+      .filter(d => d.isDirectory() && validateProfileName(d.name) === true && d.name !== DEFAULT_PROFILE)
+      .map(d => d.name)
+      .sort();
+  } catch (e) { /* chưa có profile nào */ }
+  const saved = savedProfile();
+  return [DEFAULT_PROFILE, ...names].map(name => ({
+    name,
+    dir: profileDir(name),
+    active: name === profile,
+    saved: name === saved,
+    servers: countServers(profileDir(name))
+  }));
+}
+
+function checkExisting(name) {
+  const valid = validateProfileName(name);
+  if (valid !== true) throw new ValidationError(valid, { field: 'profile' });
+  if (!profileExists(name)) throw new NotFoundError(t('profile.notFound', { name }), { profile: name });
+}
+
+// Chuyển process hiện tại sang profile đã có (dùng cho --profile / SSHM_PROFILE và API)
+export function switchProfile(name) {
+  checkExisting(name);
+  useProfile(name);
+  return profileDir(name);
+}
+
+export function createProfile(name) {
+  const valid = validateProfileName(name);
+  if (valid !== true) throw new ValidationError(valid, { field: 'profile' });
+  if (profileExists(name)) throw new ConflictError(t('profile.exists', { name }), { profile: name });
+  const dir = profileDir(name);
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  return dir;
+}
+
+// Profile mặc định cho các lần chạy sau (SSHM_PROFILE / --profile vẫn được ưu tiên)
+export function setSavedProfile(name) {
+  checkExisting(name);
+  fs.mkdirSync(sshmHome, { recursive: true, mode: 0o700 });
+  if (name === DEFAULT_PROFILE) {
+    try { fs.unlinkSync(currentProfilePath); } catch (e) { /* ignore */ }
+  } else {
+    writeFileAtomic(currentProfilePath, `${name}\n`);
+  }
+}
+
+// Ném lỗi nếu profile không xóa được (không tồn tại, mặc định hoặc đang dùng)
+export function checkRemovable(name) {
+  checkExisting(name);
+  if (name === DEFAULT_PROFILE) throw new ValidationError(t('profile.rmDefault'), { field: 'profile' });
+  if (name === profile || name === savedProfile()) {
+    throw new ValidationError(t('profile.rmInUse', { name }), { field: 'profile' });
+  }
+}
+
+// Secret của profile nằm ngoài thư mục profile (keyring, lệnh ngoài) phải xóa riêng.
+// Trả về [{ backend, error }] cho backend không xóa được (vd. keytar không có).
+async function removeProfileSecrets(name, dir) {
+  const { servers, settings } = readProfileConfig(dir);
+  const defaultBackend = settings.credentialBackend || 'file';
+  const namespace = secretNamespace(name);
+  const failed = [];
+
+  const used = new Set([defaultBackend, ...servers.map(s => s.credentialBackend || defaultBackend)]);
+  for (const backendName of used) {
+    if (backendName === 'file') continue;
+    try {
+      const backend = createBackend(backendName, { commands: settings.commandBackend, namespace });
+      // keyring liệt kê được mọi entry của profile, command backend thì xóa theo id đã biết
+      const ids = backend.list
+        ? await backend.list()
+        : [SYNC_PASSPHRASE_ID, ...servers.flatMap(s => [s.name, ...SECRET_KINDS.map(kind => secretId(s.name, kind))])];
+      for (const id of ids) await backend.delete(id);
+    } catch (error) {
+      failed.push({ backend: backendName, error: error.message });
+    }
+  }
+  return failed;
+}
+
+// Xóa cả thư mục profile (config, credentials, keys, lịch sử...) và secret trong keyring/command backend
+export async function removeProfile(name) {
+  checkRemovable(name);
+  const dir = profileDir(name);
+  const failed = await removeProfileSecrets(name, dir);
+  fs.rmSync(dir, { recursive: true, force: true });
+  return { dir, failed };
+}
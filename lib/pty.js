@@ -0,0 +1,249 @@
+import crypto from 'crypto';
+import pty from 'node-pty';
+import { totp } from './totp.js';
+import { t } from './i18n.js';
+
+// Driver pty cho ssh/scp/sftp: tự trả lời prompt password / passphrase / OTP từ secret đã lưu
+// rồi trả terminal lại cho người dùng. Secret chỉ được ghi vào pty, không bao giờ nằm trong argv.
+
+const PROMPTS = [
+  // Enter passphrase for key '/home/me/.ssh/id_ed25519':
+  { kind: 'passphrase', re: /passphrase for key '([^']+)':\s*$/i },
+  // me@host's password:
+  { kind: 'password', re: /([^\s'()]+@[^\s'()]+)'s password:\s*$/i },
+  // keyboard-interactive: "(me@host) Password:" hoặc "Password:"
+  { kind: 'password', re: /(?:\(([^\s()]+@[^\s()]+)\)\s*)?password:\s*$/i },
+  // keyboard-interactive OTP: "Verification code:", "One-time password (OATH) for ...:"
+  { kind: 'otp', re: /(?:\(([^\s()]+@[^\s()]+)\)\s*)?(?:verification code|one-time password|otp|token code|authenticator code)[^:\n]*:\s*$/i }
+];
+
+const TAIL_SIZE = 512;
+
+export function detectPrompt(text) {
+  for (const prompt of PROMPTS) {
+    const match = prompt.re.exec(text);
+    if (match) return { kind: prompt.kind, identity: match[1] || null };
+  }
+  return null;
+}
+
+// answers: [{ kind: 'password'|'passphrase'|'otp', match?: 'user@host' | keyPath, value }]
+// Prompt có identity được ghép với answer có match tương ứng, nếu không thì lấy answer
+// đầu tiên cùng kind chưa dùng. Mỗi answer chỉ được gửi một lần.
+export function createResponder(answers = []) {
+  const used = new Set();
+
+  return function respond(prompt) {
+    const candidates = answers.filter(a => a.kind === prompt.kind && a.value);
+    let answer = prompt.identity ? candidates.find(a => a.match === prompt.identity) : null;
+    if (!answer) answer = candidates.find(a => !used.has(a) && (!a.match || !prompt.identity));
+    if (!answer) {
+      const rejected = candidates.some(a => used.has(a) && (!prompt.identity || a.match === prompt.identity));
+      return { rejected };
+    }
+    if (used.has(answer)) return { rejected: true };
+    used.add(answer);
+    return { value: answer.kind === 'otp' ? totp(answer.value) : answer.value };
+  };
+}
+
+// Marker in ra bởi ssh LocalCommand ngay sau khi xác thực thành công
+export function createReadyMarker() {
+  const token = `SSHM_READY_${crypto.randomBytes(8).toString('hex')}`;
+  return {
+    token,
+    sshOptions: ['-o', 'PermitLocalCommand=yes', '-o', `LocalCommand=printf ${token}`]
+  };
+}
+
+// Phần cuối của chuỗi có thể là đầu của marker (bị cắt giữa hai chunk)
+function partialMarkerLength(text, token) {
+  for (let len = Math.min(token.length - 1, text.length); len > 0; len--) {
+    if (token.startsWith(text.slice(-len))) return len;
+  }
+  return 0;
+}
+
+export function spawnPty(command, args, options = {}) {
+  return pty.spawn(command, args, {
+    name: process.env.TERM || 'xterm-256color',
+    cols: process.stdout.columns || 80,
+    rows: process.stdout.rows || 24,
+    cwd: process.cwd(),
+    env: process.env,
+    ...options
+  });
+}
+
+// Lọc output của pty cho tới khi đăng nhập xong: tự trả lời prompt và cắt marker.
+// marker: nếu có, ngừng tự trả lời sau khi thấy marker (đã đăng nhập xong).
+// onSecret(value): được gọi với mỗi secret đã gửi vào pty (vd để lọc khỏi bản ghi phiên).
+// Trả về filter(chunk) -> phần output hiển thị cho người dùng; filter.flush() trả phần còn giữ lại khi pty thoát.
+export function createLoginFilter(proc, { answers = [], marker = null, onSecret = null } = {}) {
+  const respond = createResponder(answers);
+  let ready = false;
+  let tail = '';
+  let held = '';
+  let warned = false;
+
+  const filter = (chunk) => {
+    let data = held + chunk;
+    held = '';
+
+    if (marker && !ready) {
+      const idx = data.indexOf(marker.token);
+      if (idx !== -1) {
+        ready = true;
+        return data.slice(0, idx) + data.slice(idx + marker.token.length);
+      }
+      const partial = partialMarkerLength(data, marker.token);
+      if (partial > 0) {
+        held = data.slice(-partial);
+        data = data.slice(0, -partial);
+      }
+    }
+    if (ready) return data;
+
+    tail = (tail + data).slice(-TAIL_SIZE);
+    const prompt = detectPrompt(tail);
+    if (!prompt) return data;
+    tail = '';
+
+    const result = respond(prompt);
+    if (result.value !== undefined) {
+      if (onSecret) onSecret(result.value);
+      proc.write(result.value + '\r');
+    } else if (result.rejected && !warned) {
+      warned = true;
+      return `${data}\r\n${t('pty.rejected')}\r\n`;
+    }
+    return data;
+  };
+  filter.flush = () => {
+    const rest = held;
+    held = '';
+    return rest;
+  };
+  return filter;
+}
+
+// Chạy lệnh trong pty, gắn stdin/stdout của người dùng và tự trả lời prompt (xem createLoginFilter).
+export function runInteractive(command, args, { answers = [], marker = null, onOutput = null, onSecret = null } = {}) {
+  return new Promise((resolve, reject) => {
+    let proc;
+    try {
+      proc = spawnPty(command, args);
+    } catch (error) {
+      reject(error);
+      return;
+    }
+
+    const filter = createLoginFilter(proc, { answers, marker, onSecret });
+    const stdin = process.stdin;
+
+    const output = (data) => {
+      if (!data) return;
+      process.stdout.write(data);
+      if (onOutput) onOutput(data);
+    };
+
+    const onInput = (data) => {
+      try { proc.write(data.toString()); } catch (e) { /* ignore */ }
+    };
+    const onResize = () => {
+      try { proc.resize(process.stdout.columns, process.stdout.rows); } catch (e) { /* ignore */ }
+    };
+
+    proc.onData(chunk => output(filter(chunk)));
+    if (stdin.isTTY) stdin.setRawMode(true);
+    stdin.resume();
+    stdin.on('data', onInput);
+    process.stdout.on('resize', onResize);
+
+    proc.onExit(({ exitCode }) => {
+      output(filter.flush());
+      stdin.removeListener('data', onInput);
+      process.stdout.removeListener('resize', onResize);
+      try {
+        if (stdin.isTTY) stdin.setRawMode(false);
+      } catch (e) { /* ignore */ }
+      stdin.pause();
+      resolve(exitCode);
+    });
+  });
+}
+
+// Chạy lệnh không tương tác trong pty (cần khi phải tự trả lời prompt password).
+// Output trước marker (prompt đăng nhập) bị bỏ; prompt không trả lời được sẽ bị timeout.
+// Kết quả { code, error, failure, prompt }: failure là lý do sshm tự dừng ssh (PTY_FAILURES), null nếu không có;
+// prompt là loại prompt không trả lời được (password, passphrase, otp).
+// Lý do runPtyCommand dừng ssh → key thông báo
+export const PTY_FAILURES = {
+  timeout: 'pty.authTimeout',
+  rejected: 'pty.secretRejected',
+  'no-secret': 'pty.noSecret'
+};
+
+export function runPtyCommand(command, args, { answers = [], marker, onData = null, onSpawn = null, onReady = null, authTimeout = 30000 } = {}) {
+  return new Promise((resolve, reject) => {
+    let proc;
+    try {
+      proc = spawnPty(command, args, { cols: 200, rows: 50 });
+    } catch (error) {
+      reject(error);
+      return;
+    }
+    if (onSpawn) onSpawn(proc);
+
+    const respond = createResponder(answers);
+    let ready = !marker;
+    let buffer = '';
+    let failure = null;
+    let failedPrompt = null;
+
+    const timer = marker ? setTimeout(() => {
+      failure = 'timeout';
+      try { proc.kill(); } catch (e) { /* ignore */ }
+    }, authTimeout) : null;
+
+    proc.onData((chunk) => {
+      const data = chunk.replace(/\r\n/g, '\n');
+      if (ready) {
+        if (onData) onData(data);
+        return;
+      }
+      buffer += data;
+      const idx = buffer.indexOf(marker.token);
+      if (idx !== -1) {
+        ready = true;
+        clearTimeout(timer);
+        if (onReady) onReady();
+        const rest = buffer.slice(idx + marker.token.length);
+        buffer = '';
+        if (rest && onData) onData(rest);
+        return;
+      }
+      buffer = buffer.slice(-TAIL_SIZE);
+      const prompt = detectPrompt(buffer);
+      if (!prompt) return;
+      buffer = '';
+      const result = respond(prompt);
+      if (result.value !== undefined) {
+        proc.write(result.value + '\r');
+      } else {
+        failure = result.rejected ? 'rejected' : 'no-secret';
+        failedPrompt = prompt.kind;
+        try { proc.kill(); } catch (e) { /* ignore */ }
+      }
+    });
+
+    proc.onExit(({ exitCode }) => {
+      if (timer) clearTimeout(timer);
+      // chưa đăng nhập được thì phần buffer còn lại là thông báo lỗi của ssh
+      const error = failure
+        ? t(PTY_FAILURES[failure], { prompt: failedPrompt })
+        : (!ready && buffer.trim() ? buffer.trim() : null);
+      resolve({ code: failure ? 255 : exitCode, error, failure, prompt: failedPrompt });
+    });
+  });
+}
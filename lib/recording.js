@@ -0,0 +1,158 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { recordingsDir, expandHome } from './paths.js';
+import { t } from './i18n.js';
+
+// Ghi phiên SSH theo định dạng asciicast v2 (https://docs.asciinema.org/manual/asciicast/v2/),
+// phát lại được bằng `sshm replay` hoặc asciinema. Chỉ ghi output của terminal;
+// mọi secret sshm đã gửi vào pty (password, passphrase, mã OTP) bị thay bằng MASK nếu xuất hiện trong output.
+
+const MASK = '********';
+
+function stamp(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+// Phần cuối của text có thể là đầu của một secret (bị cắt giữa hai chunk)
+function partialSecretLength(text, secrets) {
+  let longest = 0;
+  for (const secret of secrets) {
+    for (let len = Math.min(secret.length - 1, text.length); len > longest; len--) {
+      if (secret.startsWith(text.slice(-len))) {
+        longest = len;
+        break;
+      }
+    }
+  }
+  return longest;
+}
+
+// <server>-<thời điểm>-<hậu tố ngẫu nhiên>.cast, tạo mới độc quyền ('wx'): hai phiên mở cùng giây
+// không bao giờ ghi chung một file
+function openRecordingFile(server, started) {
+  for (;;) {
+    const file = path.join(recordingsDir, `${server.name}-${stamp(started)}-${crypto.randomBytes(3).toString('hex')}.cast`);
+    try {
+      return { file, fd: fs.openSync(file, 'wx', 0o600) };
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+  }
+}
+
+// secrets: giá trị biết trước cần lọc (password, passphrase...), thêm sau bằng recorder.secret()
+export function createRecorder(server, { cols, rows, secrets = [] } = {}) {
+  fs.mkdirSync(recordingsDir, { recursive: true, mode: 0o700 });
+  const started = new Date();
+  const { file, fd } = openRecordingFile(server, started);
+  const known = new Set(secrets.filter(Boolean).map(String));
+  let held = '';
+
+  const elapsed = () => Number(((Date.now() - started.getTime()) / 1000).toFixed(6));
+  const event = (type, data) => fs.writeSync(fd, JSON.stringify([elapsed(), type, data]) + '\n');
+
+  const scrub = (text) => {
+    let result = text;
+    for (const secret of known) result = result.split(secret).join(MASK);
+    return result;
+  };
+
+  fs.writeSync(fd, JSON.stringify({
+    version: 2,
+    width: cols || 80,
+    height: rows || 24,
+    timestamp: Math.floor(started.getTime() / 1000),
+    title: `sshm ${server.name} (${server.user}@${server.host})`,
+    env: { TERM: process.env.TERM || 'xterm-256color', SHELL: process.env.SHELL || null }
+  }) + '\n');
+
+  return {
+    file,
+    secret(value) {
+      if (value) known.add(String(value));
+    },
+    output(data) {
+      let text = held + data;
+      held = '';
+      const partial = partialSecretLength(text, known);
+      if (partial > 0) {
+        held = text.slice(-partial);
+        text = text.slice(0, -partial);
+      }
+      if (text) event('o', scrub(text));
+    },
+    resize(width, height) {
+      event('r', `${width}x${height}`);
+    },
+    close() {
+      if (held) event('o', scrub(held));
+      held = '';
+      fs.closeSync(fd);
+    }
+  };
+}
+
+// Đọc file .cast: { header, events: [[time, type, data]] }
+export function readRecording(file) {
+  const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+  if (lines.length === 0) throw new Error(t('recording.empty', { file }));
+  let header;
+  try {
+    header = JSON.parse(lines[0]);
+  } catch (e) {
+    header = null;
+  }
+  if (!header || header.version !== 2) throw new Error(t('recording.notCast', { file }));
+  const events = [];
+  for (const line of lines.slice(1)) {
+    try {
+      events.push(JSON.parse(line));
+    } catch (e) {
+      // dòng cuối có thể bị cắt nếu phiên bị ngắt đột ngột
+    }
+  }
+  return { header, events };
+}
+
+// Tên file trong ~/.sshm/recordings hoặc đường dẫn bất kỳ
+export function resolveRecording(name) {
+  const direct = expandHome(name);
+  if (fs.existsSync(direct)) return direct;
+  for (const candidate of [name, `${name}.cast`]) {
+    const file = path.join(recordingsDir, candidate);
+    if (fs.existsSync(file)) return file;
+  }
+  return null;
+}
+
+export function listRecordings() {
+  if (!fs.existsSync(recordingsDir)) return [];
+  return fs.readdirSync(recordingsDir)
+    .filter(f => f.endsWith('.cast'))
+    .map(f => {
+      const file = path.join(recordingsDir, f);
+      const info = { file: f, server: f.replace(/-\d{8}-\d{6}(-[0-9a-f]+)?\.cast$/, ''), start: null, durationMs: null, size: fs.statSync(file).size };
+      try {
+        const { header, events } = readRecording(file);
+        info.start = new Date(header.timestamp * 1000).toISOString();
+        info.durationMs = events.length > 0 ? Math.round(events[events.length - 1][0] * 1000) : 0;
+      } catch (e) { /* file hỏng vẫn được liệt kê để xóa */ }
+      return info;
+    })
+    .sort((a, b) => (b.start || '').localeCompare(a.start || ''));
+}
+
+// Phát lại output theo nhịp gốc. speed: hệ số tốc độ, idleLimit: giới hạn khoảng lặng (giây)
+export async function replayRecording(file, { speed = 1, idleLimit = null, write = data => process.stdout.write(data) } = {}) {
+  const { events } = readRecording(file);
+  let previous = 0;
+  for (const [time, type, data] of events) {
+    let wait = Math.max(0, time - previous);
+    previous = time;
+    if (idleLimit !== null) wait = Math.min(wait, idleLimit);
+    if (wait > 0) await new Promise(resolve => setTimeout(resolve, (wait * 1000) / speed));
+    if (type === 'o') write(data);
+  }
+}
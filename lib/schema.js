@@ -0,0 +1,127 @@
+// Schema của config.json:
+// { version, servers: [{ name, host, user, port, ... }], settings: {...}, deleted: { name: time } }
+// inspectConfig vừa kiểm tra vừa sửa: trả về bản đã bỏ các phần sai cùng danh sách lỗi tìm thấy,
+// nên `sshm config doctor --fix` và thông báo lỗi khi đọc config luôn khớp nhau.
+// Field không biết được giữ nguyên (config của bản sshm mới hơn cùng version).
+
+import { t } from './i18n.js';
+
+export const CONFIG_VERSION = 1;
+
+const isObject = v => !!v && typeof v === 'object' && !Array.isArray(v);
+const isString = v => typeof v === 'string';
+const isStringList = v => Array.isArray(v) && v.every(isString);
+
+const TEXT = [isString, 'schema.text'];
+
+// [kiểm tra, key thông báo]; null = field bị bỏ (phần ghi đè server catalog)
+const SERVER_FIELDS = {
+  host: TEXT,
+  user: TEXT,
+  port: [v => v === '' || /^\d+$/.test(String(v)) && Number(v) >= 1 && Number(v) <= 65535, 'schema.port'],
+  keyPath: TEXT,
+  jump: [v => isString(v) || isStringList(v), 'schema.jump'],
+  group: TEXT,
+  tags: [isStringList, 'schema.stringList'],
+  hostKeyPolicy: TEXT,
+  credentialBackend: TEXT,
+  forwardAgent: [v => typeof v === 'boolean', 'schema.boolean'],
+  record: [v => typeof v === 'boolean', 'schema.boolean'],
+  sshOptions: [v => isObject(v) && Object.values(v).every(o => isString(o) || isStringList(o)), 'schema.sshOptions'],
+  env: [v => isObject(v) && Object.values(v).every(e => isString(e) || e === true), 'schema.env'],
+  remoteCommand: TEXT,
+  cwd: TEXT,
+  updatedAt: [v => isString(v) && !Number.isNaN(Date.parse(v)), 'schema.time']
+};
+
+const minutes = [v => typeof v === 'number' && v >= 0, 'schema.minutes'];
+
+const SETTINGS_FIELDS = {
+  vaultTimeout: minutes,
+  agentLifetime: minutes,
+  credentialBackend: TEXT,
+  hostKeyPolicy: TEXT,
+  agentMode: TEXT,
+  knownHosts: TEXT,
+  language: TEXT,
+  emoji: [v => typeof v === 'boolean', 'schema.boolean'],
+  commandBackend: [isObject, 'schema.object'],
+  sync: [isObject, 'schema.object'],
+  catalogs: [v => Array.isArray(v) && v.every(c => isObject(c) && isString(c.name) && (isString(c.url) || isString(c.path))), 'schema.catalogs'],
+  defaults: [v => isObject(v) && ['sshOptions', 'env'].every(k => v[k] === undefined || SERVER_FIELDS[k][0](v[k])), 'schema.defaults']
+};
+
+function checkFields(record, fields, where, problems) {
+  const result = { ...record };
+  for (const [key, [valid, message]] of Object.entries(fields)) {
+    if (result[key] === undefined || result[key] === null || valid(result[key])) continue;
+    problems.push(t('schema.field', { field: `${where}.${key}`, rule: t(message), value: JSON.stringify(result[key]) }));
+    delete result[key];
+  }
+  return result;
+}
+
+// raw: nội dung đã JSON.parse. Trả về { config, problems }; config = null nếu không thể sửa
+export function inspectConfig(raw) {
+  const problems = [];
+  // bản cũ lưu thẳng mảng server
+  const source = Array.isArray(raw) ? { servers: raw } : raw;
+  if (!isObject(source)) {
+    return { config: null, problems: [t('schema.notObject')] };
+  }
+  if (source.version !== undefined && (!Number.isInteger(source.version) || source.version > CONFIG_VERSION)) {
+    return {
+      config: null,
+      problems: [t('schema.version', { version: JSON.stringify(source.version), supported: CONFIG_VERSION })]
+    };
+  }
+
+  let servers = source.servers === undefined ? [] : source.servers;
+  if (!Array.isArray(servers)) {
+    problems.push(t('schema.servers'));
+    servers = [];
+  }
+  const names = new Set();
+  const validServers = [];
+  servers.forEach((server, index) => {
+    const where = `servers[${index}]`;
+    if (!isObject(server)) return problems.push(t('schema.serverObject', { where }));
+    if (!isString(server.name) || !server.name.trim()) return problems.push(t('schema.serverName', { where }));
+    if (names.has(server.name)) return problems.push(t('schema.serverDuplicate', { where, name: server.name }));
+    names.add(server.name);
+    validServers.push(checkFields(server, SERVER_FIELDS, `servers["${server.name}"]`, problems));
+  });
+
+  let settings = source.settings === undefined ? {} : source.settings;
+  if (!isObject(settings)) {
+    problems.push(t('schema.settings'));
+    settings = {};
+  }
+
+  let deleted = source.deleted === undefined ? {} : source.deleted;
+  if (!isObject(deleted)) {
+    problems.push(t('schema.deleted'));
+    deleted = {};
+  }
+  const validDeleted = {};
+  for (const [name, time] of Object.entries(deleted)) {
+    if (isString(time) && !Number.isNaN(Date.parse(time))) validDeleted[name] = time;
+    else problems.push(t('schema.deletedTime', { name }));
+  }
+
+  const { version, servers: _servers, settings: _settings, deleted: _deleted, ...rest } = source;
+  return {
+    config: {
+      version: CONFIG_VERSION,
+      ...rest,
+      servers: validServers,
+      settings: checkFields(settings, SETTINGS_FIELDS, 'settings', problems),
+      deleted: validDeleted
+    },
+    problems
+  };
+}
+
+export function validateConfig(raw) {
+  return inspectConfig(raw).problems;
+}
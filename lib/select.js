@@ -0,0 +1,89 @@
+// Chọn server theo selector, nhiều selector cách nhau bởi dấu phẩy (hợp các kết quả):
+//   tên, glob (web-*), "all", tag:<tag>, group:<group> (tag/group cũng nhận glob)
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`);
+}
+
+export function serverTags(server) {
+  if (!server.tags) return [];
+  return Array.isArray(server.tags) ? server.tags : String(server.tags).split(',').map(t => t.trim()).filter(Boolean);
+}
+
+export function parseTags(value) {
+  return [...new Set((value || '').split(',').map(t => t.trim()).filter(Boolean))];
+}
+
+export function isPattern(selector) {
+  return /[*?,]/.test(selector) || selector === 'all' || /^(tag|group):/.test(selector);
+}
+
+export function selectServers(servers, selector) {
+  const terms = String(selector).split(',').map(s => s.trim()).filter(Boolean);
+  const selected = new Set();
+
+  for (const term of terms) {
+    const match = /^(tag|group):(.*)$/.exec(term);
+    if (term === 'all') {
+      servers.forEach(s => selected.add(s));
+    } else if (match) {
+      const re = globToRegExp(match[2]);
+      servers
+        .filter(s => (match[1] === 'tag' ? serverTags(s).some(t => re.test(t)) : re.test(s.group || '')))
+        .forEach(s => selected.add(s));
+    } else if (/[*?]/.test(term)) {
+      const re = globToRegExp(term);
+      servers.filter(s => re.test(s.name)).forEach(s => selected.add(s));
+    } else {
+      servers.filter(s => s.name === term).forEach(s => selected.add(s));
+    }
+  }
+
+  // giữ thứ tự như trong config
+  return servers.filter(s => selected.has(s));
+}
+
+// Điểm khớp mờ: chuỗi con liên tiếp được ưu tiên, sau đó tới các ký tự theo thứ tự.
+// Trả về null nếu không khớp.
+export function fuzzyScore(query, text) {
+  const q = query.toLowerCase();
+  const t = String(text || '').toLowerCase();
+  if (!q) return 0;
+
+  const idx = t.indexOf(q);
+  if (idx !== -1) return 1000 - idx * 10 - (t.length - q.length);
+
+  let score = 0;
+  let last = -1;
+  for (const ch of q) {
+    const found = t.indexOf(ch, last + 1);
+    if (found === -1) return null;
+    score += found === last + 1 ? 5 : 1;
+    last = found;
+  }
+  return score;
+}
+
+export function matchServer(server, query) {
+  // khớp theo tên được ưu tiên hơn khớp theo host/group/tag
+  const byName = fuzzyScore(query, server.name);
+  if (byName !== null) return byName * 2;
+  return fuzzyScore(query, `${server.user}@${server.host} ${server.group || ''} ${serverTags(server).join(' ')}`);
+}
+
+// Lọc theo query và nhóm theo group: [{ group, servers }].
+// Trong nhóm: điểm khớp rồi tới lần dùng gần nhất; nhóm xếp theo phần tử đứng đầu.
+export function groupServers(servers, { query = '', recent = {} } = {}) {
+  const ranked = servers
+    .map((server, index) => ({ server, index, score: query ? matchServer(server, query) : 0, used: recent[server.name] || '' }))
+    .filter(r => r.score !== null)
+    .sort((a, b) => b.score - a.score || b.used.localeCompare(a.used) || a.index - b.index);
+
+  const groups = new Map();
+  for (const r of ranked) {
+    const group = r.server.group || '';
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(r.server);
+  }
+  return [...groups.entries()].map(([group, list]) => ({ group, servers: list }));
+}
@@ -0,0 +1,238 @@
+import fs from 'fs';
+import { getServers, getSettings, saveServers, savePassword, storeKeyContent, renameServer, renameJumpRefs, deleteCredential, deleteServerData, isManagedKey, managedKeyPath } from './store.js';
+import { resolveJumps } from './ssh.js';
+import { parseTags } from './select.js';
+import { renameHistory } from './history.js';
+import { applyOptionPairs, applyEnvPairs } from './options.js';
+import { expandHome } from './paths.js';
+import { ValidationError, NotFoundError, ConflictError } from './errors.js';
+import { t } from './i18n.js';
+
+// Thêm/sửa/xóa server: kiểm tra đầu vào, lưu config và secret. Không in gì ra console,
+// lỗi được ném dưới dạng lỗi có kiểu (lib/errors.js) để CLI và API dùng chung.
+//
+// auth (cách xác thực): { keyFile: '~/.ssh/id_ed25519' } | { keyContent: '-----BEGIN ...' } | { password }
+
+// Các validate* trả về true hoặc thông báo lỗi (dùng trực tiếp làm validate của inquirer)
+// Tên server, catalog, tunnel còn được dùng làm tên file/thư mục (keys, catalogs, tunnels):
+// chỉ gồm chữ, số và . _ -, không được là "." hay "..", "all" dành cho selector
+export function validateName(name, kind = 'server') {
+  if (!name || !name.trim()) return t('servers.nameEmpty', { kind });
+  if (!/^[A-Za-z0-9._-]+$/.test(name) || name === '.' || name === '..') return t('servers.nameChars', { kind });
+  if (name === 'all') return t('servers.nameReserved');
+  return true;
+}
+
+export function validateServerName(name, servers, current = null) {
+  const valid = validateName(name);
+  if (valid !== true) return valid;
+  if (name !== current && servers.some(s => s.name === name)) return t('common.serverExists', { name });
+  return true;
+}
+
+export function validateLabels(value) {
+  const bad = parseTags(value).filter(t => !/^[A-Za-z0-9._-]+$/.test(t));
+  return bad.length === 0 || t('servers.badTags', { tags: bad.join(', ') });
+}
+
+export function validatePort(port) {
+  return /^\d+$/.test(String(port)) && Number(port) > 0 && Number(port) < 65536 ? true : t('servers.badPort', { port });
+}
+
+function checkName(name, servers, current = null) {
+  if (name !== current && servers.some(s => s.name === name)) {
+    throw new ConflictError(t('common.serverExists', { name }), { server: name });
+  }
+  const result = validateServerName(name, servers, current);
+  if (result !== true) throw new ValidationError(result, { field: 'name' });
+}
+
+function check(result, field) {
+  if (result !== true) throw new ValidationError(result, { field });
+}
+
+// Áp option/env/remoteCommand/cwd lên record (server hoặc settings.defaults):
+// changes = { options: ['Key=Value'], env: ['NAME=value' | 'NAME'], unsetEnv: ['NAME'], remoteCommand, cwd }.
+// Với server, chuỗi rỗng ghi đè giá trị defaults; không có defaults thì bỏ hẳn field.
+export function applyStartupChanges(record, changes, defaults = {}) {
+  const result = { ...record };
+  if (changes.options) result.sshOptions = applyOptionPairs(record.sshOptions, changes.options);
+  if (changes.env || changes.unsetEnv) result.env = applyEnvPairs(record.env, changes.env, changes.unsetEnv);
+  for (const field of ['sshOptions', 'env']) {
+    if (result[field] && Object.keys(result[field]).length === 0) delete result[field];
+  }
+  for (const field of ['remoteCommand', 'cwd']) {
+    if (changes[field] === undefined) continue;
+    const value = changes[field].trim();
+    if (value || defaults[field]) result[field] = value;
+    else delete result[field];
+  }
+  return result;
+}
+
+function checkAuth(auth) {
+  if (auth.keyContent !== undefined) {
+    const keyContent = auth.keyContent.trim();
+    if (!keyContent) throw new ValidationError(t('servers.noKeyContent'), { field: 'keyContent' });
+    if (!keyContent.includes('PRIVATE KEY')) throw new ValidationError(t('servers.notPrivateKey'), { field: 'keyContent' });
+    auth.keyContent = keyContent;
+  } else if (auth.keyFile !== undefined) {
+    if (!fs.existsSync(expandHome(auth.keyFile))) throw new NotFoundError(t('servers.keyFileNotFound', { file: auth.keyFile }));
+  } else if (!auth.password) {
+    throw new ValidationError(t('servers.emptyPassword'), { field: 'password' });
+  }
+}
+
+// Kiểm tra jump host tồn tại và không tạo vòng lặp khi server mang cấu hình mới
+function checkJumps(server, servers, previousName = server.name) {
+  const preview = renameJumpRefs(
+    servers.map(s => (s.name === previousName ? server : { ...s })),
+    previousName,
+    server.name
+  );
+  if (!preview.includes(server)) preview.push(server);
+  resolveJumps(server.name, preview);
+}
+
+export function findServer(name, servers = getServers()) {
+  const server = servers.find(s => s.name === name);
+  if (!server) throw new NotFoundError(t('common.serverNotFound', { name }), { server: name });
+  return server;
+}
+
+// Thêm server: fields = { name, host, user, port?, group?, tags?, jump?, forwardAgent?, record?, ...startup changes }.
+// Trả về server đã lưu.
+export async function addServer(fields, auth) {
+  const servers = getServers();
+  checkName(fields.name, servers);
+  check(validatePort(fields.port || '22'), 'port');
+  if (!fields.host) throw new ValidationError(t('servers.missingHost'), { field: 'host', missing: true });
+  if (!fields.user) throw new ValidationError(t('servers.missingUser'), { field: 'user', missing: true });
+  if (!auth) throw new ValidationError(t('servers.missingAuth'), { field: 'auth', missing: true });
+  check(validateLabels([fields.group, ...(fields.tags || [])].filter(Boolean).join(',')), 'tags');
+  checkAuth(auth);
+
+  const server = {
+    name: fields.name,
+    host: fields.host,
+    user: fields.user,
+    port: String(fields.port || '22')
+  };
+  if (fields.group) server.group = fields.group;
+  if (fields.tags && fields.tags.length > 0) server.tags = fields.tags;
+  if (fields.jump && fields.jump.length > 0) server.jump = fields.jump;
+  if (fields.forwardAgent) server.forwardAgent = true;
+  if (fields.record) server.record = true;
+  Object.assign(server, applyStartupChanges({}, fields, (getSettings().defaults || {})));
+  checkJumps(server, servers);
+
+  // secret trước, record sau: backend lỗi (vd. sai passphrase vault) thì không để lại server thiếu secret,
+  // lưu record lỗi thì dọn secret/key file vừa ghi
+  try {
+    if (auth.keyContent !== undefined) {
+      server.keyPath = await storeKeyContent(server.name, auth.keyContent);
+    } else if (auth.keyFile !== undefined) {
+      server.keyPath = auth.keyFile;
+    }
+    if (auth.password !== undefined) {
+      await savePassword(server.name, auth.password);
+    }
+    servers.push(server);
+    saveServers(servers);
+  } catch (error) {
+    await deleteServerData({ ...server, keyPath: auth.keyContent !== undefined ? managedKeyPath(server.name) : null });
+    throw error;
+  }
+  return server;
+}
+
+// Cập nhật server: changes = { name?, host?, user?, port?, group?, tags?, jump?, forwardAgent?, record?, auth?,
+// options?, env?, unsetEnv?, remoteCommand?, cwd? } (xem applyStartupChanges).
+// Mọi thứ được kiểm tra trước khi ghi; đổi tên chạy trước để secret/key file đi theo tên mới.
+// Trả về server sau khi cập nhật.
+export async function updateServer(name, changes) {
+  const servers = getServers();
+  const current = findServer(name, servers);
+
+  const server = { ...current };
+  const newName = changes.name !== undefined ? changes.name : name;
+  if (current.catalog && newName !== name) {
+    throw new ValidationError(t('servers.catalogRename', { name, catalog: current.catalog }), { field: 'name', server: name });
+  }
+  checkName(newName, servers, name);
+  for (const field of ['host', 'user', 'port']) {
+    if (changes[field] === undefined) continue;
+    if (!changes[field]) throw new ValidationError(t('servers.emptyField', { field }), { field });
+    server[field] = String(changes[field]);
+  }
+  check(validatePort(server.port || '22'), 'port');
+  if (changes.jump !== undefined) {
+    if (changes.jump.length > 0) server.jump = changes.jump;
+    else delete server.jump;
+  }
+  check(validateLabels([changes.group, ...(changes.tags || [])].filter(Boolean).join(',')), 'tags');
+  if (changes.group !== undefined) server.group = changes.group;
+  if (changes.tags !== undefined) server.tags = changes.tags;
+  server.name = newName;
+  const startup = applyStartupChanges(current, changes, getSettings().defaults || {});
+  checkJumps(server, servers, name);
+  if (changes.auth) checkAuth(changes.auth);
+
+  if (newName !== name) {
+    await renameServer(name, newName);
+    renameHistory(name, newName);
+  }
+
+  // đọc lại sau khi đổi tên (keyPath/jump của server khác có thể đã đổi)
+  const latest = getServers();
+  const idx = latest.findIndex(s => s.name === newName);
+  const renamed = latest[idx];
+  const wasManaged = isManagedKey(renamed);
+  const updated = { ...renamed, host: server.host, user: server.user, port: server.port };
+  for (const field of ['group', 'tags', 'jump']) {
+    if (server[field] && server[field].length > 0) updated[field] = server[field];
+    else delete updated[field];
+  }
+  for (const flag of ['forwardAgent', 'record']) {
+    if (changes[flag] === true) updated[flag] = true;
+    else if (changes[flag] === false) delete updated[flag];
+  }
+  for (const field of ['sshOptions', 'env', 'remoteCommand', 'cwd']) {
+    if (startup[field] !== undefined) updated[field] = startup[field];
+    else delete updated[field];
+  }
+
+  const auth = changes.auth;
+  if (auth && auth.keyContent !== undefined) {
+    updated.keyPath = await storeKeyContent(newName, auth.keyContent);
+  } else if (auth && auth.keyFile !== undefined) {
+    updated.keyPath = auth.keyFile;
+  } else if (auth && auth.password !== undefined) {
+    delete updated.keyPath;
+  }
+
+  latest[idx] = updated;
+  saveServers(latest);
+
+  if (auth && auth.password !== undefined) {
+    await savePassword(newName, auth.password);
+  } else if (auth && auth.keyFile !== undefined) {
+    // password / key content cũ không còn dùng
+    try { await deleteCredential(newName); } catch (e) { /* ignore */ }
+  }
+  if (wasManaged && !isManagedKey(updated)) {
+    try { fs.unlinkSync(expandHome(managedKeyPath(newName))); } catch (e) { /* ignore */ }
+  }
+  return updated;
+}
+
+// Xóa server cùng secret và key file do sshm quản lý; server catalog chỉ mất phần chỉnh sửa cá nhân.
+// Trả về các server đã xóa.
+export async function removeServers(names) {
+  const servers = getServers();
+  for (const name of names) findServer(name, servers);
+  const removed = servers.filter(s => names.includes(s.name));
+  saveServers(servers.filter(s => !names.includes(s.name)));
+  for (const server of removed) await deleteServerData(server);
+  return removed;
+}
@@ -0,0 +1,248 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { expandHome, runDir, userSshConfigPath } from './paths.js';
+import { getServers, getSettings, getPassword, getSecret, regenerateKeyFile } from './store.js';
+import { hostKeyConfig } from './hostkeys.js';
+import { resolveAgent, loadKey } from './agent.js';
+import { serverOptions, configOptions, startupCommand, isReservedOption } from './options.js';
+import { CredentialError, NotFoundError, ValidationError } from './errors.js';
+import { warn } from './warnings.js';
+import { t } from './i18n.js';
+
+// Dựng kết nối ssh cho một server đã lưu: key/password của chính nó và của từng jump host.
+// Toàn bộ option được ghi vào một ssh_config tạm (-F) để ssh/scp/sftp dùng chung,
+// jump host được nối bằng ProxyJump giữa các Host alias trong file đó.
+
+export function jumpList(server) {
+  if (!server || !server.jump) return [];
+  return Array.isArray(server.jump) ? server.jump : String(server.jump).split(',').map(s => s.trim()).filter(Boolean);
+}
+
+// Trả về danh sách server cần cho kết nối (target + mọi jump host, đệ quy).
+// Ném lỗi nếu thiếu server hoặc có vòng lặp jump.
+export function resolveJumps(name, servers = getServers()) {
+  const byName = new Map(servers.map(s => [s.name, s]));
+  const resolved = new Map();
+
+  const visit = (current, trail) => {
+    if (trail.includes(current)) {
+      throw new ValidationError(t('ssh.jumpCycle', { chain: [...trail, current].join(' → ') }), { field: 'jump', server: trail[0] });
+    }
+    const server = byName.get(current);
+    if (!server) {
+      throw new NotFoundError(trail.length === 0
+        ? t('common.serverNotFound', { name: current })
+        : t('ssh.jumpNotFound', { name: current, by: trail[trail.length - 1] }), { server: current });
+    }
+    for (const hop of jumpList(server)) visit(hop, [...trail, current]);
+    resolved.set(current, server);
+  };
+
+  visit(name, []);
+  return [...resolved.values()];
+}
+
+// Chuỗi jump để hiển thị: bastion → inner
+export function describeChain(name, servers = getServers(), trail = []) {
+  const server = servers.find(s => s.name === name);
+  const hops = jumpList(server);
+  if (hops.length === 0) return '';
+  if (trail.includes(name)) return '⟲';
+  return hops.map(hop => {
+    const inner = describeChain(hop, servers, [...trail, name]);
+    return inner ? `${inner} → ${hop}` : hop;
+  }).join(' → ');
+}
+
+// Đường dẫn key đầy đủ, tự tái tạo từ content đã lưu nếu file bị mất/hỏng
+export async function resolveKeyPath(server) {
+  let keyPath = expandHome(server.keyPath);
+
+  // If key file doesn't exist, try to regenerate it from stored content
+  if (!fs.existsSync(keyPath)) {
+    warn(t('ssh.keyMissing', { file: keyPath }), { code: 'SSHM_KEY_MISSING', server: server.name, file: keyPath });
+    keyPath = expandHome(await regenerateKeyFile(server.name));
+    if (!fs.existsSync(keyPath)) {
+      throw new CredentialError(t('ssh.keyRegenFailed', { name: server.name }), { code: 'SSHM_KEY', server: server.name });
+    }
+  }
+
+  // Validate key file before using
+  let keyContent;
+  try {
+    keyContent = fs.readFileSync(keyPath, 'utf8');
+  } catch (e) {
+    throw new CredentialError(t('ssh.keyUnreadable', { file: keyPath }), { code: 'SSHM_KEY', server: server.name });
+  }
+  if (!keyContent.includes('BEGIN') || !keyContent.includes('PRIVATE KEY')) {
+    warn(t('ssh.keyInvalid', { file: keyPath }), { code: 'SSHM_KEY_INVALID', server: server.name, file: keyPath });
+    try {
+      keyPath = expandHome(await regenerateKeyFile(server.name));
+    } catch (error) {
+      throw new CredentialError(t('ssh.keyRegenError', { message: error.message }), { code: 'SSHM_KEY', server: server.name, cause: error });
+    }
+  }
+  return keyPath;
+}
+
+function hostAlias(server, index) {
+  return `sshm-${index}-${server.name.replace(/[^A-Za-z0-9._-]/g, '_')}`;
+}
+
+function configValue(value) {
+  const str = String(value);
+  return /[\s"#]/.test(str) ? `"${str.replace(/"/g, '\\"')}"` : str;
+}
+
+function renderConfig(blocks) {
+  const lines = ['# generated by sshm, removed when the session ends'];
+  for (const { alias, options } of blocks) {
+    lines.push(`Host ${alias}`);
+    for (const [key, value] of Object.entries(options)) {
+      if (Array.isArray(value)) {
+        if (value.length > 0) lines.push(`  ${key} ${value.map(configValue).join(' ')}`);
+      } else if (value !== undefined && value !== null && value !== '') {
+        lines.push(`  ${key} ${configValue(value)}`);
+      }
+    }
+    lines.push('');
+  }
+  // vẫn đọc ~/.ssh/config cho những gì sshm không đặt
+  if (fs.existsSync(userSshConfigPath)) {
+    lines.push('Host *', '  Include ~/.ssh/config', '');
+  }
+  return lines.join('\n');
+}
+
+const tempFiles = new Set();
+process.on('exit', () => {
+  for (const file of tempFiles) {
+    try { fs.unlinkSync(file); } catch (e) { /* ignore */ }
+  }
+});
+
+function writeConfigFile(content) {
+  fs.mkdirSync(runDir, { recursive: true, mode: 0o700 });
+  const file = path.join(runDir, `ssh_config.${process.pid}.${crypto.randomBytes(4).toString('hex')}`);
+  fs.writeFileSync(file, content, { mode: 0o600 });
+  tempFiles.add(file);
+  return file;
+}
+
+// Chuẩn bị kết nối tới server `name`.
+// Trả về { server, chain, configFile, destination, args, answers, needsPty, cleanup }
+//  - args: option chung cho ssh/scp/sftp (-F <config>)
+//  - destination: Host alias của target
+//  - answers: secret để trả lời prompt trong pty (xem lib/pty.js)
+//  - agent: socket ssh-agent đang dùng (xem lib/agent.js), null nếu không dùng
+//  - startup: lệnh khởi động cho phiên tương tác (remoteCommand/cwd, xem lib/options.js)
+// allowPrivateAgent = false khi kết nối được chuyển sang process khác (exportConnection).
+export async function prepareConnection(name, { servers = getServers(), settings = getSettings(), allowPrivateAgent = true } = {}) {
+  const involved = resolveJumps(name, servers);
+  const aliases = new Map(involved.map((s, i) => [s.name, hostAlias(s, i)]));
+  const blocks = [];
+  const answers = [];
+  const agent = involved.some(s => s.keyPath || s.forwardAgent)
+    ? await resolveAgent(settings, { allowPrivate: allowPrivateAgent })
+    : null;
+
+  for (const server of involved) {
+    const isTarget = server.name === name;
+    const options = {
+      HostName: server.host,
+      User: server.user,
+      Port: server.port || '22',
+      ...hostKeyConfig(server, settings),
+      LogLevel: 'ERROR'
+    };
+
+    if (server.keyPath) {
+      const keyPath = await resolveKeyPath(server);
+      options.IdentityFile = keyPath;
+      options.IdentitiesOnly = 'yes';
+      const passphrase = await getSecret(server.name, 'passphrase');
+      // key đã nằm trong agent thì ssh không cần hỏi passphrase
+      if (!agent || !(await loadKey(agent, keyPath, passphrase, settings))) {
+        answers.push({ kind: 'passphrase', match: keyPath, value: passphrase });
+      }
+    } else {
+      const password = await getPassword(server.name);
+      if (!password) {
+        // thường gặp với server từ catalog: định nghĩa dùng chung, secret thì mỗi người tự đặt
+        throw new CredentialError(t(isTarget ? 'ssh.noCredential' : 'ssh.noCredentialJump', { name: server.name }), { server: server.name });
+      }
+      options.PubkeyAuthentication = 'no';
+      answers.push({ kind: 'password', match: `${server.user}@${server.host}`, value: password });
+    }
+    answers.push({ kind: 'otp', match: `${server.user}@${server.host}`, value: await getSecret(server.name, 'otp') });
+
+    if (agent) options.IdentityAgent = agent;
+    // forward agent là opt-in theo từng server
+    if (isTarget && server.forwardAgent) options.ForwardAgent = agent || 'yes';
+
+    const hops = jumpList(server);
+    if (hops.length > 0) options.ProxyJump = hops.map(hop => aliases.get(hop)).join(',');
+
+    // option riêng của server/defaults (vd LogLevel) đè option mặc định, trừ option sshm quản lý
+    // (config.json sửa tay vẫn có thể chứa key reserved)
+    const extra = configOptions(serverOptions(server, settings), { target: isTarget });
+    for (const [key, value] of Object.entries(extra)) {
+      if (isReservedOption(key) && !['SetEnv', 'SendEnv'].includes(key)) continue;
+      for (const existing of Object.keys(options)) {
+        if (existing.toLowerCase() === key.toLowerCase()) delete options[existing];
+      }
+      options[key] = value;
+    }
+
+    blocks.push({ alias: aliases.get(server.name), options });
+  }
+
+  const configFile = writeConfigFile(renderConfig(blocks));
+  const cleanup = () => {
+    tempFiles.delete(configFile);
+    try { fs.unlinkSync(configFile); } catch (e) { /* ignore */ }
+  };
+
+  const filtered = answers.filter(a => a.value);
+  const target = involved.find(s => s.name === name);
+  return {
+    server: target,
+    chain: involved.filter(s => s.name !== name),
+    configFile,
+    destination: aliases.get(name),
+    args: ['-F', configFile],
+    answers: filtered,
+    needsPty: filtered.length > 0,
+    agent,
+    startup: startupCommand(serverOptions(target, settings)),
+    cleanup
+  };
+}
+
+// Dữ liệu đủ để dựng lại kết nối ở process khác (tunnel chạy nền) mà không cần mở vault
+export function exportConnection(conn) {
+  return {
+    server: { name: conn.server.name, host: conn.server.host, user: conn.server.user, port: conn.server.port },
+    config: fs.readFileSync(conn.configFile, 'utf8'),
+    destination: conn.destination,
+    answers: conn.answers
+  };
+}
+
+export function importConnection(data) {
+  const configFile = writeConfigFile(data.config);
+  return {
+    server: data.server,
+    chain: [],
+    configFile,
+    destination: data.destination,
+    args: ['-F', configFile],
+    answers: data.answers,
+    needsPty: data.answers.length > 0,
+    cleanup: () => {
+      tempFiles.delete(configFile);
+      try { fs.unlinkSync(configFile); } catch (e) { /* ignore */ }
+    }
+  };
+}
@@ -0,0 +1,221 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { expandHome, userSshConfigPath } from './paths.js';
+import { jumpList, resolveJumps } from './ssh.js';
+import { serverOptions, configOptions } from './options.js';
+import { validateName } from './servers.js';
+import { t } from './i18n.js';
+
+// Đọc/ghi OpenSSH client config (~/.ssh/config) để import/export server
+
+const MAX_INCLUDE_DEPTH = 16;
+
+function isWildcard(pattern) {
+  return /[*?!]/.test(pattern);
+}
+
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`);
+}
+
+// Host pattern list của OpenSSH: khớp nếu có pattern dương khớp và không pattern phủ định nào khớp
+function hostMatches(patterns, alias) {
+  let matched = false;
+  for (const pattern of patterns) {
+    if (pattern.startsWith('!')) {
+      if (globToRegExp(pattern.slice(1)).test(alias)) return false;
+    } else if (globToRegExp(pattern).test(alias)) {
+      matched = true;
+    }
+  }
+  return matched;
+}
+
+// Tách dòng "Key value" / "Key=value", hỗ trợ giá trị trong dấu nháy kép
+function parseLine(line) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.startsWith('#')) return null;
+  const match = /^(\S+?)(?:\s*=\s*|\s+)(.*)$/.exec(trimmed);
+  if (!match) return null;
+  const args = [];
+  const re = /"([^"]*)"|(\S+)/g;
+  let m;
+  while ((m = re.exec(match[2])) !== null) args.push(m[1] !== undefined ? m[1] : m[2]);
+  return { key: match[1].toLowerCase(), args };
+}
+
+// Mở rộng đường dẫn Include (tương đối với ~/.ssh, hỗ trợ wildcard ở tên file)
+function expandInclude(pattern) {
+  let full = expandHome(pattern);
+  if (!path.isAbsolute(full)) full = path.join(path.dirname(userSshConfigPath), full);
+  if (!isWildcard(path.basename(full))) return fs.existsSync(full) ? [full] : [];
+  const dir = path.dirname(full);
+  if (!fs.existsSync(dir)) return [];
+  const re = globToRegExp(path.basename(full));
+  return fs.readdirSync(dir).filter(f => re.test(f)).sort().map(f => path.join(dir, f));
+}
+
+// Trả về danh sách block theo thứ tự: { patterns, options: [[key, args]] }.
+// Option trước Host đầu tiên nằm trong block có pattern "*".
+export function parseSshConfig(file, { warnings = [], depth = 0 } = {}) {
+  if (depth > MAX_INCLUDE_DEPTH) {
+    warnings.push(t('import.includeTooDeep', { file }));
+    return [{ patterns: ['*'], options: [] }];
+  }
+  let block = { patterns: ['*'], options: [] };
+  const blocks = [block];
+
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+  for (const line of lines) {
+    const parsed = parseLine(line);
+    if (!parsed) continue;
+    const { key, args } = parsed;
+
+    if (key === 'host') {
+      block = { patterns: args, options: [] };
+      blocks.push(block);
+    } else if (key === 'match') {
+      warnings.push(t('import.matchSkipped', { match: args.join(' '), file }));
+      // option trong Match không áp dụng cho host nào
+      block = { patterns: [], options: [] };
+      blocks.push(block);
+    } else if (key === 'include') {
+      for (const pattern of args) {
+        for (const included of expandInclude(pattern)) {
+          const [head, ...rest] = parseSshConfig(included, { warnings, depth: depth + 1 });
+          // phần đầu file được include thuộc về block hiện tại
+          block.options.push(...head.options);
+          blocks.push(...rest);
+        }
+      }
+      // các dòng sau Include vẫn thuộc Host block hiện tại
+      block = { patterns: block.patterns, options: [] };
+      blocks.push(block);
+    } else {
+      block.options.push([key, args]);
+    }
+  }
+  return blocks;
+}
+
+// Option hiệu lực cho một alias: giá trị đầu tiên tìm thấy được dùng (như ssh)
+function effectiveOptions(blocks, alias) {
+  const options = {};
+  for (const block of blocks) {
+    if (!hostMatches(block.patterns, alias)) continue;
+    for (const [key, args] of block.options) {
+      if (!(key in options)) options[key] = args;
+    }
+  }
+  return options;
+}
+
+// Token trong HostName: %h = alias, %p = port, %r = user, %% = %
+function expandTokens(value, tokens) {
+  return value.replace(/%([%hpr])/g, (match, token) => (token === '%' ? '%' : tokens[token]));
+}
+
+// Chuyển ssh config thành danh sách server record của sshm.
+// Alias không hợp lệ làm tên server (vd. "all", "foo/bar") bị bỏ qua kèm cảnh báo.
+export function serversFromSshConfig(file, { knownNames = [] } = {}) {
+  const warnings = [];
+  const blocks = parseSshConfig(file, { warnings });
+  const aliases = [];
+  const rejected = new Set();
+  for (const block of blocks) {
+    for (const pattern of block.patterns) {
+      if (isWildcard(pattern) || aliases.includes(pattern) || rejected.has(pattern)) continue;
+      const valid = validateName(pattern);
+      if (valid === true) {
+        aliases.push(pattern);
+      } else {
+        rejected.add(pattern);
+        warnings.push(t('import.badAlias', { alias: pattern, message: valid }));
+      }
+    }
+  }
+
+  const servers = aliases.map((alias) => {
+    const options = effectiveOptions(blocks, alias);
+    const value = key => (options[key] ? options[key][0] : undefined);
+    const user = value('user') || os.userInfo().username;
+    const port = value('port') || '22';
+    const server = {
+      name: alias,
+      host: value('hostname') ? expandTokens(value('hostname'), { h: alias, p: port, r: user }) : alias,
+      user,
+      port
+    };
+    if (value('identityfile')) server.keyPath = value('identityfile');
+
+    const proxyJump = value('proxyjump');
+    if (proxyJump && proxyJump !== 'none') {
+      const hops = proxyJump.split(',').map(h => h.trim()).filter(Boolean);
+      const unknown = hops.filter(h => !aliases.includes(h) && !knownNames.includes(h));
+      if (unknown.length > 0) {
+        warnings.push(t('import.unknownJump', { alias, hops: unknown.join(',') }));
+      } else {
+        server.jump = hops;
+      }
+    }
+    if (value('proxycommand') && value('proxycommand') !== 'none') {
+      warnings.push(t('import.proxyCommand', { alias }));
+    }
+    return server;
+  });
+
+  return { servers, warnings };
+}
+
+// ProxyJump của server vừa import tạo vòng lặp (vd. a → b → a, kể cả qua server đã có):
+// bỏ jump của server đó (sửa trực tiếp trong servers) và trả về cảnh báo
+export function dropJumpCycles(names, servers) {
+  const warnings = [];
+  for (const name of names) {
+    const server = servers.find(s => s.name === name);
+    if (!server || jumpList(server).length === 0) continue;
+    try {
+      resolveJumps(name, servers);
+    } catch (error) {
+      delete server.jump;
+      warnings.push(t('import.jumpDropped', { alias: name, message: error.message }));
+    }
+  }
+  return warnings;
+}
+
+function hostAlias(name) {
+  return name.replace(/\s+/g, '_');
+}
+
+const POLICY_OPTIONS = { strict: 'ask', 'accept-new': 'accept-new', off: 'no' };
+
+function renderValue(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values.map(v => (/\s/.test(v) ? `"${v}"` : v)).join(' ');
+}
+
+// Xuất server sshm thành OpenSSH config (kèm sshOptions/env hiệu lực, đã kế thừa settings.defaults)
+export function renderSshConfig(servers, settings = {}) {
+  const lines = ['# Exported by sshm', ''];
+  for (const server of servers) {
+    lines.push(`Host ${hostAlias(server.name)}`);
+    lines.push(`  HostName ${server.host}`);
+    if (server.user) lines.push(`  User ${server.user}`);
+    if (server.port && String(server.port) !== '22') lines.push(`  Port ${server.port}`);
+    if (server.keyPath) {
+      lines.push(`  IdentityFile ${/\s/.test(server.keyPath) ? `"${server.keyPath}"` : server.keyPath}`);
+      lines.push('  IdentitiesOnly yes');
+    }
+    const hops = jumpList(server);
+    if (hops.length > 0) lines.push(`  ProxyJump ${hops.map(hostAlias).join(',')}`);
+    if (server.hostKeyPolicy) lines.push(`  StrictHostKeyChecking ${POLICY_OPTIONS[server.hostKeyPolicy]}`);
+    for (const [key, value] of Object.entries(configOptions(serverOptions(server, settings), { target: true }))) {
+      lines.push(`  ${key} ${renderValue(value)}`);
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
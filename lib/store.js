@@ -1,74 +1,260 @@
 import fs from 'fs';
-import os from 'os';
 import path from 'path';
-
-const configDir = path.join(os.homedir(), '.sshm');
-const configPath = path.join(configDir, 'config.json');
-const credentialPath = path.join(configDir, 'credentials.json');
+import { DEFAULT_PROFILE, profile, configDir, configPath, keysDir, expandHome, tildePath } from './paths.js';
+import { DEFAULT_TIMEOUT } from './vault.js';
+import { createBackend } from './backends/index.js';
+import { loadCatalogServers } from './catalog.js';
+import { writeFileAtomic, withLock } from './files.js';
+import { CONFIG_VERSION, inspectConfig } from './schema.js';
+import { SshmError, ConfigError, ConflictError, CredentialError, NotFoundError } from './errors.js';
+import { t } from './i18n.js';
+import { warn } from './warnings.js';
 
 export function ensureConfig() {
-  if (!fs.existsSync(configDir)) fs.mkdirSync(configDir, { recursive: true });
-  if (!fs.existsSync(configPath)) fs.writeFileSync(configPath, JSON.stringify({ servers: [] }, null, 2));
-  if (!fs.existsSync(credentialPath)) fs.writeFileSync(credentialPath, JSON.stringify({}));
-  
-  // Migrate old credentials format to new format
-  migrateCredentials();
+  if (!fs.existsSync(configDir)) fs.mkdirSync(configDir, { recursive: true, mode: 0o700 });
+  if (!fs.existsSync(configPath)) writeFileAtomic(configPath, JSON.stringify({ version: CONFIG_VERSION, servers: [] }, null, 2));
 }
 
-function migrateCredentials() {
-  const creds = JSON.parse(fs.readFileSync(credentialPath, 'utf8')) || {};
-  let needsUpdate = false;
-  
-  for (const [name, value] of Object.entries(creds)) {
-    // If value is a string (old format), convert to new format
-    if (typeof value === 'string') {
-      creds[name] = { type: 'password', value: value };
-      needsUpdate = true;
-    }
+// Đọc và kiểm tra config.json (bản cũ dạng mảng server vẫn đọc được)
+function loadConfig() {
+  ensureConfig();
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(t('store.configBroken', { message: error.message }));
   }
-  
-  if (needsUpdate) {
-    fs.writeFileSync(credentialPath, JSON.stringify(creds, null, 2));
-    console.log('🔄 Đã cập nhật format credentials sang phiên bản mới');
+  const { config, problems } = inspectConfig(raw);
+  if (!config) throw new ConfigError(problems[0], problems);
+  if (problems.length > 0) {
+    const list = problems.slice(0, 5).map(p => `\n  - ${p}`).join('');
+    const more = problems.length > 5 ? t('store.moreProblems', { count: problems.length - 5 }) : '';
+    throw new ConfigError(t('store.configInvalid', { list, more }), problems);
   }
+  return config;
 }
 
-export function getServers() {
-  ensureConfig();
-  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-  // Handle both old format (array) and new format (object with servers array)
-  if (Array.isArray(config)) {
+function writeConfig(config) {
+  const { config: checked, problems } = inspectConfig(config);
+  if (!checked || problems.length > 0) throw new ConfigError(t('store.saveInvalid', { problems: problems.join('; ') }), problems);
+  const content = JSON.stringify(checked, null, 2);
+  if (fs.existsSync(configPath) && fs.readFileSync(configPath, 'utf8') === content) return;
+  writeFileAtomic(configPath, content, { backup: true });
+}
+
+// Giá trị (dạng canonical) của từng server/setting/tombstone lúc process này đọc,
+// để khi lưu chỉ ghi phần caller đã đổi và giữ thay đổi của process sshm khác ghi xen vào.
+// Tách theo file config (API có thể đổi profile giữa chừng).
+const seenByFile = new Map();
+
+function seenFor(section) {
+  if (!seenByFile.has(configPath)) seenByFile.set(configPath, { servers: new Map(), settings: new Map(), deleted: new Map() });
+  return seenByFile.get(configPath)[section];
+}
+
+function remember(section, entries) {
+  const seen = seenFor(section);
+  for (const [key, value] of entries) seen.set(key, canonical(value));
+}
+
+// current/next: Map key -> value. Key caller đã thấy mà không còn trong next = bị xóa;
+// key không đổi so với lúc đọc giữ nguyên bản hiện tại trên đĩa.
+function mergeChanges(section, current, next) {
+  const seen = seenFor(section);
+  const result = new Map(current);
+  for (const key of seen.keys()) {
+    if (next.has(key)) continue;
+    result.delete(key);
+    seen.delete(key);
+  }
+  for (const [key, value] of next) {
+    const text = canonical(value);
+    if (seen.get(key) === text) continue;
+    result.set(key, value);
+    seen.set(key, text);
+  }
+  return result;
+}
+
+// Đọc-sửa-ghi config.json trong lock
+function updateConfig(update) {
+  return withLock(configPath, () => {
+    const config = update(loadConfig());
+    writeConfig(config);
     return config;
+  });
+}
+
+// Server cá nhân (config.json) gộp với catalog dùng chung: server cá nhân cùng tên ghi đè
+// từng field của catalog. Server đến từ catalog mang field `catalog` (không được lưu).
+function mergeCatalog(personal, catalogServers) {
+  const overrides = new Map(personal.map(s => [s.name, s]));
+  const catalogNames = new Set(catalogServers.map(s => s.name));
+  return [
+    ...personal.filter(s => !catalogNames.has(s.name)),
+    ...catalogServers.map(entry => (overrides.has(entry.name) ? { ...entry, ...overrides.get(entry.name), catalog: entry.catalog } : entry))
+  ];
+}
+
+export function getServers() {
+  const config = loadConfig();
+  remember('servers', config.servers.map(s => [s.name, s]));
+  return mergeCatalog(config.servers || [], loadCatalogServers((config.settings || {}).catalogs));
+}
+
+// Chỉ server trong config.json (kể cả phần ghi đè server catalog)
+export function getPersonalServers() {
+  const { servers } = loadConfig();
+  remember('servers', servers.map(s => [s.name, s]));
+  return servers;
+}
+
+// Server được lưu vào config.json: server catalog chỉ lưu phần khác với catalog
+// (field bị bỏ được lưu là null), không khác gì thì không lưu.
+function personalRecord(server, catalogByName) {
+  const { catalog, ...record } = server;
+  const base = catalogByName.get(record.name);
+  if (!base) return record;
+
+  const override = {};
+  for (const [key, value] of Object.entries(record)) {
+    if (key !== 'name' && JSON.stringify(value) !== JSON.stringify(base[key])) override[key] = value;
+  }
+  for (const key of Object.keys(base)) {
+    if (key !== 'catalog' && !(key in record)) override[key] = null;
   }
-  return config.servers || [];
+  return Object.keys(override).length > 0 ? { name: record.name, ...override } : null;
+}
+
+// JSON không phụ thuộc thứ tự key
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// So sánh record bỏ qua updatedAt
+function sameRecord(a, b) {
+  const { updatedAt: _a, ...restA } = a;
+  const { updatedAt: _b, ...restB } = b;
+  return canonical(restA) === canonical(restB);
 }
 
+// Mỗi server mang updatedAt (đổi khi record thay đổi), server bị xóa được ghi vào
+// config.deleted { name: time } để sync biết bên nào mới hơn (last-writer-wins).
+// Caller có thể tự đặt updatedAt (restore/sync) thì giữ nguyên giá trị đó.
 export function saveServers(servers) {
+  updateConfig((config) => {
+    const previous = new Map(config.servers.map(s => [s.name, s]));
+    const catalogByName = new Map(loadCatalogServers(config.settings.catalogs).map(s => [s.name, s]));
+    const now = new Date().toISOString();
+
+    const personal = servers.map(server => personalRecord(server, catalogByName)).filter(Boolean);
+    const merged = mergeChanges('servers', previous, new Map(personal.map(s => [s.name, s])));
+    const stamped = [...merged.values()].map((server) => {
+      const prev = previous.get(server.name);
+      if (server.updatedAt && (!prev || server.updatedAt !== prev.updatedAt)) return server;
+      if (prev && sameRecord(prev, server)) return server;
+      return { ...server, updatedAt: now };
+    });
+
+    const deleted = { ...config.deleted };
+    const names = new Set(servers.map(s => s.name));
+    for (const name of previous.keys()) {
+      if (!merged.has(name) && !names.has(name)) deleted[name] = now;
+    }
+    for (const name of [...names, ...merged.keys()]) delete deleted[name];
+
+    return { ...config, servers: stamped, deleted };
+  });
+}
+
+export function getDeleted() {
+  const { deleted } = loadConfig();
+  remember('deleted', Object.entries(deleted));
+  return deleted;
+}
+
+export function saveDeleted(deleted) {
+  updateConfig((config) => {
+    const merged = Object.fromEntries(mergeChanges('deleted', new Map(Object.entries(config.deleted)), new Map(Object.entries(deleted))));
+    return { ...config, deleted: merged };
+  });
+}
+
+// Secret đổi cũng tính là server thay đổi
+function touchServer(name) {
+  const servers = getServers();
+  const server = servers.find(s => s.name === name);
+  if (!server) return;
+  server.updatedAt = new Date().toISOString();
+  saveServers(servers);
+}
+
+export function getSettings() {
+  const { settings } = loadConfig();
+  remember('settings', Object.entries(settings));
+  return settings;
+}
+
+export function saveSettings(settings) {
+  updateConfig((config) => {
+    const merged = Object.fromEntries(mergeChanges('settings', new Map(Object.entries(config.settings)), new Map(Object.entries(settings))));
+    return { ...config, settings: merged };
+  });
+}
+
+// ---- credentials ----
+// Mỗi server lưu secret ở backend riêng (server.credentialBackend) hoặc backend chung
+// (settings.credentialBackend), mặc định là vault file.
+
+export function getBackend(name) {
+  const settings = getSettings();
+  const { vaultTimeout } = settings;
+  return createBackend(name || settings.credentialBackend, {
+    vault: { timeout: vaultTimeout ?? DEFAULT_TIMEOUT },
+    commands: settings.commandBackend,
+    namespace: secretNamespace(profile)
+  });
+}
+
+// Namespace secret trong keyring/command backend của một profile (profile mặc định: không có)
+export function secretNamespace(name) {
+  return name === DEFAULT_PROFILE ? null : name;
+}
+
+export function backendNameFor(name) {
+  const server = getServers().find(s => s.name === name);
+  return (server && server.credentialBackend) || getSettings().credentialBackend || 'file';
+}
+
+function backendFor(name) {
+  return getBackend(backendNameFor(name));
+}
+
+export async function getCredential(name) {
   ensureConfig();
-  const config = { servers };
-  fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+  return backendFor(name).get(name);
 }
 
-// Simple file-backed credential store (name -> password/key content)
-// NOTE: storing plaintext passwords on disk is insecure. Prefer OS keyring or SSH keys.
-export async function savePassword(name, password) {
+export async function saveCredential(name, cred) {
   ensureConfig();
-  const creds = JSON.parse(fs.readFileSync(credentialPath, 'utf8')) || {};
-  creds[name] = { type: 'password', value: password };
-  fs.writeFileSync(credentialPath, JSON.stringify(creds, null, 2));
+  await backendFor(name).set(name, cred);
+  touchServer(name);
+}
+
+export async function savePassword(name, password) {
+  await saveCredential(name, { type: 'password', value: password });
 }
 
 export async function saveKeyContent(name, keyContent) {
-  ensureConfig();
-  const creds = JSON.parse(fs.readFileSync(credentialPath, 'utf8')) || {};
-  creds[name] = { type: 'key', value: keyContent };
-  fs.writeFileSync(credentialPath, JSON.stringify(creds, null, 2));
+  await saveCredential(name, { type: 'key', value: keyContent });
 }
 
 export async function getPassword(name) {
-  ensureConfig();
-  const creds = JSON.parse(fs.readFileSync(credentialPath, 'utf8')) || {};
-  const cred = creds[name];
+  const cred = await getCredential(name);
   if (cred && cred.type === 'password') {
     return cred.value;
   }
@@ -76,28 +262,202 @@ export async function getPassword(name) {
 }
 
 export async function getKeyContent(name) {
-  ensureConfig();
-  const creds = JSON.parse(fs.readFileSync(credentialPath, 'utf8')) || {};
-  const cred = creds[name];
+  const cred = await getCredential(name);
   if (cred && cred.type === 'key') {
     return cred.value;
   }
   return null;
 }
 
+// Xóa secret chính (password/key content), giữ nguyên các secret phụ
+export async function deleteCredential(name) {
+  ensureConfig();
+  const result = await backendFor(name).delete(name);
+  touchServer(name);
+  return result;
+}
+
+// Key được dán vào lưu tại <thư mục profile>/keys/<name>_key (ghi dạng ~/...), content giữ trong backend để tái tạo
+export function managedKeyPath(name) {
+  return tildePath(path.join(keysDir, `${name}_key`));
+}
+
+export function isManagedKey(server) {
+  return Boolean(server.keyPath) && expandHome(server.keyPath) === path.join(keysDir, `${server.name}_key`);
+}
+
+export async function storeKeyContent(name, keyContent) {
+  if (!fs.existsSync(keysDir)) {
+    fs.mkdirSync(keysDir, { recursive: true, mode: 0o700 });
+  }
+  const keyFile = path.join(keysDir, `${name}_key`);
+  fs.writeFileSync(keyFile, keyContent + '\n', { mode: 0o600 });
+  fs.chmodSync(keyFile, 0o600);
+  await saveKeyContent(name, keyContent);
+  return managedKeyPath(name);
+}
+
+// Secret phụ của server (passphrase của key, seed TOTP cho OTP) lưu cạnh secret chính
+// dưới id "<name>#<kind>" trong cùng backend.
+// newkey: key mới tạo bởi `sshm key gen`, chờ deploy
+export const SECRET_KINDS = ['passphrase', 'otp', 'newkey'];
+
+export function secretId(name, kind) {
+  return `${name}#${kind}`;
+}
+
+// Passphrase của bundle sync được lưu trong backend credential mặc định để không phải nhập mỗi lần
+export const SYNC_PASSPHRASE_ID = 'sshm:sync';
+
+export async function getSecret(name, kind) {
+  ensureConfig();
+  const cred = await backendFor(name).get(secretId(name, kind));
+  return cred ? cred.value : null;
+}
+
+export async function saveSecret(name, kind, value) {
+  ensureConfig();
+  await backendFor(name).set(secretId(name, kind), { type: kind, value });
+  touchServer(name);
+}
+
+export async function deleteSecret(name, kind) {
+  ensureConfig();
+  const result = await backendFor(name).delete(secretId(name, kind));
+  touchServer(name);
+  return result;
+}
+
+// Chuyển secret của các server sang backend khác.
+// Không truyền names = chuyển toàn bộ (kể cả passphrase sync) và đổi backend mặc định.
+export async function migrateCredentialBackend(to, names) {
+  const target = getBackend(to);
+  const servers = getServers();
+  const all = !names || names.length === 0;
+  const selected = all ? servers : servers.filter(s => names.includes(s.name));
+  const results = [];
+
+  // chép sang backend mới rồi mới xóa ở backend cũ; trả về số secret đã chuyển
+  const move = async (from, ids) => {
+    const source = getBackend(from);
+    let moved = 0;
+    for (const id of ids) {
+      const cred = await source.get(id);
+      if (!cred) continue;
+      await target.set(id, cred);
+      await source.delete(id);
+      moved++;
+    }
+    return moved;
+  };
+
+  for (const server of selected) {
+    const from = server.credentialBackend || getSettings().credentialBackend || 'file';
+    try {
+      if (from !== to) {
+        const moved = await move(from, [server.name, ...SECRET_KINDS.map(kind => secretId(server.name, kind))]);
+        results.push({ name: server.name, from, status: moved > 0 ? 'moved' : 'empty' });
+      } else {
+        results.push({ name: server.name, from, status: 'skipped' });
+      }
+      if (all) delete server.credentialBackend;
+      else server.credentialBackend = to;
+    } catch (error) {
+      results.push({ name: server.name, from, status: 'failed', reason: error.message });
+      // giữ backend cũ cho server lỗi để không mất secret
+      server.credentialBackend = from;
+    }
+  }
+
+  // passphrase sync nằm ở backend mặc định nên đi theo backend mặc định
+  const defaultFrom = getSettings().credentialBackend || 'file';
+  if (all && defaultFrom !== to) {
+    try {
+      if (await move(defaultFrom, [SYNC_PASSPHRASE_ID])) results.push({ name: SYNC_PASSPHRASE_ID, from: defaultFrom, status: 'moved' });
+    } catch (error) {
+      results.push({ name: SYNC_PASSPHRASE_ID, from: defaultFrom, status: 'failed', reason: error.message });
+    }
+  }
+
+  saveServers(servers);
+  if (all) {
+    saveSettings({ ...getSettings(), credentialBackend: to });
+  }
+  return results;
+}
+
+// Đổi tên tham chiếu jump host trong danh sách server (không lưu)
+export function renameJumpRefs(servers, from, to) {
+  for (const server of servers) {
+    if (!server.jump) continue;
+    const hops = Array.isArray(server.jump) ? server.jump : String(server.jump).split(',').map(h => h.trim());
+    if (hops.includes(from)) server.jump = hops.map(h => (h === from ? to : h));
+  }
+  return servers;
+}
+
+// Đổi tên server cùng secret (kể cả secret phụ) và key file trong ~/.sshm/keys.
+// Secret được chép sang tên mới trước, lỗi ở bước nào thì hoàn tác các bước trước đó;
+// secret cũ chỉ bị xóa sau khi config đã lưu.
+export async function renameServer(oldName, newName) {
+  const servers = getServers();
+  const server = servers.find(s => s.name === oldName);
+  if (!server) throw new NotFoundError(t('common.serverNotFound', { name: oldName }), { server: oldName });
+  if (servers.some(s => s.name === newName)) throw new ConflictError(t('common.serverExists', { name: newName }), { server: newName });
+
+  const oldKeyFile = path.join(keysDir, `${oldName}_key`);
+  const newKeyFile = path.join(keysDir, `${newName}_key`);
+  const managed = isManagedKey(server);
+  if (fs.existsSync(newKeyFile)) throw new ConflictError(t('store.keyFileExists', { file: managedKeyPath(newName) }), { server: newName });
+
+  const backend = backendFor(oldName);
+  const ids = [[oldName, newName], ...SECRET_KINDS.map(kind => [secretId(oldName, kind), secretId(newName, kind)])];
+  const copied = [];
+  let keyMoved = false;
+
+  try {
+    for (const [from, to] of ids) {
+      const cred = await backend.get(from);
+      if (!cred) continue;
+      await backend.set(to, cred);
+      copied.push([from, to]);
+    }
+    if (fs.existsSync(oldKeyFile)) {
+      fs.renameSync(oldKeyFile, newKeyFile);
+      keyMoved = true;
+    }
+
+    server.name = newName;
+    delete server.updatedAt;
+    if (managed) server.keyPath = managedKeyPath(newName);
+    saveServers(renameJumpRefs(servers, oldName, newName));
+  } catch (error) {
+    for (const [, to] of copied) {
+      try { await backend.delete(to); } catch (e) { /* ignore */ }
+    }
+    if (keyMoved) {
+      try { fs.renameSync(newKeyFile, oldKeyFile); } catch (e) { /* ignore */ }
+    }
+    throw new SshmError(t('store.renameFailed', { message: error.message }), { code: error.code, cause: error });
+  }
+
+  for (const [from] of copied) {
+    try { await backend.delete(from); } catch (e) { /* ignore */ }
+  }
+}
+
 export async function regenerateKeyFile(name) {
   ensureConfig();
   const keyContent = await getKeyContent(name);
   if (!keyContent) {
-    throw new Error(`Không tìm thấy key content cho server: ${name}`);
+    throw new CredentialError(t('store.noKeyContent', { name }), { server: name });
   }
   
   // Validate key content
   if (!keyContent.includes('BEGIN') || !keyContent.includes('PRIVATE KEY')) {
-    throw new Error(`Key content không hợp lệ cho server: ${name}`);
+    throw new CredentialError(t('store.badKeyContent', { name }), { server: name });
   }
   
-  const keysDir = path.join(os.homedir(), '.sshm', 'keys');
   if (!fs.existsSync(keysDir)) {
     fs.mkdirSync(keysDir, { recursive: true, mode: 0o700 });
   }
@@ -108,7 +468,7 @@ export async function regenerateKeyFile(name) {
   fs.writeFileSync(keyFile, keyContent + '\n', { mode: 0o600 });
   try {
     fs.chmodSync(keyFile, 0o600);
-    console.log(`🔑 Đã tái tạo key file: ~/.sshm/keys/${name}_key`);
+    warn(t('store.keyRegenerated', { file: managedKeyPath(name) }), { code: 'SSHM_KEY_REGENERATED', server: name, file: keyFile });
     
     // Validate the generated key file
     try {
@@ -120,10 +480,10 @@ export async function regenerateKeyFile(name) {
       throw new Error(`Key file validation failed: ${e.message}`);
     }
     
-    return `~/.sshm/keys/${name}_key`;
+    return managedKeyPath(name);
   } catch (e) {
-    console.log('⚠️ Không thể set quyền 600 cho file key');
-    return `~/.sshm/keys/${name}_key`;
+    warn(t('store.chmodFailed'), { code: 'SSHM_KEY_MODE', server: name, file: keyFile });
+    return managedKeyPath(name);
   }
 }
 
@@ -132,15 +492,11 @@ export async function regenerateAllKeyFiles() {
   const servers = getServers();
   const keyServers = servers.filter(s => s.keyPath);
   
-  if (keyServers.length === 0) {
-    console.log('⚠️ Không có server nào sử dụng SSH key.');
-    return [];
-  }
+  if (keyServers.length === 0) return [];
   
-  const keysDir = path.join(os.homedir(), '.sshm', 'keys');
   if (!fs.existsSync(keysDir)) {
     fs.mkdirSync(keysDir, { recursive: true, mode: 0o700 });
-    console.log('📁 Đã tạo lại thư mục keys');
+    warn(t('store.keysDirCreated'), { code: 'SSHM_KEYS_DIR' });
   }
   
   const results = [];
@@ -149,8 +505,7 @@ export async function regenerateAllKeyFiles() {
     try {
       const keyContent = await getKeyContent(server.name);
       if (!keyContent) {
-        console.log(`⚠️ Không tìm thấy key content cho server: ${server.name}`);
-        results.push({ name: server.name, status: 'failed', reason: 'No key content found' });
+        results.push({ name: server.name, status: 'failed', reason: t('store.noKeyContent', { name: server.name }) });
         continue;
       }
       
@@ -158,11 +513,9 @@ export async function regenerateAllKeyFiles() {
       fs.writeFileSync(keyFile, keyContent + '\n', { mode: 0o600 });
       fs.chmodSync(keyFile, 0o600);
       
-      console.log(`🔑 Đã tái tạo key file: ~/.sshm/keys/${server.name}_key`);
-      results.push({ name: server.name, status: 'success', path: `~/.sshm/keys/${server.name}_key` });
+      results.push({ name: server.name, status: 'success', path: managedKeyPath(server.name) });
       
     } catch (error) {
-      console.log(`⚠️ Lỗi khi tái tạo key cho ${server.name}: ${error.message}`);
       results.push({ name: server.name, status: 'failed', reason: error.message });
     }
   }
@@ -170,13 +523,23 @@ export async function regenerateAllKeyFiles() {
   return results;
 }
 
+// Xóa secret và key file do sshm quản lý của server đã bị xóa khỏi config
+export async function deleteServerData(server) {
+  try { await deletePassword(server.name); } catch (e) { /* ignore */ }
+  // delete key file if it is inside the profile's keys dir
+  try {
+    const fullKeyPath = expandHome(server.keyPath);
+    if (fullKeyPath && fullKeyPath.startsWith(keysDir) && fs.existsSync(fullKeyPath)) {
+      fs.unlinkSync(fullKeyPath);
+    }
+  } catch (e) { /* ignore */ }
+}
+
 export async function deletePassword(name) {
   ensureConfig();
-  const creds = JSON.parse(fs.readFileSync(credentialPath, 'utf8')) || {};
-  if (creds[name]) {
-    delete creds[name];
-    fs.writeFileSync(credentialPath, JSON.stringify(creds, null, 2));
-    return true;
+  const backend = backendFor(name);
+  for (const kind of SECRET_KINDS) {
+    try { await backend.delete(secretId(name, kind)); } catch (e) { /* ignore */ }
   }
-  return false;
+  return backend.delete(name);
 }
@@ -0,0 +1,108 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { expandHome, syncRepoDir } from './paths.js';
+import { capture } from './process.js';
+import { readBundleFile, writeBundleFile } from './bundle.js';
+import { t } from './i18n.js';
+
+// Sync bundle qua một thư mục (ổ mạng, Dropbox...) hoặc git repo (clone tại ~/.sshm/sync).
+// Mỗi server được so theo updatedAt (server đã xóa theo thời điểm xóa): bên mới hơn thắng.
+
+export const SYNC_FILE = 'sshm-bundle.json';
+const GIT_TIMEOUT = 60 * 1000;
+
+function targetDir(target) {
+  return target.type === 'git' ? syncRepoDir : expandHome(target.path);
+}
+
+export function describeTarget(target) {
+  return target.type === 'git' ? t('sync.targetGit', { url: target.url }) : t('sync.targetDir', { path: target.path });
+}
+
+async function git(args, { allowFail = false } = {}) {
+  const result = await capture('git', ['-C', syncRepoDir, ...args], { timeout: GIT_TIMEOUT });
+  if (result.code !== 0 && !allowFail) {
+    throw new Error(t('sync.gitFailed', { command: args[0], message: (result.stderr || result.stdout).trim() }));
+  }
+  return result;
+}
+
+// Lấy bundle mới nhất từ target, null nếu chưa có
+export async function pullBundle(target) {
+  if (target.type === 'git') {
+    if (!fs.existsSync(path.join(syncRepoDir, '.git'))) {
+      const result = await capture('git', ['clone', '--quiet', target.url, syncRepoDir], { timeout: GIT_TIMEOUT });
+      if (result.code !== 0) throw new Error(t('sync.gitFailed', { command: 'clone', message: result.stderr.trim() }));
+    } else {
+      await git(['remote', 'set-url', 'origin', target.url]);
+      // repo rỗng chưa có branch nào thì không có gì để pull
+      const heads = await git(['ls-remote', '--heads', 'origin']);
+      if (heads.stdout.trim()) await git(['pull', '--quiet', '--ff-only', 'origin', 'HEAD']);
+    }
+  }
+  const file = path.join(targetDir(target), SYNC_FILE);
+  return fs.existsSync(file) ? readBundleFile(file) : null;
+}
+
+export async function pushBundle(target, bundle) {
+  const dir = targetDir(target);
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  writeBundleFile(path.join(dir, SYNC_FILE), bundle);
+  if (target.type !== 'git') return;
+
+  await git(['add', SYNC_FILE]);
+  const status = await git(['status', '--porcelain', SYNC_FILE]);
+  if (!status.stdout.trim()) return;
+  await git(['-c', 'user.name=sshm', '-c', `user.email=sshm@${os.hostname()}`, 'commit', '--quiet', '-m', `sshm sync from ${os.hostname()}`]);
+  await git(['push', '--quiet', 'origin', 'HEAD']);
+}
+
+function side(payload, name) {
+  const entry = payload.entries.find(e => e.server.name === name) || null;
+  const deletedAt = payload.deleted ? payload.deleted[name] : null;
+  if (entry) return { entry, time: entry.server.updatedAt || '' };
+  if (deletedAt) return { entry: null, time: deletedAt, deleted: true };
+  return null;
+}
+
+// So local với remote. Trả về { actions: [{ name, action, conflict, entry }], payload }
+//  action: pull | push | delete-local | delete-remote | unchanged
+//  conflict: cả hai bên cùng sửa sau lần sync trước (bên mới hơn vẫn thắng)
+//  payload: nội dung bundle sau khi gộp, để đẩy lên target
+export function mergePayloads(local, remote, lastSyncedAt = '') {
+  const names = new Set([
+    ...local.entries.map(e => e.server.name), ...Object.keys(local.deleted || {}),
+    ...remote.entries.map(e => e.server.name), ...Object.keys(remote.deleted || {})
+  ]);
+  const actions = [];
+  const entries = [];
+  const deleted = {};
+
+  for (const name of names) {
+    const mine = side(local, name);
+    const theirs = side(remote, name);
+    let winner;
+    if (!theirs) winner = mine;
+    else if (!mine) winner = theirs;
+    else winner = theirs.time > mine.time ? theirs : mine;
+
+    let action = 'unchanged';
+    if (winner === theirs && (!mine || mine.time !== theirs.time)) {
+      action = theirs.deleted ? (mine && !mine.deleted ? 'delete-local' : 'unchanged') : 'pull';
+    } else if (winner === mine && (!theirs || mine.time !== theirs.time)) {
+      action = mine.deleted ? (theirs && !theirs.deleted ? 'delete-remote' : 'unchanged') : 'push';
+    }
+    const conflict = Boolean(mine && theirs && mine.time !== theirs.time
+      && mine.time > lastSyncedAt && theirs.time > lastSyncedAt);
+
+    if (winner.deleted) deleted[name] = winner.time;
+    else entries.push(winner.entry);
+    actions.push({ name, action, conflict, entry: winner.entry, time: winner.time });
+  }
+
+  return {
+    actions,
+    payload: { createdAt: new Date().toISOString(), host: os.hostname(), entries, deleted }
+  };
+}
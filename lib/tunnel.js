@@ -0,0 +1,191 @@
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import { tunnelsDir, profile } from './paths.js';
+import { isAlive } from './files.js';
+import { createReadyMarker, runPtyCommand } from './pty.js';
+import { importConnection } from './ssh.js';
+import { validateName } from './servers.js';
+import { ValidationError } from './errors.js';
+import { t } from './i18n.js';
+
+// Tunnel = một nhóm port forward (-L/-R/-D) gắn với server, lưu trong server.tunnels.
+// `sshm tunnel up` chạy một supervisor nền giữ ssh -N sống và tự kết nối lại (backoff),
+// trạng thái ghi ở ~/.sshm/tunnels/<name>.json, log ở <name>.log.
+
+export const FORWARD_FLAGS = { local: '-L', remote: '-R', dynamic: '-D' };
+
+const MAX_BACKOFF = 60; // giây
+const STABLE_AFTER = 60 * 1000; // chạy ổn định lâu hơn thì reset backoff
+
+export function allTunnels(servers) {
+  return servers.flatMap(server => (server.tunnels || []).map(tunnel => ({ ...tunnel, server: server.name })));
+}
+
+export function findTunnel(servers, name) {
+  return allTunnels(servers).find(t => t.name === name) || null;
+}
+
+export function describeForwards(tunnel) {
+  return tunnel.forwards.map(f => `${FORWARD_FLAGS[f.type]} ${f.spec}`).join(', ');
+}
+
+function forwardArgs(tunnel) {
+  return tunnel.forwards.flatMap(f => [FORWARD_FLAGS[f.type], f.spec]);
+}
+
+// File trạng thái/log đặt theo tên tunnel nên tên phải hợp lệ (không trỏ ra ngoài tunnelsDir)
+function tunnelFile(name, ext) {
+  const valid = validateName(name, 'tunnel');
+  if (valid !== true) throw new ValidationError(valid, { field: 'name' });
+  return path.join(tunnelsDir, `${name}${ext}`);
+}
+
+function statePath(name) {
+  return tunnelFile(name, '.json');
+}
+
+export function logPath(name) {
+  return tunnelFile(name, '.log');
+}
+
+export function readState(name) {
+  try {
+    return JSON.parse(fs.readFileSync(statePath(name), 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeState(name, state) {
+  fs.mkdirSync(tunnelsDir, { recursive: true, mode: 0o700 });
+  fs.writeFileSync(statePath(name), JSON.stringify(state, null, 2), { mode: 0o600 });
+}
+
+// Trạng thái thực tế: supervisor đã chết thì coi như stopped
+export function tunnelStatus(name) {
+  const state = readState(name);
+  if (!state) return { status: 'stopped' };
+  if (state.status !== 'stopped' && !isAlive(state.pid)) {
+    return { ...state, status: 'dead' };
+  }
+  return state;
+}
+
+// Khởi động supervisor nền. connection = exportConnection(...) được truyền qua stdin
+// để supervisor không phải mở vault.
+export function startTunnel(tunnel, connection, cliPath) {
+  fs.mkdirSync(tunnelsDir, { recursive: true, mode: 0o700 });
+  const log = fs.openSync(logPath(tunnel.name), 'a', 0o600);
+  const child = spawn(process.execPath, [cliPath, '_tunnel-run', tunnel.name], {
+    detached: true,
+    stdio: ['pipe', log, log],
+    env: { ...process.env, SSHM_PROFILE: profile }
+  });
+  child.stdin.end(JSON.stringify({ tunnel, connection }));
+  child.unref();
+  fs.closeSync(log);
+  writeState(tunnel.name, {
+    name: tunnel.name,
+    server: tunnel.server,
+    forwards: describeForwards(tunnel),
+    pid: child.pid,
+    status: 'starting',
+    startedAt: new Date().toISOString(),
+    restarts: 0
+  });
+  return child.pid;
+}
+
+export async function stopTunnel(name, { timeout = 5000 } = {}) {
+  const state = readState(name);
+  if (!state || !isAlive(state.pid)) {
+    if (state) writeState(name, { ...state, status: 'stopped', pid: null, sshPid: null });
+    return false;
+  }
+  process.kill(state.pid, 'SIGTERM');
+  const deadline = Date.now() + timeout;
+  while (isAlive(state.pid) && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  if (isAlive(state.pid)) process.kill(state.pid, 'SIGKILL');
+  writeState(name, { ...readState(name), status: 'stopped', pid: null, sshPid: null });
+  return true;
+}
+
+function log(message) {
+  console.log(`[${new Date().toISOString()}] ${message}`);
+}
+
+// Vòng lặp của supervisor (chạy trong process nền)
+export async function superviseTunnel({ tunnel, connection }) {
+  const conn = importConnection(connection);
+  let state = readState(tunnel.name) || { name: tunnel.name, server: tunnel.server, restarts: 0 };
+  let stopping = false;
+  let current = null;
+  let wake = null;
+
+  const update = (patch) => {
+    state = { ...state, ...patch, pid: process.pid };
+    writeState(tunnel.name, state);
+  };
+
+  const stop = () => {
+    stopping = true;
+    log(t('tunnel.logStopping'));
+    if (current) {
+      try { current.kill(); } catch (e) { /* ignore */ }
+    }
+    if (wake) wake();
+  };
+  process.on('SIGTERM', stop);
+  process.on('SIGINT', stop);
+
+  let attempt = 0;
+  while (!stopping) {
+    const marker = createReadyMarker();
+    const started = Date.now();
+    log(t('tunnel.logConnecting', { target: `${conn.server.user}@${conn.server.host}`, forwards: describeForwards(tunnel) }));
+    update({ status: state.restarts ? 'reconnecting' : 'starting' });
+
+    const result = await runPtyCommand('ssh', [
+      ...marker.sshOptions,
+      ...conn.args,
+      '-N',
+      '-o', 'ExitOnForwardFailure=yes',
+      '-o', 'ServerAliveInterval=15',
+      '-o', 'ServerAliveCountMax=3',
+      ...forwardArgs(tunnel),
+      conn.destination
+    ], {
+      answers: conn.answers,
+      marker,
+      onSpawn: (proc) => { current = proc; },
+      onReady: () => {
+        log(t('tunnel.logReady'));
+        update({ status: 'up', sshPid: current && current.pid, connectedAt: new Date().toISOString(), lastError: null });
+      },
+      onData: data => process.stdout.write(data)
+    });
+    current = null;
+
+    if (stopping) break;
+
+    if (Date.now() - started > STABLE_AFTER) attempt = 0;
+    const delay = Math.min(MAX_BACKOFF, 2 ** attempt);
+    attempt++;
+    const reason = result.error || t('common.sshExit', { code: result.code });
+    log(t('tunnel.logLost', { reason, delay }));
+    update({ status: 'reconnecting', sshPid: null, lastError: reason, restarts: (state.restarts || 0) + 1 });
+    await new Promise((resolve) => {
+      wake = resolve;
+      setTimeout(resolve, delay * 1000);
+    });
+    wake = null;
+  }
+
+  conn.cleanup();
+  update({ status: 'stopped', sshPid: null });
+  log(t('tunnel.logStopped'));
+  process.exit(0);
+}
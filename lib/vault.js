@@ -0,0 +1,316 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { spawn } from 'child_process';
+import inquirer from 'inquirer';
+import { credentialPath, sessionPath } from './paths.js';
+import { writeFileAtomic, withLockAsync, isAlive } from './files.js';
+import { ConfigError, CredentialError } from './errors.js';
+import { t } from './i18n.js';
+
+// Vault = credentials.json mã hóa bằng AES-256-GCM, key dẫn xuất từ master passphrase qua scrypt.
+// Sau khi unlock, key dẫn xuất được cache trong session.json (quyền 600) tới khi hết timeout
+// để các lệnh sshm liên tiếp không phải hỏi lại passphrase. Một tiến trình nền nhỏ (reaper) xóa
+// session.json ngay khi hết hạn, kể cả khi không còn lệnh sshm nào chạy để dọn.
+
+const VAULT_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const KEY_LENGTH = 32;
+
+export const DEFAULT_TIMEOUT = 15; // phút
+
+export function isEncrypted(data) {
+  return !!data && typeof data === 'object' && data.cipher === CIPHER && typeof data.data === 'string';
+}
+
+export function deriveKey(passphrase, kdf) {
+  return crypto.scryptSync(passphrase, Buffer.from(kdf.salt, 'base64'), KEY_LENGTH, {
+    N: kdf.N,
+    r: kdf.r,
+    p: kdf.p,
+    maxmem: 256 * kdf.N * kdf.r
+  });
+}
+
+export function newKdf() {
+  return { name: 'scrypt', salt: crypto.randomBytes(16).toString('base64'), ...SCRYPT_PARAMS };
+}
+
+export function encrypt(obj, key, kdf) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(obj), 'utf8'), cipher.final()]);
+  return {
+    version: VAULT_VERSION,
+    kdf,
+    cipher: CIPHER,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+export function decrypt(file, key) {
+  const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(file.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+  try {
+    const data = Buffer.concat([decipher.update(Buffer.from(file.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString('utf8'));
+  } catch (e) {
+    throw new CredentialError(t('vault.wrongPassphrase'), { code: 'SSHM_VAULT_PASSPHRASE' });
+  }
+}
+
+export function readVaultFile() {
+  if (!fs.existsSync(credentialPath)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(credentialPath, 'utf8')) || {};
+  } catch (error) {
+    throw new ConfigError(t('vault.broken', { message: error.message }));
+  }
+}
+
+// Chỉ giữ snapshot của vault đã mã hóa (không để lại bản plaintext trong ~/.sshm/backups)
+function writeVaultFile(data) {
+  let backup = false;
+  try { backup = isEncrypted(readVaultFile()); } catch (e) { /* file hỏng thì không sao lưu */ }
+  writeFileAtomic(credentialPath, JSON.stringify(data, null, 2), { mode: 0o600, backup });
+}
+
+// ---- session ----
+
+function readSession(kdf) {
+  if (!fs.existsSync(sessionPath)) return null;
+  try {
+    const session = JSON.parse(fs.readFileSync(sessionPath, 'utf8'));
+    // salt khác nghĩa là passphrase đã đổi ở nơi khác
+    if (session.salt !== kdf.salt || Date.now() > session.expires) {
+      lock();
+      return null;
+    }
+    return session;
+  } catch (e) {
+    lock();
+    return null;
+  }
+}
+
+// Chạy bằng `node -e`: ngủ tới lúc session hết hạn (hạn được gia hạn thì ngủ tiếp) rồi xóa file;
+// bị dừng (logout, tắt máy, vault lock) cũng xóa luôn. Tự thoát khi file đã bị xóa hoặc đã có reaper khác thay thế.
+const REAPER_SCRIPT = `
+const fs = require('fs');
+const file = process.argv[1];
+function owned() {
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch (e) { return null; }
+}
+function remove() {
+  const session = owned();
+  if (session && session.reaper === process.pid) {
+    try { fs.unlinkSync(file); } catch (e) { /* đã bị xóa */ }
+  }
+}
+function check() {
+  const session = owned();
+  if (!session || session.reaper !== process.pid) return;
+  const wait = session.expires - Date.now();
+  if (wait <= 0) return remove();
+  setTimeout(check, Math.min(wait + 1000, 2 ** 31 - 1));
+}
+for (const signal of ['SIGTERM', 'SIGHUP', 'SIGINT']) {
+  process.on(signal, () => { remove(); process.exit(0); });
+}
+setTimeout(check, 1000);
+`;
+
+function currentReaper() {
+  try {
+    return JSON.parse(fs.readFileSync(sessionPath, 'utf8')).reaper || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function startReaper() {
+  const child = spawn(process.execPath, ['-e', REAPER_SCRIPT, sessionPath], { detached: true, stdio: 'ignore' });
+  child.unref();
+  return child.pid;
+}
+
+function writeSession(key, kdf, timeout) {
+  if (!timeout || timeout <= 0) {
+    lock();
+    return;
+  }
+  const running = currentReaper();
+  const session = {
+    salt: kdf.salt,
+    key: key.toString('base64'),
+    timeout,
+    expires: Date.now() + timeout * 60 * 1000,
+    reaper: isAlive(running) ? running : startReaper()
+  };
+  fs.writeFileSync(sessionPath, JSON.stringify(session), { mode: 0o600 });
+  try { fs.chmodSync(sessionPath, 0o600); } catch (e) { /* ignore */ }
+}
+
+// Xóa session (key dẫn xuất) và dừng reaper đang chờ nó
+export function lock() {
+  const reaper = currentReaper();
+  if (fs.existsSync(sessionPath)) fs.unlinkSync(sessionPath);
+  if (isAlive(reaper)) {
+    try { process.kill(reaper, 'SIGTERM'); } catch (e) { /* đã thoát */ }
+  }
+}
+
+export function readPlain() {
+  const file = readVaultFile();
+  return isEncrypted(file) ? null : file;
+}
+
+export function status() {
+  const file = readVaultFile();
+  if (!isEncrypted(file)) {
+    return { encrypted: false, unlocked: false, entries: Object.keys(file).length };
+  }
+  const session = readSession(file.kdf);
+  return {
+    encrypted: true,
+    unlocked: !!session,
+    expires: session ? new Date(session.expires) : null
+  };
+}
+
+// ---- passphrase prompts ----
+
+async function askPassphrase(message) {
+  if (process.env.SSHM_PASSPHRASE) return process.env.SSHM_PASSPHRASE;
+  if (!process.stdin.isTTY) {
+    throw new CredentialError(t('vault.lockedError'), { code: 'SSHM_VAULT_LOCKED' });
+  }
+  const { passphrase } = await inquirer.prompt([
+    { type: 'password', name: 'passphrase', message, mask: '*' }
+  ]);
+  return passphrase;
+}
+
+async function askNewPassphrase(message, envVar = 'SSHM_PASSPHRASE') {
+  if (process.env[envVar]) return process.env[envVar];
+  if (!process.stdin.isTTY) {
+    throw new CredentialError(t('vault.needNew', { envVar }), { code: 'SSHM_VAULT_LOCKED' });
+  }
+  const answers = await inquirer.prompt([
+    {
+      type: 'password',
+      name: 'passphrase',
+      message,
+      mask: '*',
+      validate: v => (v && v.length >= 8) || t('common.passphraseShort')
+    },
+    { type: 'password', name: 'confirm', message: t('vault.promptConfirm'), mask: '*' }
+  ]);
+  if (answers.passphrase !== answers.confirm) {
+    throw new Error(t('common.passphraseMismatch'));
+  }
+  return answers.passphrase;
+}
+
+// Trả về key đã unlock cho vault hiện tại, hỏi passphrase nếu session đã hết hạn.
+// unlocked: key đã mở trước khi lấy lock (xem updateCredentials), chỉ dùng khi vault chưa đổi passphrase.
+async function unlockKey(file, { timeout = DEFAULT_TIMEOUT, force = false, unlocked } = {}) {
+  if (unlocked && unlocked.key && unlocked.salt === file.kdf.salt) return unlocked.key;
+  const session = force ? null : readSession(file.kdf);
+  if (session) {
+    const key = Buffer.from(session.key, 'base64');
+    // gia hạn session mỗi lần dùng (idle timeout)
+    writeSession(key, file.kdf, session.timeout);
+    return key;
+  }
+  const passphrase = await askPassphrase(t('vault.promptPassphrase'));
+  const key = deriveKey(passphrase, file.kdf);
+  decrypt(file, key); // kiểm tra passphrase
+  writeSession(key, file.kdf, timeout);
+  return key;
+}
+
+export async function unlock(options = {}) {
+  const file = readVaultFile();
+  if (!isEncrypted(file)) throw new Error(t('vault.missing'));
+  await unlockKey(file, { ...options, force: true });
+}
+
+// ---- read/write ----
+
+// Đọc credentials đã giải mã (file chưa mã hóa được trả về nguyên trạng)
+export async function loadCredentials(options = {}) {
+  const file = readVaultFile();
+  if (isEncrypted(file)) {
+    const key = await unlockKey(file, options);
+    return decrypt(file, key);
+  }
+  return file;
+}
+
+// Ghi credentials, tạo vault (hỏi master passphrase mới) nếu file vẫn đang là plaintext
+export async function saveCredentials(creds, options = {}) {
+  const file = readVaultFile();
+  if (!isEncrypted(file)) {
+    await createVault(creds, options);
+    return;
+  }
+  const key = await unlockKey(file, options);
+  writeVaultFile(encrypt(creds, key, file.kdf));
+}
+
+// Hỏi passphrase trước khi lấy lock (người dùng gõ chậm không được chặn process sshm khác):
+// mở vault đã có, hoặc hỏi passphrase mới nếu lần cập nhật này sẽ tạo vault (chạy thử update trên bản sao)
+async function unlockBeforeLock(update, options) {
+  const file = readVaultFile();
+  if (isEncrypted(file)) return { salt: file.kdf.salt, key: await unlockKey(file, options) };
+  const copy = structuredClone(file);
+  const before = JSON.stringify(copy);
+  update(copy);
+  if (JSON.stringify(copy) === before) return null;
+  return { passphrase: await askNewPassphrase(t('vault.promptCreate')) };
+}
+
+// Đọc-sửa-ghi credentials trong lock; update(creds) sửa trực tiếp object và trả về kết quả
+export async function updateCredentials(update, options = {}) {
+  const unlocked = await unlockBeforeLock(update, options);
+  return withLockAsync(credentialPath, async () => {
+    const locked = { ...options, unlocked };
+    const creds = await loadCredentials(locked);
+    const before = JSON.stringify(creds);
+    const result = update(creds);
+    if (JSON.stringify(creds) !== before) await saveCredentials(creds, locked);
+    return result;
+  });
+}
+
+async function createVault(creds, { timeout = DEFAULT_TIMEOUT, unlocked } = {}) {
+  const passphrase = (unlocked && unlocked.passphrase) || await askNewPassphrase(t('vault.promptCreate'));
+  const kdf = newKdf();
+  const key = deriveKey(passphrase, kdf);
+  writeVaultFile(encrypt(creds, key, kdf));
+  writeSession(key, kdf, timeout);
+}
+
+// Hỏi cả hai passphrase trước, chỉ giữ lock lúc mã hóa lại
+export async function changePassphrase(options = {}) {
+  const file = readVaultFile();
+  if (!isEncrypted(file)) throw new Error(t('vault.missing'));
+  const oldPassphrase = await askPassphrase(t('vault.promptCurrent'));
+  decrypt(file, deriveKey(oldPassphrase, file.kdf)); // kiểm tra passphrase trước khi hỏi passphrase mới
+  const passphrase = await askNewPassphrase(t('vault.promptNew'), 'SSHM_NEW_PASSPHRASE');
+  await withLockAsync(credentialPath, () => rekeyVault(oldPassphrase, passphrase, options));
+}
+
+function rekeyVault(oldPassphrase, passphrase, options) {
+  // đọc lại trong lock: process khác có thể vừa ghi vault
+  const file = readVaultFile();
+  if (!isEncrypted(file)) throw new Error(t('vault.missing'));
+  const creds = decrypt(file, deriveKey(oldPassphrase, file.kdf));
+  const kdf = newKdf();
+  const key = deriveKey(passphrase, kdf);
+  writeVaultFile(encrypt(creds, key, kdf));
+  writeSession(key, kdf, options.timeout ?? DEFAULT_TIMEOUT);
+}
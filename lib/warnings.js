@@ -0,0 +1,14 @@
+// Thư viện không tự in ra terminal: cảnh báo/thông báo phát sinh giữa chừng (key file được tái tạo,
+// catalog đọc lỗi, vault được tạo...) đi qua handler đăng ký ở đây.
+// CLI in ra stderr; script dùng API tự đăng ký bằng onWarning(), mặc định bị bỏ qua.
+
+let handler = null;
+
+// fn(message, details): details có { code } và thông tin thêm (server, catalog, file...)
+export function onWarning(fn) {
+  handler = typeof fn === 'function' ? fn : null;
+}
+
+export function warn(message, details = {}) {
+  if (handler) handler(message, details);
+}